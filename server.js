@@ -1,6 +1,7 @@
 // server.js
 import express from 'express';
-import { createServer } from 'http';
+import { createServer, request as httpRequest } from 'http';
+import { request as httpsRequest } from 'https';
 import { Server as SocketIOServer } from 'socket.io';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
@@ -8,14 +9,21 @@ import Database from 'better-sqlite3';
 import crypto from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
 import fileUpload from 'express-fileupload';
+import { readFileSync } from 'fs';
+import { promisify } from 'util';
+import dns from 'dns';
+import net from 'net';
 
 // Get __dirname equivalent for ES modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
+const { version: PACKAGE_VERSION } = JSON.parse(readFileSync(join(__dirname, 'package.json'), 'utf8'));
 
 const app = express();
-// Trust reverse proxy (e.g., Caddy/Nginx) so req.secure reflects HTTPS
-app.set('trust proxy', 1);
+// Behind a reverse proxy (e.g., Caddy/Nginx) set TRUST_PROXY to the number of proxies in
+// front, so req.secure reflects HTTPS and client addresses come from X-Forwarded-For;
+// without it that header is ignored, as anyone can send it
+if (process.env.TRUST_PROXY) app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
 const server = createServer(app);
 const io = new SocketIOServer(server);
 
@@ -30,6 +38,11 @@ db.exec(`
     creator_session TEXT,
     status TEXT,
     task_pool TEXT,
+    settings TEXT,
+    paused_at DATETIME,
+    starts_at DATETIME,
+    ends_at DATETIME,
+    winner_ids TEXT,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP
   )
 `);
@@ -45,6 +58,7 @@ db.exec(`
     assassin_id TEXT,
     task TEXT,
     status TEXT,
+    team TEXT,
     joined_at DATETIME
   )
 `);
@@ -56,10 +70,118 @@ db.exec(`
     killer_id TEXT,
     victim_id TEXT,
     task TEXT,
+    resolution TEXT,
+    killer_prev_target_id TEXT,
+    killer_prev_task TEXT,
+    reverted_at DATETIME,
     timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
   )
 `);
 
+db.exec(`
+  CREATE TABLE IF NOT EXISTS kill_claims (
+    id TEXT PRIMARY KEY,
+    game_id TEXT,
+    killer_id TEXT,
+    victim_id TEXT,
+    task TEXT,
+    status TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME,
+    resolved_at DATETIME
+  )
+`);
+
+// Pairs of players the creator never wants to hunt each other (stored with player_a_id < player_b_id)
+db.exec(`
+  CREATE TABLE IF NOT EXISTS forbidden_pairs (
+    id TEXT PRIMARY KEY,
+    game_id TEXT,
+    player_a_id TEXT,
+    player_b_id TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (game_id, player_a_id, player_b_id)
+  )
+`);
+
+// Moderators the creator invited; only a hash of their token is stored
+db.exec(`
+  CREATE TABLE IF NOT EXISTS moderators (
+    id TEXT PRIMARY KEY,
+    game_id TEXT,
+    name TEXT,
+    token_hash TEXT UNIQUE,
+    permissions TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    revoked_at DATETIME
+  )
+`);
+
+// Every admin action, who ran it and on whom
+db.exec(`
+  CREATE TABLE IF NOT EXISTS admin_actions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    game_id TEXT,
+    actor_role TEXT,
+    actor_id TEXT,
+    actor_name TEXT,
+    action TEXT,
+    target_player_id TEXT,
+    payload TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`);
+
+// Everything that happens in a game as typed events; `data` holds a JSON object (see buildTimeline)
+db.exec(`
+  CREATE TABLE IF NOT EXISTS game_events (
+    id TEXT PRIMARY KEY,
+    game_id TEXT,
+    type TEXT,
+    data TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`);
+
+// Creator-registered URLs that receive game events; `secret` signs the deliveries
+db.exec(`
+  CREATE TABLE IF NOT EXISTS webhooks (
+    id TEXT PRIMARY KEY,
+    game_id TEXT,
+    url TEXT,
+    secret TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`);
+
+// One row per event sent to a webhook (status: pending -> delivered | failed)
+db.exec(`
+  CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id TEXT PRIMARY KEY,
+    webhook_id TEXT,
+    game_id TEXT,
+    event TEXT,
+    payload TEXT,
+    status TEXT DEFAULT 'pending',
+    attempts INTEGER DEFAULT 0,
+    response_status INTEGER,
+    error TEXT,
+    next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    delivered_at DATETIME
+  )
+`);
+
+// Failed reclaim guesses per player ('player:<id>') and per client address ('ip:<address>')
+db.exec(`
+  CREATE TABLE IF NOT EXISTS reclaim_lockouts (
+    key TEXT PRIMARY KEY,
+    failures INTEGER,
+    last_failure_at DATETIME,
+    locked_until DATETIME
+  )
+`);
+
 // Add joined_at column if it doesn't exist (for migration)
 try {
   db.exec(`ALTER TABLE players ADD COLUMN joined_at DATETIME`);
@@ -67,11 +189,81 @@ try {
   // Column already exists, ignore error
 }
 
+// Add games.settings and kill_claims.expires_at columns if they don't exist (for migration)
+try {
+  db.exec(`ALTER TABLE games ADD COLUMN settings TEXT`);
+} catch (error) {
+  // Column already exists, ignore error
+}
+try {
+  db.exec(`ALTER TABLE kill_claims ADD COLUMN expires_at DATETIME`);
+} catch (error) {
+  // Column already exists, ignore error
+}
+
+// Add games.paused_at column if it doesn't exist (for migration)
+try {
+  db.exec(`ALTER TABLE games ADD COLUMN paused_at DATETIME`);
+} catch (error) {
+  // Column already exists, ignore error
+}
+
+// Add the schedule (games.starts_at, games.ends_at) and deadline winners columns if they don't exist (for migration)
+for (const column of ['starts_at DATETIME', 'ends_at DATETIME', 'winner_ids TEXT']) {
+  try {
+    db.exec(`ALTER TABLE games ADD COLUMN ${column}`);
+  } catch (error) {
+    // Column already exists, ignore error
+  }
+}
+
+// Add games.creator_recovery_hash column if it doesn't exist (for migration)
+try {
+  db.exec(`ALTER TABLE games ADD COLUMN creator_recovery_hash TEXT`);
+} catch (error) {
+  // Column already exists, ignore error
+}
+
+// Add players.team column if it doesn't exist (for migration)
+try {
+  db.exec(`ALTER TABLE players ADD COLUMN team TEXT`);
+} catch (error) {
+  // Column already exists, ignore error
+}
+
+// Add kill_history.resolution column if it doesn't exist (for migration)
+try {
+  db.exec(`ALTER TABLE kill_history ADD COLUMN resolution TEXT`);
+} catch (error) {
+  // Column already exists, ignore error
+}
+
+// Add the killer's pre-kill snapshot and the revert tombstone to kill_history (for migration)
+for (const column of ['killer_prev_target_id TEXT', 'killer_prev_task TEXT', 'reverted_at DATETIME']) {
+  try {
+    db.exec(`ALTER TABLE kill_history ADD COLUMN ${column}`);
+  } catch (error) {
+    // Column already exists, ignore error
+  }
+}
+
+// Add players.last_seen_at column if it doesn't exist (for migration)
+try {
+  db.exec(`ALTER TABLE players ADD COLUMN last_seen_at DATETIME`);
+} catch (error) {
+  // Column already exists, ignore error
+}
+
 // Middleware
+// Throttled before any body is read (see Rate limiting)
+app.use('/api', limitHttpRequests('api'));
+app.use('/api/create-game', limitHttpRequests('create-game'));
 app.use(express.json());
 app.use(express.static('public'));
 app.use(fileUpload({
-  limits: { fileSize: 50 * 1024 * 1024 }, // 50MB max
+  limits: { fileSize: 1024 * 1024 }, // 1MB max; a task list is a few KB
+  abortOnLimit: true,
+  limitHandler: (req, res) => sendError(res, 413, 'Task file is too large (1 MB max).'),
   useTempFiles: false,
   tempFileDir: '/tmp/'
 }));
@@ -79,9 +271,16 @@ app.use(fileUpload({
 // ----------------------------
 // In-memory socket bookkeeping
 // ----------------------------
-// Maps to send socket-targeted events (kill challenge, direct DM)
-const sessionToSocket = new Map(); // session_token -> socket.id
-const playerToSocket = new Map();  // player.id -> socket.id
+// A player's sockets (one per device) share the room `player:<id>` (see playerRoom)
+// Players counted as online (see Presence), and the grace timers of those whose last device dropped
+const onlinePlayers = new Set();   // player.id
+const presenceTimers = new Map();  // player.id -> Timeout
+// Timers that resolve unanswered kill claims (re-armed from the DB on boot)
+const claimTimers = new Map();     // kill_claims.id -> Timeout
+// Timers for scheduled starts and deadlines (re-armed from the DB on boot)
+const scheduleTimers = new Map();  // `${gameCode}:start` / `${gameCode}:end` -> Timeout
+// Timers that retry failed webhook deliveries (re-armed from the DB on boot)
+const webhookTimers = new Map();   // webhook_deliveries.id -> Timeout
 
 // ----------------------------
 // Prepared DB helpers
@@ -89,19 +288,189 @@ const playerToSocket = new Map();  // player.id -> socket.id
 const getGameById = db.prepare(`SELECT * FROM games WHERE id = ?`);
 const listAlivePlayers = db.prepare(`SELECT * FROM players WHERE game_id = ? AND status = 'alive' ORDER BY name`);
 const listAllPlayers = db.prepare(`SELECT id, name, status, session_token, joined_at, target_id, task FROM players WHERE game_id = ? ORDER BY name`);
+const listRosterPlayers = db.prepare(`SELECT id, name, status, team, joined_at, last_seen_at FROM players WHERE game_id = ? ORDER BY name`);
+const touchPlayerLastSeen = db.prepare(`UPDATE players SET last_seen_at = CURRENT_TIMESTAMP WHERE id = ?`);
 const getPlayerBySession = db.prepare(`SELECT * FROM players WHERE session_token = ?`);
 const getPlayerById = db.prepare(`SELECT * FROM players WHERE id = ?`);
 const updatePlayerTargetAndTask = db.prepare(`UPDATE players SET target_id = ?, task = ? WHERE id = ?`);
 const setGameStatus = db.prepare(`UPDATE games SET status = ? WHERE id = ?`);
+const pauseGame = db.prepare(`UPDATE games SET status = 'paused', paused_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'active'`);
+const resumeGame = db.prepare(`UPDATE games SET status = 'active', paused_at = NULL WHERE id = ? AND status = 'paused'`);
 const setPlayerStatus = db.prepare(`UPDATE players SET status = ? WHERE id = ?`);
 const setPlayerTargetOnly = db.prepare(`UPDATE players SET target_id = ? WHERE id = ?`);
 const setPlayerTaskOnly = db.prepare(`UPDATE players SET task = ? WHERE id = ?`);
+// resolution: victim-confirmed | admin-ruled | auto-timeout
+const insertKillHistory = db.prepare(`
+  INSERT INTO kill_history (id, game_id, killer_id, victim_id, task, resolution, killer_prev_target_id, killer_prev_task)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+`);
+const getKillById = db.prepare(`SELECT * FROM kill_history WHERE id = ?`);
+const listGameKills = db.prepare(`
+  SELECT kh.id, kh.killer_id, kh.victim_id, kh.task, kh.resolution, kh.timestamp,
+         k.name AS killer_name, v.name AS victim_name, v.status AS victim_status
+  FROM kill_history kh
+  LEFT JOIN players k ON kh.killer_id = k.id
+  LEFT JOIN players v ON kh.victim_id = v.id
+  WHERE kh.game_id = ? AND kh.reverted_at IS NULL
+  ORDER BY kh.timestamp DESC, kh.rowid DESC
+`);
+// Kills the same killer made after the given one and that still stand
+const countLaterKills = db.prepare(`
+  SELECT COUNT(*) AS count FROM kill_history
+  WHERE killer_id = ? AND reverted_at IS NULL AND rowid > (SELECT rowid FROM kill_history WHERE id = ?)
+`);
+const markKillReverted = db.prepare(`UPDATE kill_history SET reverted_at = CURRENT_TIMESTAMP WHERE id = ? AND reverted_at IS NULL`);
+// kill claims (status: pending -> confirmed | denied | escalated | cancelled,
+//              denied -> escalated, escalated -> upheld | rejected | cancelled)
+const insertKillClaim = db.prepare(`
+  INSERT INTO kill_claims (id, game_id, killer_id, victim_id, task, status, expires_at)
+  VALUES (?, ?, ?, ?, ?, 'pending', CASE WHEN ? > 0 THEN datetime('now', '+' || ? || ' minutes') END)
+`);
+const getKillClaimById = db.prepare(`
+  SELECT kc.*, k.name AS killer_name, v.name AS victim_name
+  FROM kill_claims kc
+  LEFT JOIN players k ON kc.killer_id = k.id
+  LEFT JOIN players v ON kc.victim_id = v.id
+  WHERE kc.id = ?
+`);
+const getPendingClaimByPair = db.prepare(`SELECT id FROM kill_claims WHERE killer_id = ? AND victim_id = ? AND status = 'pending'`);
+const listPendingClaimsForPlayer = db.prepare(`
+  SELECT kc.*, k.name AS killer_name, v.name AS victim_name
+  FROM kill_claims kc
+  LEFT JOIN players k ON kc.killer_id = k.id
+  LEFT JOIN players v ON kc.victim_id = v.id
+  WHERE kc.status = 'pending' AND (kc.killer_id = ? OR kc.victim_id = ?)
+  ORDER BY kc.created_at
+`);
+const closeKillClaim = db.prepare(`UPDATE kill_claims SET status = ?, resolved_at = CURRENT_TIMESTAMP WHERE id = ? AND status = ?`);
+const getOpenDisputeByPair = db.prepare(`SELECT id FROM kill_claims WHERE killer_id = ? AND victim_id = ? AND status = 'escalated'`);
+const listOpenDisputesForPlayer = db.prepare(`SELECT * FROM kill_claims WHERE status = 'escalated' AND (killer_id = ? OR victim_id = ?)`);
+const listGameDisputes = db.prepare(`
+  SELECT kc.*, k.name AS killer_name, v.name AS victim_name
+  FROM kill_claims kc
+  LEFT JOIN players k ON kc.killer_id = k.id
+  LEFT JOIN players v ON kc.victim_id = v.id
+  WHERE kc.game_id = ? AND kc.status = 'escalated'
+  ORDER BY kc.resolved_at
+`);
+// Timers of paused games stay disarmed until the game resumes
+const listExpiringClaims = db.prepare(`
+  SELECT kc.id, kc.expires_at
+  FROM kill_claims kc
+  JOIN games g ON kc.game_id = g.id
+  WHERE kc.status = 'pending' AND kc.expires_at IS NOT NULL AND g.status != 'paused'
+`);
+const listGameExpiringClaims = db.prepare(`SELECT id, expires_at FROM kill_claims WHERE game_id = ? AND status = 'pending' AND expires_at IS NOT NULL`);
+const postponeGameClaims = db.prepare(`
+  UPDATE kill_claims SET expires_at = datetime(expires_at, ?)
+  WHERE game_id = ? AND status = 'pending' AND expires_at IS NOT NULL
+`);
+// forbidden pairs
+const listForbiddenPairIds = db.prepare(`SELECT player_a_id, player_b_id FROM forbidden_pairs WHERE game_id = ?`);
+const listForbiddenPairs = db.prepare(`
+  SELECT fp.id, fp.player_a_id, a.name AS player_a_name, fp.player_b_id, b.name AS player_b_name
+  FROM forbidden_pairs fp
+  LEFT JOIN players a ON fp.player_a_id = a.id
+  LEFT JOIN players b ON fp.player_b_id = b.id
+  WHERE fp.game_id = ?
+  ORDER BY a.name, b.name
+`);
+const insertForbiddenPair = db.prepare(`INSERT OR IGNORE INTO forbidden_pairs (id, game_id, player_a_id, player_b_id) VALUES (?, ?, ?, ?)`);
+const deleteForbiddenPair = db.prepare(`DELETE FROM forbidden_pairs WHERE id = ? AND game_id = ?`);
+const insertGameEvent = db.prepare(`INSERT INTO game_events (id, game_id, type, data) VALUES (?, ?, ?, ?)`);
+const listGameEvents = db.prepare(`SELECT type, data, created_at FROM game_events WHERE game_id = ? ORDER BY created_at ASC, rowid ASC`);
+const getLastGameFinish = db.prepare(`
+  SELECT data FROM game_events WHERE game_id = ? AND type = 'game_finished' ORDER BY created_at DESC, rowid DESC LIMIT 1
+`);
 // admin management
 const deleteGame = db.prepare(`DELETE FROM games WHERE id = ?`);
 const deleteGamePlayers = db.prepare(`DELETE FROM players WHERE game_id = ?`);
+const deletePlayer = db.prepare(`DELETE FROM players WHERE id = ?`);
 const deleteGameKillHistory = db.prepare(`DELETE FROM kill_history WHERE game_id = ?`);
+const deleteGameKillClaims = db.prepare(`DELETE FROM kill_claims WHERE game_id = ?`);
+const deleteGameForbiddenPairs = db.prepare(`DELETE FROM forbidden_pairs WHERE game_id = ?`);
+const deleteGameEvents = db.prepare(`DELETE FROM game_events WHERE game_id = ?`);
+const insertModerator = db.prepare(`INSERT INTO moderators (id, game_id, name, token_hash, permissions) VALUES (?, ?, ?, ?, ?)`);
+const getModeratorByTokenHash = db.prepare(`SELECT * FROM moderators WHERE token_hash = ?`);
+const listGameModerators = db.prepare(`SELECT id, name, permissions, created_at FROM moderators WHERE game_id = ? AND revoked_at IS NULL ORDER BY created_at, rowid`);
+const revokeModerator = db.prepare(`UPDATE moderators SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND game_id = ? AND revoked_at IS NULL`);
+const deleteGameModerators = db.prepare(`DELETE FROM moderators WHERE game_id = ?`);
+const insertAdminAction = db.prepare(`
+  INSERT INTO admin_actions (game_id, actor_role, actor_id, actor_name, action, target_player_id, payload)
+  VALUES (?, ?, ?, ?, ?, ?, ?)
+`);
+const adminActionColumns = `
+  SELECT a.id, a.actor_role, a.actor_id, a.actor_name, a.action, a.target_player_id,
+         p.name AS target_player_name, a.payload, a.created_at
+  FROM admin_actions a
+  LEFT JOIN players p ON p.id = a.target_player_id
+  WHERE a.game_id = ?
+`;
+const listAdminActionsPage = db.prepare(`${adminActionColumns} ORDER BY a.id DESC LIMIT ? OFFSET ?`);
+const listAllAdminActions = db.prepare(`${adminActionColumns} ORDER BY a.id`);
+const countAdminActions = db.prepare(`SELECT COUNT(*) AS count FROM admin_actions WHERE game_id = ?`);
+const deleteGameAdminActions = db.prepare(`DELETE FROM admin_actions WHERE game_id = ?`);
+// webhooks
+const insertWebhook = db.prepare(`INSERT INTO webhooks (id, game_id, url, secret) VALUES (?, ?, ?, ?)`);
+const getWebhookById = db.prepare(`SELECT * FROM webhooks WHERE id = ?`);
+const listGameWebhooks = db.prepare(`SELECT * FROM webhooks WHERE game_id = ? ORDER BY created_at, rowid`);
+const deleteWebhook = db.prepare(`DELETE FROM webhooks WHERE id = ? AND game_id = ?`);
+const deleteGameWebhooks = db.prepare(`DELETE FROM webhooks WHERE game_id = ?`);
+const insertWebhookDelivery = db.prepare(`INSERT INTO webhook_deliveries (id, webhook_id, game_id, event, payload) VALUES (?, ?, ?, ?, ?)`);
+const getWebhookDelivery = db.prepare(`SELECT * FROM webhook_deliveries WHERE id = ?`);
+const recordWebhookAttempt = db.prepare(`
+  UPDATE webhook_deliveries
+  SET status = ?, attempts = attempts + 1, response_status = ?, error = ?, next_attempt_at = ?,
+      delivered_at = CASE WHEN ? = 'delivered' THEN CURRENT_TIMESTAMP END
+  WHERE id = ? AND status = 'pending'
+`);
+const listWebhookDeliveries = db.prepare(`
+  SELECT * FROM webhook_deliveries WHERE webhook_id = ?
+  ORDER BY created_at DESC, rowid DESC LIMIT ?
+`);
+const listPendingWebhookDeliveries = db.prepare(`SELECT id, next_attempt_at FROM webhook_deliveries WHERE status = 'pending'`);
+const listPendingDeliveryIdsForWebhook = db.prepare(`SELECT id FROM webhook_deliveries WHERE webhook_id = ? AND status = 'pending'`);
+const listPendingDeliveryIdsForGame = db.prepare(`SELECT id FROM webhook_deliveries WHERE game_id = ? AND status = 'pending'`);
+const deleteWebhookDeliveries = db.prepare(`DELETE FROM webhook_deliveries WHERE webhook_id = ?`);
+const deleteGameWebhookDeliveries = db.prepare(`DELETE FROM webhook_deliveries WHERE game_id = ?`);
 const updatePlayerPin = db.prepare(`UPDATE players SET pin_code = ? WHERE id = ?`);
+// Only replaces the hash it was computed from, so a PIN reset in the meantime wins
+const upgradePlayerPin = db.prepare(`UPDATE players SET pin_code = ? WHERE id = ? AND pin_code = ?`);
+const getReclaimLockout = db.prepare(`SELECT * FROM reclaim_lockouts WHERE key = ?`);
+const upsertReclaimLockout = db.prepare(`
+  INSERT INTO reclaim_lockouts (key, failures, last_failure_at, locked_until) VALUES (?, ?, ?, ?)
+  ON CONFLICT(key) DO UPDATE SET
+    failures = excluded.failures, last_failure_at = excluded.last_failure_at, locked_until = excluded.locked_until
+`);
+const clearReclaimLockout = db.prepare(`DELETE FROM reclaim_lockouts WHERE key = ?`);
+const deleteGameReclaimLockouts = db.prepare(`
+  DELETE FROM reclaim_lockouts WHERE key = 'creator:' || ? OR key IN (SELECT 'player:' || id FROM players WHERE game_id = ?)
+`);
 const getGameByCreator = db.prepare(`SELECT * FROM games WHERE creator_session = ?`);
+const setCreatorSession = db.prepare(`UPDATE games SET creator_session = ? WHERE id = ?`);
+const setCreatorRecovery = db.prepare(`UPDATE games SET creator_recovery_hash = ? WHERE id = ?`);
+// Only replaces the hash that was checked, so a passphrase changed in the meantime is kept
+const upgradeCreatorRecovery = db.prepare(`UPDATE games SET creator_recovery_hash = ? WHERE id = ? AND creator_recovery_hash = ?`);
+const setGameSettings = db.prepare(`UPDATE games SET settings = ? WHERE id = ?`);
+const setGameSchedule = db.prepare(`UPDATE games SET starts_at = ?, ends_at = ? WHERE id = ?`);
+const setGameWinners = db.prepare(`UPDATE games SET winner_ids = ? WHERE id = ?`);
+const listScheduledGames = db.prepare(`
+  SELECT * FROM games
+  WHERE (starts_at IS NOT NULL AND status = 'lobby')
+     OR (ends_at IS NOT NULL AND status IN ('lobby', 'active', 'paused'))
+`);
+const listAliveKillCounts = db.prepare(`
+  SELECT p.id, p.name, p.team, COUNT(kh.id) AS kills
+  FROM players p
+  LEFT JOIN kill_history kh ON kh.killer_id = p.id AND kh.reverted_at IS NULL
+  WHERE p.game_id = ? AND p.status = 'alive'
+  GROUP BY p.id
+  ORDER BY p.name
+`);
+const countGamePlayers = db.prepare(`SELECT COUNT(*) AS count FROM players WHERE game_id = ?`);
+const countTeamPlayers = db.prepare(`SELECT COUNT(*) AS count FROM players WHERE game_id = ? AND team IS NOT NULL`);
+const getPlayerByName = db.prepare(`SELECT id FROM players WHERE game_id = ? AND name = ?`);
+const insertPlayer = db.prepare(`INSERT INTO players (id, game_id, name, team, status) VALUES (?, ?, ?, ?, ?)`);
 
 // ----------------------------
 // Utility helpers
@@ -154,10 +523,7 @@ const DEFAULT_TASKS = [
 // ----------------------------
 // Input validation helpers
 // ----------------------------
-function validateGameCode(code) {
-  return typeof code === 'string' && /^[A-Z0-9]{4,10}$/.test(code.trim());
-}
-
+// Request shapes are checked by the request schemas; these check the lines of the roster and task lists
 function validatePlayerName(name) {
   return typeof name === 'string' && name.trim().length >= 1 && name.trim().length <= 50;
 }
@@ -166,1340 +532,3866 @@ function validateTask(task) {
   return typeof task === 'string' && task.trim().length >= 1 && task.trim().length <= 100;
 }
 
-function validatePin(pin) {
-  return typeof pin === 'string' && /^\d{4}$/.test(pin.trim());
+function validateTeamName(team) {
+  return typeof team === 'string' && team.trim().length >= 1 && team.trim().length <= 50;
+}
+
+// A playerNames line is "Name" or "Name | Team"
+function parsePlayerLine(line) {
+  const parts = line.split('|').map(s => s.trim());
+  if (parts.length > 2) return null;
+  return { name: parts[0], team: parts.length === 2 ? parts[1] : null };
 }
 
 // ----------------------------
-// API Endpoints
+// Game settings
 // ----------------------------
-app.post('/api/create-game', (req, res) => {
-  try {
-    let { playerNames, tasks } = req.body || {};
+// What happens to a kill claim nobody answered before its timeout
+const CLAIM_TIMEOUT_ACTIONS = ['confirm', 'deny', 'escalate'];
+// Which task a killer gets after a kill: the victim's, or a fresh one from the task pool
+const TASK_ON_KILL_OPTIONS = ['inherit', 'draw'];
+// Who wins when the deadline ends a game: everyone still alive, or the alive players with the most kills
+const DEADLINE_TIEBREAKS = ['shared', 'most-kills'];
+const MAX_PLAYERS_LIMIT = 500;
 
-    // Handle optional file upload for tasks
-    if (req.files && req.files.taskFile) {
-      try {
-        const taskFile = req.files.taskFile;
-        if (!taskFile.data || !Buffer.isBuffer(taskFile.data)) {
-          return res.status(400).json({ error: 'Invalid task file upload' });
-        }
-        const fileContent = taskFile.data.toString('utf8');
-        tasks = fileContent;
-      } catch (fileErr) {
-        console.error('Error reading task file:', fileErr);
-        return res.status(400).json({ error: 'Failed to process task file' });
-      }
-    }
+/**
+ * Defaults for the per-game rules stored as JSON in games.settings.
+ * Games created before settings existed behave exactly like these defaults.
+ */
+const DEFAULT_GAME_SETTINGS = {
+  claimTimeoutMinutes: 0, // 0 = a claim waits for an answer forever
+  claimTimeoutAction: 'confirm',
+  taskOnKill: 'inherit',
+  minPlayers: 2,
+  maxPlayers: 0, // 0 = no limit
+  allowDenials: true,
+  allowLateJoiners: false,
+  deadlineTiebreak: 'shared'
+};
+
+function getGameSettings(game) {
+  let stored = {};
+  try {
+    stored = (game && game.settings && JSON.parse(game.settings)) || {};
+  } catch {
+    stored = {};
+  }
+  return { ...DEFAULT_GAME_SETTINGS, ...stored };
+}
 
-    if (typeof playerNames !== 'string' || typeof tasks !== 'string') {
-      return res.status(400).json({ error: 'Player names and tasks must be provided as strings' });
-    }
+// Form checkboxes arrive as strings; anything unrecognised is undefined
+function parseBooleanSetting(value) {
+  if (value === true || value === 'true' || value === 'on' || value === '1') return true;
+  if (value === false || value === 'false' || value === 'off' || value === '0') return false;
+  return undefined;
+}
 
-    // Parse player names and tasks into arrays
-    const playersArray = playerNames
-      .split('\n')
-      .map(s => s.trim())
-      .filter(Boolean);
+function isProvided(value) {
+  return value !== undefined && value !== null && value !== '';
+}
 
-    const tasksArray = tasks
-      .split('\n')
-      .map(s => s.trim())
-      .filter(Boolean);
+/**
+ * Validate user-supplied settings (form strings or JSON values).
+ * Missing fields keep their value from `base` (the defaults for a new game,
+ * the current settings for a lobby edit). Returns { settings } or { error }.
+ */
+function validateGameSettings(input = {}, base = DEFAULT_GAME_SETTINGS) {
+  const settings = { ...DEFAULT_GAME_SETTINGS, ...base };
 
-    if (playersArray.length < 2) {
-      return res.status(400).json({ error: 'At least two players are required' });
-    }
-    if (tasksArray.length === 0) {
-      return res.status(400).json({ error: 'At least one task is required' });
+  if (isProvided(input.claimTimeoutMinutes)) {
+    const minutes = Number(input.claimTimeoutMinutes);
+    if (!Number.isInteger(minutes) || minutes < 0 || minutes > 1440) {
+      return { error: 'Claim timeout must be a whole number of minutes between 0 and 1440' };
     }
+    settings.claimTimeoutMinutes = minutes;
+  }
 
-    // Per-item validation
-    if (!playersArray.every(validatePlayerName)) {
-      return res.status(400).json({ error: 'Invalid player names detected' });
-    }
-    if (!tasksArray.every(validateTask)) {
-      return res.status(400).json({ error: 'Invalid tasks detected' });
+  if (isProvided(input.claimTimeoutAction)) {
+    if (!CLAIM_TIMEOUT_ACTIONS.includes(input.claimTimeoutAction)) {
+      return { error: 'Invalid claim timeout action' };
     }
+    settings.claimTimeoutAction = input.claimTimeoutAction;
+  }
 
-    // Generate unique game code
-    let gameCode;
-    do {
-      gameCode = generateGameCode();
-    } while (db.prepare('SELECT id FROM games WHERE id = ?').get(gameCode));
-
-    // Generate creator session token
-    const creatorToken = crypto.randomBytes(16).toString('hex');
+  if (isProvided(input.taskOnKill)) {
+    if (!TASK_ON_KILL_OPTIONS.includes(input.taskOnKill)) {
+      return { error: 'Invalid task-on-kill rule' };
+    }
+    settings.taskOnKill = input.taskOnKill;
+  }
 
-    // Insert game
-    const insertGame = db.prepare(`
-      INSERT INTO games (id, creator_session, status, task_pool)
-      VALUES (?, ?, ?, ?)
-    `);
-    insertGame.run(gameCode, creatorToken, 'lobby', JSON.stringify(tasksArray));
-    io.to(gameCode).emit('game-state', 'lobby');
+  if (isProvided(input.deadlineTiebreak)) {
+    if (!DEADLINE_TIEBREAKS.includes(input.deadlineTiebreak)) {
+      return { error: 'Invalid deadline tiebreak' };
+    }
+    settings.deadlineTiebreak = input.deadlineTiebreak;
+  }
 
-    // Insert players
-    const insertPlayer = db.prepare(`
-      INSERT INTO players (id, game_id, name, status)
-      VALUES (?, ?, ?, ?)
-    `);
-    for (const playerName of playersArray) {
-      const playerId = uuidv4();
-      insertPlayer.run(playerId, gameCode, playerName, 'not-joined');
+  if (isProvided(input.minPlayers)) {
+    const minPlayers = Number(input.minPlayers);
+    if (!Number.isInteger(minPlayers) || minPlayers < 2 || minPlayers > MAX_PLAYERS_LIMIT) {
+      return { error: `Minimum players must be a whole number between 2 and ${MAX_PLAYERS_LIMIT}` };
     }
+    settings.minPlayers = minPlayers;
+  }
 
-    // Build join URL
-    const joinUrl = `${getServerUrl(req)}/game/${gameCode}`;
+  if (isProvided(input.maxPlayers)) {
+    const maxPlayers = Number(input.maxPlayers);
+    if (!Number.isInteger(maxPlayers) || maxPlayers < 0 || maxPlayers > MAX_PLAYERS_LIMIT) {
+      return { error: `Maximum players must be a whole number between 0 and ${MAX_PLAYERS_LIMIT}` };
+    }
+    settings.maxPlayers = maxPlayers;
+  }
 
-    return res.json({ gameCode, creatorToken, joinUrl });
-  } catch (error) {
-    console.error('Error creating game:', error);
-    return res.status(500).json({ error: 'Failed to create game' });
+  if (settings.maxPlayers && settings.maxPlayers < settings.minPlayers) {
+    return { error: 'Maximum players cannot be lower than minimum players' };
   }
-});
 
+  for (const key of ['allowDenials', 'allowLateJoiners']) {
+    if (!isProvided(input[key])) continue;
+    const value = parseBooleanSetting(input[key]);
+    if (value === undefined) {
+      return { error: `Invalid value for ${key}` };
+    }
+    settings[key] = value;
+  }
 
-app.get('/game/:gameCode', (req, res) => {
-  res.sendFile(join(__dirname, 'public', 'game.html'));
-});
+  return { settings };
+}
 
-app.get('/api/game-summary', (req, res) => {
+// Task pool of a game, falling back to the built-in tasks
+function getTaskPool(game) {
+  let tasks;
   try {
-    const { gameCode } = req.query;
-    if (!gameCode || !/^[A-Z0-9]{4,8}$/.test(gameCode)) {
-      return res.status(400).json({ error: 'Invalid game code' });
-    }
-
-    const sessionToken = req.query.sessionToken || null;
+    tasks = Array.isArray(JSON.parse(game.task_pool)) ? JSON.parse(game.task_pool) : [];
+  } catch {
+    tasks = [];
+  }
+  return tasks.length > 0 ? tasks : DEFAULT_TASKS;
+}
 
-    const game = getGameById.get(gameCode);
-    if (!game) {
-      return res.status(404).json({ error: 'Game not found' });
-    }
+// One of the least used tasks of the pool, skipping `avoid` unless nothing else is left
+function pickLeastUsedTask(pool, counts, avoid = new Set()) {
+  const allowed = pool.filter(task => !avoid.has(task));
+  const options = allowed.length > 0 ? allowed : pool;
+  const fewest = Math.min(...options.map(task => counts.get(task) || 0));
+  const leastUsed = options.filter(task => (counts.get(task) || 0) === fewest);
+  return leastUsed[Math.floor(Math.random() * leastUsed.length)];
+}
 
-    // Winner
-    const alivePlayers = listAlivePlayers.all(gameCode);
-    const winner = alivePlayers.length === 1 ? alivePlayers[0] : null;
+/**
+ * Tasks for `count` players seated along a target cycle, in seat order: every
+ * task is used equally often (give or take one, so a small pool is spread
+ * evenly) and, when the pool is big enough, no two neighbouring seats share one.
+ */
+function assignCycleTasks(count, tasks) {
+  const pool = shuffleArray([...new Set(tasks)]);
+  const base = Math.floor(count / pool.length);
+  const groups = pool
+    .map((task, i) => Array(base + (i < count % pool.length ? 1 : 0)).fill(task))
+    .filter(group => group.length > 0);
+  // Rotate by a random offset so the task pattern doesn't line up with the (team-interleaved) seats
+  const ring = interleaveGroups(groups);
+  const offset = Math.floor(Math.random() * ring.length);
+  return [...ring.slice(offset), ...ring.slice(0, offset)];
+}
 
-    // Kill history with player names
-    const historyRows = db.prepare(`
-      SELECT kh.*, k.name AS killer_name, v.name AS victim_name,
-             (k.session_token = ?) AS is_own_kill
-      FROM kill_history kh
-      LEFT JOIN players k ON kh.killer_id = k.id
-      LEFT JOIN players v ON kh.victim_id = v.id
-      WHERE kh.game_id = ?
-      ORDER BY kh.timestamp ASC
-    `).all(sessionToken || null, gameCode);
+/**
+ * Task for a player whose place in the chain just changed (a killer, an
+ * assassin taking over, a late joiner), by the same rules as at the start:
+ * `preferred` (an inherited task) unless a chain neighbour already has it,
+ * otherwise the least used task no neighbour has. Call after relinking.
+ */
+function chooseTask(game, playerId, preferred = null) {
+  const alive = listAlivePlayers.all(game.id);
+  const player = alive.find(p => p.id === playerId);
+  const others = alive.filter(p => p.id !== playerId && p.task);
+  const avoid = new Set(others
+    .filter(p => p.target_id === playerId || (player && player.target_id === p.id))
+    .map(p => p.task));
+  if (preferred && !avoid.has(preferred)) return preferred;
+
+  const counts = new Map();
+  others.forEach(p => counts.set(p.task, (counts.get(p.task) || 0) + 1));
+  return pickLeastUsedTask([...new Set(getTaskPool(game))], counts, avoid);
+}
 
-    // Kill count per player (moved to SQL)
-    const killCountArr = db.prepare(`
-      SELECT p.name, COUNT(kh.id) AS count
-      FROM players p
-      LEFT JOIN kill_history kh ON kh.killer_id = p.id
-      WHERE p.game_id = ?
-      GROUP BY p.id
-      ORDER BY count DESC, p.name ASC
-    `).all(gameCode);
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone marker
+function parseDbTimestamp(value) {
+  return value ? new Date(`${value.replace(' ', 'T')}Z`) : null;
+}
 
-    // Current player
-    let currentPlayer = null;
-    if (sessionToken) {
-      currentPlayer = db.prepare(`
-        SELECT name FROM players WHERE session_token = ? AND game_id = ?
-      `).get(sessionToken, gameCode);
-    }
+function toDbTimestamp(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
 
-    res.json({
-      winner_name: winner ? winner.name : null,
-      kill_history: historyRows,
-      kill_count: killCountArr,
-      current_player_name: currentPlayer ? currentPlayer.name : null
-    });
+// Scheduled start and deadline as sent to clients (ISO strings, null when unset)
+function getGameSchedule(game) {
+  const startsAt = parseDbTimestamp(game.starts_at);
+  const endsAt = parseDbTimestamp(game.ends_at);
+  return {
+    startsAt: startsAt ? startsAt.toISOString() : null,
+    endsAt: endsAt ? endsAt.toISOString() : null
+  };
+}
 
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Failed to get game summary' });
+/**
+ * Validate a scheduled start and deadline given as date strings ('' or null
+ * clears one). Missing fields keep their value from `base` (a games row).
+ * New times must lie in the future and the deadline after the start.
+ * Returns { schedule } with DB timestamps, or { error }.
+ */
+function validateGameSchedule(input = {}, base = {}) {
+  const schedule = { starts_at: base.starts_at || null, ends_at: base.ends_at || null };
+  const fields = [['startsAt', 'starts_at', 'Start time'], ['endsAt', 'ends_at', 'Deadline']];
+  for (const [key, column, label] of fields) {
+    if (input[key] === undefined) continue;
+    if (input[key] === null || input[key] === '') {
+      schedule[column] = null;
+      continue;
+    }
+    const date = typeof input[key] === 'string' ? new Date(input[key]) : null;
+    if (!date || Number.isNaN(date.getTime())) {
+      return { error: `${label} is not a valid date` };
+    }
+    if (date.getTime() <= Date.now()) {
+      return { error: `${label} must be in the future` };
+    }
+    schedule[column] = toDbTimestamp(date);
   }
-});
-
+  if (schedule.starts_at && schedule.ends_at && schedule.ends_at <= schedule.starts_at) {
+    return { error: 'Deadline must be after the start time' };
+  }
+  return { schedule };
+}
 
 // ----------------------------
-// Socket.IO handlers
+// Roster broadcasting
 // ----------------------------
-io.on('connection', (socket) => {
-  console.log('A user connected:', socket.id);
-
-  // When a client joins a room to see the lobby
-  socket.on('join-game', (gameCode) => {
-    try {
-      if (typeof gameCode !== 'string' || !gameCode.trim()) {
-        socket.emit('error', { message: 'Invalid game code.' });
-        return;
-      }
-
-      if (!validateGameCode(gameCode)) {
-        socket.emit('error', { message: 'Invalid game code.' });
-        return;
-      }
-
-      const game = getGameById.get(gameCode);
-      if (!game) {
-        socket.emit('error', { message: 'Game not found.' });
-        return;
-      }
+/**
+ * Public projection of the player list. This is the only shape of player data
+ * that is ever sent to a game room: no session tokens, PINs, targets or tasks.
+ * `is_you` is computed for the receiving socket's own player; `online` is the
+ * player's presence (see Presence).
+ */
+function serializeRoster(players, viewerPlayerId = null) {
+  return players.map(p => ({
+    id: p.id,
+    name: p.name,
+    status: p.status,
+    team: p.team || null,
+    joined_at: p.joined_at,
+    online: onlinePlayers.has(p.id),
+    last_seen_at: p.last_seen_at ?? null,
+    is_you: !!viewerPlayerId && p.id === viewerPlayerId
+  }));
+}
 
-      // Check if game is finished and redirect immediately
-      if (game.status === 'finished') {
-        socket.emit('navigate-victory', { gameCode });
-        return;
-      }
+// Send the roster to a single socket
+function sendPlayerList(socket, gameCode) {
+  const players = listRosterPlayers.all(gameCode);
+  socket.emit('player-list-update', serializeRoster(players, socket.data.playerId));
+}
 
-      socket.emit('game-state', game.status);
+// Send the roster to every socket in the game room, each with its own `is_you` flag
+function broadcastPlayerList(gameCode) {
+  const room = io.sockets.adapter.rooms.get(gameCode);
+  if (!room) return;
+  const players = listRosterPlayers.all(gameCode);
+  for (const socketId of room) {
+    const roomSocket = io.sockets.sockets.get(socketId);
+    if (!roomSocket) continue;
+    roomSocket.emit('player-list-update', serializeRoster(players, roomSocket.data.playerId));
+  }
+}
 
-      socket.join(gameCode);
+// Every device a player has open joins their room, so DMs reach all of them
+function playerRoom(playerId) {
+  return `player:${playerId}`;
+}
 
-      const players = db.prepare(`
-        SELECT id, name, status, session_token, joined_at
-        FROM players
-        WHERE game_id = ?
-        ORDER BY name
-      `).all(gameCode);
+function playerSockets(playerId) {
+  const room = io.sockets.adapter.rooms.get(playerRoom(playerId));
+  return room ? [...room].map(socketId => io.sockets.sockets.get(socketId)).filter(Boolean) : [];
+}
 
-      if (!Array.isArray(players)) {
-        socket.emit('error', { message: 'Failed to load players.' });
-        return;
-      }
+// A device of the player joined or left their room: the admin player list shows
+// how many are connected, and presence follows
+function playerDevicesChanged(gameCode, playerId) {
+  const devices = playerSockets(playerId).length;
+  emitToCreatorSockets(gameCode, 'admin-player-devices', { playerId, devices });
+  updatePresence(gameCode, playerId, devices > 0);
+}
 
-      // Check if this socket has a session and notify them of their status
-      if (socket.data && socket.data.sessionToken) {
-        const player = getPlayerBySession.get(socket.data.sessionToken);
-        if (player) {
-          // Send the appropriate game state based on player status
-          if (player.status === 'eliminated' || player.status === 'left') {
-            socket.emit('you-eliminated');
-          } else if (player.status === 'alive' && game.status === 'active') {
-            // Send the player's current assignment
-            const target = player.target_id ? getPlayerById.get(player.target_id) : null;
-            socket.emit('your-assignment', {
-              target: target ? { id: target.id, name: target.name } : null,
-              task: player.task || null
-            });
-          }
-        }
-      }
-      socket.emit('player-list-update', players);
-    } catch (error) {
-      console.error('Error in join-game handler:', error);
-      socket.emit('error', { message: 'Failed to join game.' });
-    }
-  });
+// Remember which player a socket belongs to, so it can be messaged and its events act for that player
+function bindSocketToPlayer(socket, player, sessionToken = player.session_token) {
+  if (socket.data.playerId && socket.data.playerId !== player.id) detachSocket(socket);
+  socket.data.sessionToken = sessionToken;
+  socket.data.playerId = player.id;
+  socket.data.gameCode = player.game_id;
+  if (socket.rooms.has(playerRoom(player.id))) return;
+  socket.join(playerRoom(player.id));
+  playerDevicesChanged(player.game_id, player.id);
+}
 
-    // Claim identity (player picks their name and joins as 'alive')
-    socket.on('claim-identity', (data) => {
-    try {
-      const { gameCode, playerName, pin } = data;
+// Forget which player a socket belongs to; the player's other devices stay signed in
+function detachSocket(socket) {
+  const { playerId, gameCode } = socket.data;
+  socket.data.sessionToken = null;
+  socket.data.playerId = null;
+  if (!playerId) return;
+  socket.leave(playerRoom(playerId));
+  playerDevicesChanged(gameCode, playerId);
+}
 
-      // Defensive input validation
-      if (!validateGameCode(gameCode)) {
-        socket.emit('error', { message: 'Invalid game code.' });
-        return;
-      }
-      if (!validatePlayerName(playerName)) {
-        socket.emit('error', { message: 'Invalid player name.' });
-        return;
-      }
-      if (!validatePin(pin)) {
-        socket.emit('error', { message: 'Invalid PIN. Must be 4 digits.' });
-        return;
-      }
+// End a player's session on all their devices, telling each with `event`
+function detachPlayerSockets(playerId, event, payload) {
+  for (const playerSocket of playerSockets(playerId)) {
+    playerSocket.emit(event, payload);
+    detachSocket(playerSocket);
+  }
+}
 
-      console.log(`User ${socket.id} claiming identity ${playerName} in game ${gameCode}`);
+// ----------------------------
+// Presence
+// ----------------------------
+// A player is online while one of their devices is connected, and for a grace
+// period after the last one drops, so a phone switching networks does not
+// flicker offline. `last_seen_at` is stamped whenever a device comes or goes.
+const PRESENCE_GRACE_SECONDS = 30;
+
+function updatePresence(gameCode, playerId, connected) {
+  clearTimeout(presenceTimers.get(playerId));
+  presenceTimers.delete(playerId);
+  touchPlayerLastSeen.run(playerId);
+
+  if (connected) {
+    if (onlinePlayers.has(playerId)) return;
+    onlinePlayers.add(playerId);
+    broadcastPlayerList(gameCode);
+    return;
+  }
+  if (!onlinePlayers.has(playerId)) return;
+  const timer = setTimeout(() => expirePresence(gameCode, playerId), PRESENCE_GRACE_SECONDS * 1000);
+  timer.unref();
+  presenceTimers.set(playerId, timer);
+}
 
-      const game = getGameById.get(gameCode);
-      if (!game) {
-        socket.emit('error', { message: 'Game not found.' });
-        return;
-      }
+// The grace period ran out (exported so tests need not wait for it)
+function expirePresence(gameCode, playerId) {
+  clearTimeout(presenceTimers.get(playerId));
+  presenceTimers.delete(playerId);
+  if (!onlinePlayers.has(playerId) || playerSockets(playerId).length > 0) return;
+  onlinePlayers.delete(playerId);
+  broadcastPlayerList(gameCode);
+}
 
-      // Check if player exists and is not already claimed
-      const player = db.prepare(`
-        SELECT * FROM players
-        WHERE game_id = ? AND name = ? AND status = 'not-joined'
-      `).get(gameCode, playerName);
+// ----------------------------
+// Target chain constraints (teams, forbidden pairs)
+// ----------------------------
+// Players without a team count as a team of their own
+function teamKey(player) {
+  return player.team || `solo:${player.id}`;
+}
 
-      if (!player) {
-        socket.emit('error', { message: 'Player not found or already claimed' });
-        return;
-      }
+function isTeammate(a, b) {
+  return Boolean(a && b && a.team) && a.team === b.team;
+}
 
-      // Generate session token and hash PIN
-      const sessionToken = crypto.randomBytes(16).toString('hex');
-      const hashedPin = crypto.createHash('sha256').update(pin).digest('hex');
+// Forbidden pairs are symmetric, so they are keyed on the sorted ids
+function pairKey(aId, bId) {
+  return aId < bId ? `${aId}|${bId}` : `${bId}|${aId}`;
+}
 
-      // Update player status, session token, PIN hash, and joined_at timestamp
-      db.prepare(`
-        UPDATE players
-        SET status = 'alive', session_token = ?, pin_code = ?, joined_at = CURRENT_TIMESTAMP
-        WHERE id = ?
-      `).run(sessionToken, hashedPin, player.id);
+function loadForbiddenPairs(gameCode) {
+  return new Set(listForbiddenPairIds.all(gameCode).map(p => pairKey(p.player_a_id, p.player_b_id)));
+}
 
-      // Send confirmation to the claiming client
-      socket.emit('identity-confirmed', {
-        sessionToken,
-        playerName,
-        playerId: player.id
-      });
+// Whether `a` may be given `b` as target: never a teammate, never a forbidden partner
+function canTarget(a, b, forbidden) {
+  return a.id !== b.id && !isTeammate(a, b) && !forbidden.has(pairKey(a.id, b.id));
+}
 
-      // Send game state to the client BEFORE player list update
-      socket.emit('game-state', game.status);
-      if (game && game.status === 'active' && player.status === 'eliminated') {
-        socket.emit('you-eliminated');
-      }
+function isValidCycle(cycle, forbidden) {
+  return cycle.every((player, i) => canTarget(player, cycle[(i + 1) % cycle.length], forbidden));
+}
 
-      // Store mapping so we can DM this socket later
-      sessionToSocket.set(sessionToken, socket.id);
-      playerToSocket.set(player.id, socket.id);
-      socket.data.sessionToken = sessionToken;
-      socket.data.playerId = player.id;
-      socket.data.gameCode = gameCode;
+/**
+ * Seat the members of `groups` around a ring: laid out group by group, largest
+ * first, then dealt alternately into the even and odd seats, so no two members
+ * of a group sit next to each other as long as no group holds more than half.
+ */
+function interleaveGroups(groups) {
+  const ordered = [...groups].sort((a, b) => b.length - a.length).flat();
+  const evenSeats = Math.ceil(ordered.length / 2);
+  const ring = [];
+  ordered.forEach((member, i) => {
+    ring[i < evenSeats ? i * 2 : (i - evenSeats) * 2 + 1] = member;
+  });
+  return ring;
+}
 
-      // Fetch updated player list and broadcast to room
-      const updatedPlayers = db.prepare(`
-        SELECT id, name, status, session_token, joined_at
-        FROM players
-        WHERE game_id = ?
-        ORDER BY name
-      `).all(gameCode);
+// Team-aware random ring
+function interleaveTeams(players) {
+  const teams = new Map();
+  for (const player of shuffleArray(players)) {
+    const key = teamKey(player);
+    if (!teams.has(key)) teams.set(key, []);
+    teams.get(key).push(player);
+  }
+  return interleaveGroups(shuffleArray([...teams.values()]));
+}
 
-      io.to(gameCode).emit('player-list-update', updatedPlayers);
+// Bounds of the cycle search: it runs on the event loop, so hard instances are given up on
+const CYCLE_SEARCH_MAX_STEPS = 20000;
+const CYCLE_SEARCH_MAX_MS = 250;
 
-    } catch (error) {
-      console.error('Error claiming identity:', error);
-      socket.emit('error', { message: 'Failed to claim identity' });
+/**
+ * Randomised depth-first search for a Hamiltonian cycle, most constrained
+ * player first. Returns { cycle }, or { exhausted } telling whether it gave up
+ * on its step or time budget rather than ruling every cycle out.
+ */
+function searchTargetCycle(players, forbidden, { maxSteps = CYCLE_SEARCH_MAX_STEPS, maxMs = CYCLE_SEARCH_MAX_MS } = {}) {
+  const start = players[0];
+  const path = [start];
+  const used = new Set([start.id]);
+  const deadline = Date.now() + maxMs;
+  let steps = 0;
+  let exhausted = false;
+
+  const openMoves = (player) => players.filter(p => !used.has(p.id) && canTarget(player, p, forbidden)).length;
+
+  function extend() {
+    if (exhausted) return false;
+    if (++steps > maxSteps || Date.now() > deadline) {
+      exhausted = true;
+      return false;
     }
-  });
+    const last = path[path.length - 1];
+    if (path.length === players.length) return canTarget(last, start, forbidden);
+
+    const options = shuffleArray(players.filter(p => !used.has(p.id) && canTarget(last, p, forbidden)))
+      .map(p => ({ p, moves: openMoves(p) }))
+      .sort((a, b) => a.moves - b.moves);
+    for (const { p } of options) {
+      path.push(p);
+      used.add(p.id);
+      if (extend()) return true;
+      path.pop();
+      used.delete(p.id);
+    }
+    return false;
+  }
 
-  socket.on('reclaim-identity', (data) => {
-    try {
-      const { gameCode, playerName, pin } = data;
+  return extend() ? { cycle: path } : { exhausted };
+}
 
-      // Defensive input validation
-      if (!validateGameCode(gameCode)) {
-        socket.emit('error', { message: 'Invalid game code.' });
-        return;
-      }
-      if (!validatePlayerName(playerName)) {
-        socket.emit('error', { message: 'Invalid player name.' });
-        return;
-      }
-      if (!validatePin(pin)) {
-        socket.emit('error', { message: 'Reclaim failed.' });
-        return;
-      }
+/**
+ * Order players into a target cycle (each targets the next, the last the first)
+ * in which nobody targets a teammate or a forbidden partner.
+ * Returns { cycle }, or { error } saying why none was found.
+ */
+function buildTargetCycle(players, forbidden = new Set()) {
+  if (players.length < 2) return { error: 'Need at least 2 players.' };
+  const teamSizes = new Map();
+  players.forEach(p => teamSizes.set(teamKey(p), (teamSizes.get(teamKey(p)) || 0) + 1));
+  if (Math.max(...teamSizes.values()) > Math.floor(players.length / 2)) {
+    return { error: 'Teams are too uneven: no team may have more than half of the players.' };
+  }
 
-      console.log(`User ${socket.id} attempting to reclaim identity ${playerName} in game ${gameCode}`);
+  // Everyone needs someone to hunt and someone hunting them (in a pair that is the same player)
+  const partnersNeeded = Math.min(2, players.length - 1);
+  const blocked = players.find(p => players.filter(q => canTarget(p, q, forbidden)).length < partnersNeeded);
+  if (blocked) {
+    return { error: `No valid target chain exists: ${blocked.name} is forbidden from too many players. Remove some of their forbidden pairs and try again.` };
+  }
 
-      // Get game first to check its status
-      const game = getGameById.get(gameCode);
-      if (!game) {
-        socket.emit('error', { message: 'Game not found.' });
-        return;
-      }
+  // Cheap randomised rings first; they almost always work when constraints are sparse
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const cycle = interleaveTeams(players);
+    if (isValidCycle(cycle, forbidden)) return { cycle };
+  }
+  const { cycle, exhausted } = searchTargetCycle(shuffleArray(players), forbidden);
+  if (cycle) return { cycle };
+  return {
+    error: exhausted
+      ? 'No target chain was found in time: remove some forbidden pairs (or balance the teams) and try again.'
+      : 'No valid target chain exists: remove some forbidden pairs (or balance the teams) and try again.'
+  };
+}
 
-      // Check if the user already has a session for a DIFFERENT identity
-      if (socket.data && socket.data.sessionToken) {
-        const currentPlayer = getPlayerBySession.get(socket.data.sessionToken);
-        // Only cancel if they're reclaiming a different identity
-        if (currentPlayer && currentPlayer.game_id === gameCode && currentPlayer.name !== playerName) {
-          // Cancel the current identity (only if it's a different player)
-          db.prepare(`
-            UPDATE players
-            SET session_token = NULL
-            WHERE id = ?
-          `).run(currentPlayer.id);
-          
-          // Remove socket mappings for the current session/player
-          sessionToSocket.delete(socket.data.sessionToken);
-          playerToSocket.delete(currentPlayer.id);
-          
-          // Notify the client that their old identity was canceled
-          socket.emit('identity-canceled', {
-            playerName: currentPlayer.name
-          });
-        }
-      }
+/**
+ * Put `player` (currently outside the chain) between two alive players of the
+ * chain, preferring a spot where both links are allowed; `chain` maps
+ * player id -> player and is kept in sync. Returns the id of the new hunter.
+ */
+function slotIntoChain(player, chain, forbidden) {
+  const edges = [...chain.values()]
+    .filter(a => a.id !== player.id && chain.has(a.target_id) && a.target_id !== player.id)
+    .map(a => ({ hunter: a, prey: chain.get(a.target_id) }));
+  // Best spot first; when no clean spot exists, at least keep the player hunted by an opponent
+  const preferences = [
+    e => canTarget(e.hunter, player, forbidden) && canTarget(player, e.prey, forbidden),
+    e => canTarget(e.hunter, player, forbidden) && !isTeammate(player, e.prey),
+    e => !isTeammate(e.hunter, player),
+    () => true
+  ];
+  const options = preferences.map(fits => edges.filter(fits)).find(spots => spots.length > 0);
+  if (!options) return null;
+
+  const { hunter, prey } = options[Math.floor(Math.random() * options.length)];
+  setPlayerTargetOnly.run(prey.id, player.id);
+  setPlayerTargetOnly.run(player.id, hunter.id);
+  chain.set(player.id, { ...player, target_id: prey.id });
+  chain.set(hunter.id, { ...hunter, target_id: player.id });
+  return hunter.id;
+}
 
-      // Find player with matching name and existing PIN
-      const player = db.prepare(`
-        SELECT * FROM players
-        WHERE game_id = ? AND name = ? AND pin_code IS NOT NULL
-      `).get(gameCode, playerName);
+/**
+ * Point `hunter` at `nextId` after the player between them left the chain.
+ * Players the hunter may not target (teammates, forbidden partners) are
+ * skipped and slotted back in elsewhere; a forbidden partner is still taken
+ * when nobody else is left. Must run inside a transaction; returns the ids of
+ * the other players whose target changed.
+ */
+function relinkChain(hunter, nextId) {
+  const chain = new Map(listAlivePlayers.all(hunter.game_id).map(p => [p.id, p]));
+  const forbidden = loadForbiddenPairs(hunter.game_id);
+  const run = [];
+  let next = chain.get(nextId);
+  while (next && next.id !== hunter.id && !canTarget(hunter, next, forbidden)) {
+    run.push(next);
+    next = chain.get(next.target_id);
+  }
+  let skipped = run;
+  if (!next || next.id === hunter.id) {
+    next = run.find(p => !isTeammate(hunter, p)) || null;
+    skipped = next ? run.slice(0, run.indexOf(next)) : [];
+  }
 
-      if (!player) {
-        socket.emit('error', { message: 'Reclaim failed.' });
-        return;
-      }
+  // Nobody left to hunt (2-player cycle, or only teammates remain): the hunter's side has won
+  const targetId = next ? next.id : null;
+  setPlayerTargetOnly.run(targetId, hunter.id);
+  if (!targetId) return [];
+
+  chain.set(hunter.id, { ...hunter, target_id: targetId });
+  skipped.forEach(p => chain.delete(p.id));
+  const retargeted = new Set();
+  for (const player of skipped) {
+    retargeted.add(player.id);
+    const newHunterId = slotIntoChain(player, chain, forbidden);
+    if (newHunterId && newHunterId !== hunter.id) retargeted.add(newHunterId);
+  }
+  return [...retargeted];
+}
 
-      // Verify PIN
-      const hashedPin = crypto.createHash('sha256').update(pin).digest('hex');
-      if (player.pin_code !== hashedPin) {
-        socket.emit('error', { message: 'Reclaim failed.' });
-        return;
-      }
+// Claims made by a hunter on their old target no longer apply once their target changes
+function cancelClaimsBy(killerId) {
+  [...listPendingClaimsForPlayer.all(killerId, killerId), ...listOpenDisputesForPlayer.all(killerId, killerId)]
+    .filter(claim => claim.killer_id === killerId)
+    .forEach(cancelClaim);
+}
 
-      // Find and notify old session (if any) - but only if it's not our current session
-      if (player.session_token && sessionToSocket.has(player.session_token) && 
-          (!socket.data.sessionToken || player.session_token !== socket.data.sessionToken)) {
-        const oldSocketId = sessionToSocket.get(player.session_token);
-        io.to(oldSocketId).emit('session-invalidated');
-        sessionToSocket.delete(player.session_token);
-      }
+// Tell players their target changed because the chain was rearranged around them
+function sendRetargeted(playerIds) {
+  for (const playerId of playerIds) {
+    cancelClaimsBy(playerId);
+    sendAssignment(playerId, 'new-target');
+  }
+}
 
-      // Generate new session token
-      const newSessionToken = crypto.randomBytes(16).toString('hex');
+// ----------------------------
+// Moderators
+// ----------------------------
+// Admin actions the creator can delegate to moderators
+const MODERATOR_PERMISSIONS = ['reset-pin', 'manual-kill', 'player-leave', 'end-game'];
 
-      // If game is still in lobby, set status to 'alive'
-      if (game && game.status === 'lobby') {
-        db.prepare(`
-          UPDATE players
-          SET session_token = ?, status = 'alive'
-          WHERE id = ?
-        `).run(newSessionToken, player.id);
-      } else {
-        // Otherwise, just update session_token
-        db.prepare(`
-          UPDATE players
-          SET session_token = ?
-          WHERE id = ?
-        `).run(newSessionToken, player.id);
-      }
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
 
-      // Send confirmation to the reclaiming client
-      socket.emit('identity-reclaimed', {
-        sessionToken: newSessionToken,
-        playerName: player.name,
-        playerId: player.id
-      });
+function moderatorPayload(moderator) {
+  return {
+    id: moderator.id,
+    name: moderator.name,
+    permissions: JSON.parse(moderator.permissions || '[]'),
+    created_at: moderator.created_at
+  };
+}
 
-      // Send game state to the client BEFORE player list update
-      socket.emit('game-state', game.status);
+function hasAdminToken(data) {
+  return ['creatorToken', 'moderatorToken'].some(key => typeof data[key] === 'string' && data[key].length > 0);
+}
 
-      // Store mapping so we can DM this socket later
-      sessionToSocket.set(newSessionToken, socket.id);
-      playerToSocket.set(player.id, socket.id);
-      socket.data.sessionToken = newSessionToken;
-      socket.data.playerId = player.id;
-      socket.data.gameCode = gameCode;
-
-      // If game is active and player was alive, send their current assignment
-      if (game && game.status === 'active' && player.status === 'alive') {
-        const target = player.target_id ? getPlayerById.get(player.target_id) : null;
-        socket.emit('your-assignment', {
-          target: target ? { id: target.id, name: target.name } : null,
-          task: player.task || null
-        });
-      }
+/**
+ * Who runs an admin action: the creator (who may do everything) or a
+ * moderator of this game holding `permission` (any moderator when null).
+ * Moderators present their own `moderatorToken`. Returns null when neither fits.
+ */
+function authorizeAdmin(game, data, permission = null) {
+  if (typeof data.creatorToken === 'string' && data.creatorToken === game.creator_session) {
+    return CREATOR_ACTOR;
+  }
+  if (typeof data.moderatorToken !== 'string' || !data.moderatorToken) return null;
 
-      // Broadcast updated player list to all clients in the game room
-      const updatedPlayers = db.prepare(`
-        SELECT id, name, status, session_token, joined_at
-        FROM players
-        WHERE game_id = ?
-        ORDER BY name
-      `).all(gameCode);
+  const moderator = getModeratorByTokenHash.get(hashToken(data.moderatorToken));
+  if (!moderator || moderator.game_id !== game.id || moderator.revoked_at) return null;
+  if (permission && !moderatorPayload(moderator).permissions.includes(permission)) return null;
+  return { role: 'moderator', moderatorId: moderator.id, name: moderator.name };
+}
 
-      io.to(gameCode).emit('player-list-update', updatedPlayers);
+// ----------------------------
+// Player PINs
+// ----------------------------
+// A 4-digit PIN has only 10,000 values, so it is stored as a salted scrypt hash
+// ("scrypt$N$r$p$salt$hash") that is slow to try them all against. Older rows
+// hold a bare sha256 hex digest and are rehashed on the next successful reclaim.
+// Creator recovery passphrases are hashed and checked the same way.
+const PIN_SCRYPT = { N: 16384, r: 8, p: 1 };
+const PIN_KEY_LENGTH = 32;
+const scrypt = promisify(crypto.scrypt);
+
+async function hashPin(pin) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = PIN_SCRYPT;
+  const hash = await scrypt(pin, salt, PIN_KEY_LENGTH, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
 
-    } catch (error) {
-      console.error('Error reclaiming identity:', error);
-      socket.emit('error', { message: 'Reclaim failed.' });
-    }
-  });
+// Whether `pin` matches the stored hash, and whether that hash should be replaced by a current one
+async function verifyPin(pin, stored) {
+  if (typeof stored !== 'string') return { valid: false, rehash: false };
 
-  // Cancel identity (player leaves / frees name)
-  socket.on('cancel-identity', (data) => {
-    try {
-      const { gameCode, sessionToken } = data;
-      if (!validateGameCode(gameCode)) {
-        socket.emit('error', { message: 'Invalid game code.' });
-        return;
-      }
-      if (!sessionToken || typeof sessionToken !== 'string') {
-        socket.emit('error', { message: 'Invalid session token.' });
-        return;
-      }
+  const [scheme, N, r, p, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt') {
+    const legacy = crypto.createHash('sha256').update(pin).digest();
+    const valid = /^[0-9a-f]{64}$/.test(stored) && crypto.timingSafeEqual(legacy, Buffer.from(stored, 'hex'));
+    return { valid, rehash: valid };
+  }
 
-      console.log(`User ${socket.id} canceling identity in game ${gameCode}`);
+  const params = { N: Number(N), r: Number(r), p: Number(p) };
+  const expected = Buffer.from(hash, 'base64');
+  const valid = crypto.timingSafeEqual(await scrypt(pin, Buffer.from(salt, 'base64'), expected.length, params), expected);
+  const outdated = Object.keys(PIN_SCRYPT).some(key => params[key] !== PIN_SCRYPT[key]);
+  return { valid, rehash: valid && outdated };
+}
 
-       // Get game first to check its status
-      const game = getGameById.get(gameCode);
-      if (!game) {
-        socket.emit('error', { message: 'Game not found.' });
-        return;
-      }
+// Reclaim guesses: from the last free attempt on, every failure locks reclaiming
+// for twice as long as the one before (capped). A player's (or the creator
+// rights') count is cleared on the way back in; otherwise a quiet hour forgets it.
+// Players on the same Wi-Fi share an address, so an address gets more attempts
+// than a single player.
+const RECLAIM_FREE_ATTEMPTS = { player: 5, creator: 5, ip: 20 };
+const RECLAIM_LOCK_BASE_SECONDS = 30;
+const RECLAIM_LOCK_MAX_SECONDS = 3600;
+const RECLAIM_FAILURE_MEMORY_SECONDS = 3600;
+
+// The client address the way Express works out req.ip: X-Forwarded-For entries are
+// read from the right only while the hop they came from is trusted (see 'trust proxy')
+function socketClientAddress(socket) {
+  const trust = app.get('trust proxy fn');
+  const forwarded = (socket.handshake.headers['x-forwarded-for'] || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  const chain = [socket.handshake.address, ...forwarded.reverse()];
+  let hop = 0;
+  while (hop < chain.length - 1 && trust(chain[hop], hop)) hop += 1;
+  return chain[hop];
+}
 
-      // Verify the session token exists and belongs to this game
-      const player = db.prepare(`
-        SELECT * FROM players
-        WHERE game_id = ? AND session_token = ? AND status = 'alive'
-      `).get(gameCode, sessionToken);
+// Seconds until `key` may guess again (0 when it is not locked)
+function reclaimLockSeconds(key) {
+  const lockout = getReclaimLockout.get(key);
+  const lockedUntil = lockout ? parseDbTimestamp(lockout.locked_until) : null;
+  return lockedUntil ? Math.max(0, Math.ceil((lockedUntil.getTime() - Date.now()) / 1000)) : 0;
+}
 
-      if (!player) {
-        socket.emit('error', { message: 'Invalid session or player not found' });
-        return;
-      }
+// Count a failed guess of `scope` ('player' or 'ip'); returns the failures so far and the lock it starts
+function recordReclaimFailure(scope, id) {
+  const key = `${scope}:${id}`;
+  const now = Date.now();
+  const lockout = getReclaimLockout.get(key);
+  // A lock always ends after the failure that started it
+  const quietSince = lockout ? parseDbTimestamp(lockout.locked_until || lockout.last_failure_at).getTime() : 0;
+  const failures = lockout && now - quietSince < RECLAIM_FAILURE_MEMORY_SECONDS * 1000 ? lockout.failures + 1 : 1;
+
+  const overLimit = failures - RECLAIM_FREE_ATTEMPTS[scope];
+  const lockSeconds = overLimit < 0 ? 0 : Math.min(RECLAIM_LOCK_MAX_SECONDS, RECLAIM_LOCK_BASE_SECONDS * 2 ** overLimit);
+  upsertReclaimLockout.run(key, failures, toDbTimestamp(new Date(now)),
+    lockSeconds ? toDbTimestamp(new Date(now + lockSeconds * 1000)) : null);
+  return { failures, lockSeconds };
+}
 
-      // Reset player status
-      db.prepare(`
-        UPDATE players
-        SET status = 'not-joined', session_token = NULL, joined_at = NULL
-        WHERE id = ?
-      `).run(player.id);
+// Guesses for one key are checked one at a time: a guess sent while another is being
+// checked waits for it, so parallel guesses cannot all pass the lock check before the
+// failures of the others are counted. Resolves with the function that ends the turn.
+const reclaimTurns = new Map(); // key -> promise settled when its latest guess is done
+
+async function awaitReclaimTurn(key) {
+  const previous = reclaimTurns.get(key);
+  let release;
+  const turn = new Promise(resolve => { release = resolve; });
+  reclaimTurns.set(key, turn);
+  await previous;
+  return () => {
+    if (reclaimTurns.get(key) === turn) reclaimTurns.delete(key);
+    release();
+  };
+}
 
-      // Send game state to the client BEFORE player list update
-    socket.emit('game-state', game.status);
+function formatWait(seconds) {
+  const [amount, unit] = seconds < 60 ? [seconds, 'second'] : [Math.ceil(seconds / 60), 'minute'];
+  return `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+}
 
-      // Remove socket mappings for this session/player
-      sessionToSocket.delete(sessionToken);
-      playerToSocket.delete(player.id);
-      if (socket.data) {
-        socket.data.sessionToken = null;
-        socket.data.playerId = null;
-      }
+function emitReclaimLocked(socket, seconds) {
+  emitError(socket, 429, `Too many failed attempts. Try again in ${formatWait(seconds)}.`, { retryAfter: seconds });
+}
 
-      // Send confirmation to the canceling client
-      socket.emit('identity-canceled', {
-        playerName: player.name
-      });
+// Count a failed reclaim of `playerName` against the client's address and (when the name exists) the player
+function recordFailedReclaim(gameCode, playerName, player, address) {
+  const locks = [['ip', address]];
+  if (player) locks.push(['player', player.id]);
+  reportReclaimFailures(gameCode, locks, playerName, player);
+}
 
-      // Fetch updated player list
-      const updatedPlayers = db.prepare(`
-        SELECT id, name, status, session_token, joined_at
-        FROM players
-        WHERE game_id = ?
-        ORDER BY name
-      `).all(gameCode);
+// Count a wrong recovery passphrase against the client's address and the game's creator rights
+function recordFailedCreatorReclaim(gameCode, address) {
+  reportReclaimFailures(gameCode, [['ip', address], ['creator', gameCode]], null, null);
+}
 
-      // Broadcast updated player list to all clients in the game room
-      io.to(gameCode).emit('player-list-update', updatedPlayers);
-    } catch (error) {
-      console.error('Error canceling identity:', error);
-      socket.emit('error', { message: 'Failed to cancel identity' });
-    }
+// Count the failure under each [scope, id]; a guess that starts a lock is logged and shown to the creator's admin panel
+function reportReclaimFailures(gameCode, locks, playerName, player) {
+  for (const [scope, id] of locks) {
+    const { failures, lockSeconds } = recordReclaimFailure(scope, id);
+    if (!lockSeconds) continue;
+    logGameEvent(gameCode, 'reclaim_locked', { scope, player_id: player ? player.id : null, failures, seconds: lockSeconds });
+    emitToCreatorSockets(gameCode, 'admin-reclaim-locked', {
+      scope, playerId: player ? player.id : null, playerName, failures, lockSeconds
+    });
+  }
+}
+
+// ----------------------------
+// Admin audit log
+// ----------------------------
+// The actor of creator-only actions (moderators come from authorizeAdmin)
+const CREATOR_ACTOR = Object.freeze({ role: 'creator', moderatorId: null, name: null });
+const AUDIT_PAGE_SIZE = 20;
+
+// Record an admin action; never put PINs, tokens or passphrases in the payload
+function recordAdminAction(gameCode, actor, action, targetPlayerId = null, payload = {}) {
+  insertAdminAction.run(gameCode, actor.role, actor.moderatorId, actor.name, action,
+    targetPlayerId, JSON.stringify(payload));
+  logGameEvent(gameCode, 'admin_action', {
+    action, actor_role: actor.role, actor_name: actor.name, player_id: targetPlayerId
   });
+}
 
-  // -------------------------
-  // SPRINT 2: Start Game
-  // -------------------------
-  socket.on('start-game', (data = {}) => {
-    try {
-      const { gameCode, creatorToken } = data;
+function adminActionPayload(row) {
+  return { ...row, payload: JSON.parse(row.payload || '{}') };
+}
 
-      // 🔒 Input validation
-      if (!validateGameCode(gameCode)) {
-        socket.emit('error', { message: 'Invalid game code.' });
-        return;
-      }
-      if (!creatorToken || typeof creatorToken !== 'string') {
-        socket.emit('error', { message: 'Invalid creator token.' });
-        return;
-      }
+// ----------------------------
+// Creator rights
+// ----------------------------
+// Sockets remember which game they manage (and the token that proved it), so a
+// replaced creator can be logged out
+function registerCreatorSocket(socket, gameCode, creatorToken) {
+  socket.data.creatorOf = gameCode;
+  socket.data.creatorToken = creatorToken;
+}
 
-      const game = getGameById.get(gameCode);
-      if (!game) {
-        socket.emit('error', { message: 'Game not found.' });
-        return;
-      }
+function invalidateCreatorSockets(gameCode, keepSocketId = null) {
+  for (const staleSocket of io.sockets.sockets.values()) {
+    if (staleSocket.data.creatorOf !== gameCode || staleSocket.id === keepSocketId) continue;
+    staleSocket.data.creatorOf = null;
+    staleSocket.data.creatorToken = null;
+    staleSocket.emit('creator-invalidated', { gameCode });
+  }
+}
 
-      // Validate creator
-      if (game.creator_session !== creatorToken) {
-        socket.emit('error', { message: 'Only the creator can start the game.' });
-        return;
-      }
+// Admin-panel notices for whoever manages the game right now
+function emitToCreatorSockets(gameCode, event, payload) {
+  for (const creatorSocket of io.sockets.sockets.values()) {
+    if (creatorSocket.data.creatorOf === gameCode) creatorSocket.emit(event, payload);
+  }
+}
 
-      // Prevent restarting
-      if (game.status === 'active' || game.status === 'finished') {
-        io.to(gameCode).emit('game-state', 'active');
-        io.to(gameCode).emit('game-started');
-        return;
-      }
+// Swap in a fresh creator token; every other creator socket of the game is invalidated
+function issueCreatorToken(gameCode, keepSocketId = null) {
+  const creatorToken = crypto.randomBytes(16).toString('hex');
+  setCreatorSession.run(creatorToken, gameCode);
+  invalidateCreatorSockets(gameCode, keepSocketId);
+  return creatorToken;
+}
 
-      // Ensure enough players
-      const alive = listAlivePlayers.all(gameCode);
-      if (alive.length < 2) {
-        socket.emit('error', { message: 'Need at least 2 players to start.' });
-        return;
-      }
+// ----------------------------
+// Webhooks
+// ----------------------------
+// Game events posted to the creator's webhooks (the "send test" button posts `test`)
+const WEBHOOK_EVENTS = ['game_started', 'kill_confirmed', 'player_left', 'game_finished'];
+// Wait before each retry of a failed delivery; it is given up after the last one
+const WEBHOOK_RETRY_SECONDS = [10, 60, 300, 1800];
+const WEBHOOK_TIMEOUT_MS = 10000;
+const MAX_WEBHOOKS = 5;
+const WEBHOOK_LOG_SIZE = 50;
+
+// Webhooks only reach public addresses, so nobody can use a game to probe the
+// server's own network. WEBHOOK_ALLOWED_HOSTS (comma-separated host names) lets
+// trusted receivers on private addresses through, e.g. "localhost,hooks.lan".
+const WEBHOOK_ALLOWED_HOSTS = new Set((process.env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',').map(host => host.trim().toLowerCase()).filter(Boolean));
+const PRIVATE_NETWORKS = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([prefix, bits]) => PRIVATE_NETWORKS.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => PRIVATE_NETWORKS.addSubnet(prefix, bits, 'ipv6'));
+
+const PRIVATE_ADDRESS_MESSAGE = 'Webhook URL must point to a public address.';
+
+function isPrivateAddress({ address, family }) {
+  return PRIVATE_NETWORKS.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
 
-      // Parse task pool
-      let tasks;
-      try {
-        tasks = Array.isArray(JSON.parse(game.task_pool)) ? JSON.parse(game.task_pool) : [];
-      } catch {
-        tasks = [];
-      }
-      if (!tasks || tasks.length === 0) tasks = DEFAULT_TASKS;
+// Why `url` may not receive webhooks (null when it may); checked when it is added and before every delivery
+async function webhookAddressProblem(url) {
+  if (WEBHOOK_ALLOWED_HOSTS.has(url.hostname)) return null;
+  const host = url.hostname.replace(/^\[(.*)\]$/, '$1');
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host, family: net.isIP(host) }] : await dns.promises.lookup(host, { all: true });
+  } catch {
+    return 'Webhook host could not be resolved.';
+  }
+  return addresses.some(isPrivateAddress) ? PRIVATE_ADDRESS_MESSAGE : null;
+}
 
-      // Create derangement (targets) + assign tasks
-      const ids = alive.map(p => p.id);
-      const shuffled = shuffleArray(ids);
+// `lookup` for webhook connections: the host may resolve elsewhere than when the
+// webhook was added, so the answers are checked here and the connection is made to
+// exactly the addresses that passed
+function webhookLookup(hostname, options, callback) {
+  dns.promises.lookup(hostname, { all: true }).then(addresses => {
+    if (!WEBHOOK_ALLOWED_HOSTS.has(hostname) && addresses.some(isPrivateAddress)) {
+      callback(new Error(PRIVATE_ADDRESS_MESSAGE));
+    } else if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  }, callback);
+}
 
-      let tasksToAssign = [];
-      const numPlayers = shuffled.length;
-      const poolSize = tasks.length;
+// POST `body` to `url` without following redirects; resolves with the response status
+function postWebhook(url, headers, body) {
+  const send = url.protocol === 'https:' ? httpsRequest : httpRequest;
+  return new Promise((resolve, reject) => {
+    const req = send(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: webhookLookup,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    }, res => {
+      res.resume();
+      resolve(res.statusCode);
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
 
-      if (poolSize >= numPlayers) {
-        const shuffledTasks = shuffleArray(tasks);
-        tasksToAssign = shuffledTasks.slice(0, numPlayers);
-      } else {
-        const shuffledTasks = shuffleArray(tasks);
-        tasksToAssign = [...shuffledTasks];
-        while (tasksToAssign.length < numPlayers) {
-          const pick = tasks[Math.floor(Math.random() * poolSize)];
-          tasksToAssign.push(pick);
-        }
-        tasksToAssign = shuffleArray(tasksToAssign);
-      }
+function webhookPayload(webhook) {
+  return { id: webhook.id, url: webhook.url, has_secret: Boolean(webhook.secret), created_at: webhook.created_at };
+}
 
-      // Transaction: assign target+task, update status
-      const tx = db.transaction(() => {
-        for (let i = 0; i < shuffled.length; i++) {
-          const pid = shuffled[i];
-          const targetId = shuffled[(i + 1) % shuffled.length];
-          const assignedTask = tasksToAssign[i];
-          updatePlayerTargetAndTask.run(targetId, assignedTask, pid);
-        }
-        setGameStatus.run('active', gameCode);
-        io.to(gameCode).emit('game-state', 'started');
-      });
-      tx();
-
-      // Broadcast game start
-      io.to(gameCode).emit('game-started');
-
-      // DM each player with private assignment
-      const updatedAlive = listAlivePlayers.all(gameCode);
-      for (const p of updatedAlive) {
-        const sockId = playerToSocket.get(p.id);
-        if (!sockId) continue;
-        const target = p.target_id ? getPlayerById.get(p.target_id) : null;
-        io.to(sockId).emit('your-assignment', {
-          target: target ? { id: target.id, name: target.name } : null,
-          task: p.task || null
-        });
-      }
+function playerRef(playerId) {
+  const player = playerId ? getPlayerById.get(playerId) : null;
+  return player ? { id: player.id, name: player.name } : null;
+}
+
+// What a webhook hears about a game event: names instead of bare ids, and nothing about targets
+function webhookEventData(type, data) {
+  switch (type) {
+    case 'kill_confirmed':
+      return { killer: playerRef(data.killer_id), victim: playerRef(data.victim_id), resolution: data.resolution };
+    case 'player_left':
+      return { player: playerRef(data.player_id) };
+    case 'game_finished':
+      return { reason: data.reason, winners: (data.winner_ids || []).map(playerRef).filter(Boolean) };
+    default:
+      return data;
+  }
+}
+
+function signWebhookBody(secret, body) {
+  return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+function queueWebhookEvent(gameCode, event, data) {
+  listGameWebhooks.all(gameCode).forEach(webhook => queueWebhookDelivery(webhook, event, data));
+}
+
+// Store the delivery first so a restart cannot lose it, then send it right away
+function queueWebhookDelivery(webhook, event, data) {
+  const deliveryId = uuidv4();
+  const body = JSON.stringify({
+    id: deliveryId, event, game_code: webhook.game_id, created_at: new Date().toISOString(), data
+  });
+  insertWebhookDelivery.run(deliveryId, webhook.id, webhook.game_id, event, body);
+  attemptWebhookDelivery(deliveryId);
+  return deliveryId;
+}
+
+// Delivery log entry as listed in the admin panel (the body itself is not sent back)
+function webhookDeliveryPayload(delivery) {
+  const { id, event, status, attempts, response_status, error, next_attempt_at, created_at, delivered_at } = delivery;
+  return { id, event, status, attempts, response_status, error, next_attempt_at, created_at, delivered_at };
+}
+
+function armWebhookRetry(delivery) {
+  if (webhookTimers.has(delivery.id)) return;
+  const delay = Math.max(0, parseDbTimestamp(delivery.next_attempt_at).getTime() - Date.now());
+  const timer = setTimeout(() => attemptWebhookDelivery(delivery.id), delay);
+  timer.unref();
+  webhookTimers.set(delivery.id, timer);
+}
+
+function clearWebhookTimer(deliveryId) {
+  clearTimeout(webhookTimers.get(deliveryId));
+  webhookTimers.delete(deliveryId);
+}
+
+/**
+ * POST a pending delivery to its webhook. With a secret the body is signed as
+ * `X-Webhook-Signature: sha256=<hex HMAC-SHA256 of the body>`. A 2xx answer
+ * delivers it; anything else is retried after the next WEBHOOK_RETRY_SECONDS
+ * delay until those run out and the delivery is marked failed. The creator's
+ * sockets hear about every attempt.
+ */
+async function attemptWebhookDelivery(deliveryId) {
+  clearWebhookTimer(deliveryId);
+  const delivery = getWebhookDelivery.get(deliveryId);
+  if (!delivery || delivery.status !== 'pending') return;
+  const webhook = getWebhookById.get(delivery.webhook_id);
+  if (!webhook) return;
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': `killer-game/${PACKAGE_VERSION}`,
+    'X-Webhook-Event': delivery.event,
+    'X-Webhook-Delivery': delivery.id
+  };
+  if (webhook.secret) {
+    headers['X-Webhook-Signature'] = `sha256=${signWebhookBody(webhook.secret, delivery.payload)}`;
+  }
+
+  let responseStatus = null;
+  // The host may resolve elsewhere than when the webhook was added (and once more
+  // for the connection, which webhookLookup checks again)
+  const url = new URL(webhook.url);
+  let error = await webhookAddressProblem(url);
+  if (!error) {
+    try {
+      responseStatus = await postWebhook(url, headers, delivery.payload);
+      if (responseStatus < 200 || responseStatus > 299) error = `HTTP ${responseStatus}`;
     } catch (err) {
-      console.error('start-game error:', err);
-      socket.emit('error', { message: 'Failed to start game.' });
+      error = err.cause?.name === 'TimeoutError' ? 'Timed out' : err.code || err.message;
     }
+  }
+
+  const retryIn = WEBHOOK_RETRY_SECONDS[delivery.attempts];
+  const status = !error ? 'delivered' : retryIn === undefined ? 'failed' : 'pending';
+  const nextAttemptAt = status === 'pending' ? toDbTimestamp(new Date(Date.now() + retryIn * 1000)) : null;
+  // The webhook may have been removed while the request was out
+  if (recordWebhookAttempt.run(status, responseStatus, error, nextAttemptAt, status, deliveryId).changes === 0) return;
+  if (status === 'pending') armWebhookRetry({ id: deliveryId, next_attempt_at: nextAttemptAt });
+
+  emitToCreatorSockets(delivery.game_id, 'admin-webhook-delivery', {
+    webhookId: webhook.id, delivery: webhookDeliveryPayload(getWebhookDelivery.get(deliveryId))
   });
+}
 
+// ----------------------------
+// Game flow helpers
+// ----------------------------
+// Why a kill cannot happen in `game` right now (null when it can)
+function killBlockedReason(game) {
+  if (game && game.status === 'paused') return 'The game is paused: kills are on hold until the creator resumes it.';
+  return !game || game.status !== 'active' ? 'Game not active.' : null;
+}
 
-  // -------------------------
-  // SPRINT 2: Claim Kill (killer -> asks server to challenge target)
-  // -------------------------
-  socket.on('claim-kill', (data = {}) => {
-    try {
-      const sessionToken = (data.sessionToken || data.session_token);
-      const gameCode = (data.gameCode || data.game_code);
+// Started and not over yet; a paused game keeps its chain but accepts no kills
+function isGameRunning(game) {
+  return Boolean(game) && (game.status === 'active' || game.status === 'paused');
+}
 
-      // 🔒 Input validation
-      if (!validateGameCode(gameCode)) {
-        socket.emit('error', { message: 'Invalid game code.' });
-        return;
-      }
-      if (!sessionToken || typeof sessionToken !== 'string') {
-        socket.emit('error', { message: 'Missing session token.' });
-        return;
-      }
+// DM a player on all their devices; returns false when the player is offline
+function sendToPlayer(playerId, event, payload) {
+  const room = playerRoom(playerId);
+  if (!io.sockets.adapter.rooms.has(room)) return false;
+  io.to(room).emit(event, payload);
+  return true;
+}
 
-      // ensure game is active
-      const game = getGameById.get(gameCode);
-      if (!game || game.status !== 'active') {
-        socket.emit('error', { message: 'Game not active.' });
-        return;
-      }
+// Private assignment payload used by `your-assignment` and `new-target`
+function assignmentPayload(player) {
+  const target = player.target_id ? getPlayerById.get(player.target_id) : null;
+  return {
+    target: target ? { id: target.id, name: target.name } : null,
+    task: player.task || null
+  };
+}
 
-      const killer = getPlayerBySession.get(sessionToken);
-      if (!killer) {
-        socket.emit('error', { message: 'Invalid session.' });
-        return;
-      }
-      if (killer.game_id !== gameCode) {
-        socket.emit('error', { message: 'Session does not belong to this game.' });
-        return;
-      }
-      if (killer.status !== 'alive') {
-        socket.emit('error', { message: 'Eliminated players cannot claim kills.' });
-        return;
-      }
-      if (!killer.target_id) {
-        socket.emit('error', { message: 'You have no target.' });
-        return;
-      }
-      // ensure a task exists for this killer
-      if (!killer.task || typeof killer.task !== 'string') {
-        socket.emit('error', { message: 'No task assigned to you.' });
-        return;
-      }
+// Append an entry to the game's event log (see buildTimeline)
+function logGameEvent(gameCode, type, data = {}) {
+  insertGameEvent.run(uuidv4(), gameCode, type, JSON.stringify(data));
+  if (WEBHOOK_EVENTS.includes(type)) {
+    queueWebhookEvent(gameCode, type, webhookEventData(type, data));
+  }
+}
 
-      const target = getPlayerById.get(killer.target_id);
-      if (!target) {
-        socket.emit('error', { message: 'Target not found.' });
-        return;
-      }
-      if (target.status !== 'alive') {
-        socket.emit('error', { message: 'Target is already eliminated.' });
-        return;
-      }
+// Event fields that give away who is hunting whom while the game runs
+const LIVE_TARGET_FIELDS = {
+  player_claimed: ['hunter_id'],
+  claim_made: ['victim_id'],
+  claim_denied: ['victim_id'],
+  claim_escalated: ['victim_id'],
+  player_left: ['hunter_id', 'new_target_id'],
+  kill_reverted: ['killer_id']
+};
 
-      const targetSocketId = playerToSocket.get(target.id);
-      if (!targetSocketId) {
-        socket.emit('error', { message: 'Target is offline. Try again later.' });
-        return;
-      }
+/**
+ * The game's event log as seen by `role` ('creator', 'moderator', 'player' or
+ * 'public'). Only the creator sees live targets; once the game is finished
+ * nothing is secret any more.
+ */
+function buildTimeline(game, role) {
+  const redact = role !== 'creator' && game.status !== 'finished';
+  return listGameEvents.all(game.id).map(e => {
+    const data = JSON.parse(e.data || '{}');
+    if (redact) {
+      for (const field of LIVE_TARGET_FIELDS[e.type] || []) delete data[field];
+    }
+    return { type: e.type, data, created_at: e.created_at };
+  });
+}
 
-      // Send challenge only to target
-      io.to(targetSocketId).emit('kill-challenge', {
-        killer_id: killer.id,
-        killer_name: killer.name,
-        task: killer.task
-      });
+// Which timeline a request may see; null when it presents a token that is not valid
+function timelineRole(game, { creatorToken, moderatorToken, sessionToken }) {
+  if (creatorToken !== undefined) {
+    return creatorToken === game.creator_session ? 'creator' : null;
+  }
+  if (moderatorToken !== undefined) {
+    return authorizeAdmin(game, { moderatorToken: String(moderatorToken) }) ? 'moderator' : null;
+  }
+  if (sessionToken !== undefined) {
+    const player = typeof sessionToken === 'string' ? getPlayerBySession.get(sessionToken) : null;
+    return player && player.game_id === game.id ? 'player' : null;
+  }
+  return 'public';
+}
 
-    } catch (err) {
-      console.error('claim-kill error:', err);
-      socket.emit('error', { message: 'Claim-kill failed.' });
+function sendAssignment(playerId, event = 'your-assignment') {
+  const player = getPlayerById.get(playerId);
+  if (!player) return false;
+  return sendToPlayer(playerId, event, assignmentPayload(player));
+}
+
+// What the game does with this claim when its timeout runs out (null when it never times out)
+function claimTimeoutAction(claim) {
+  if (!claim.expires_at) return null;
+  return getGameSettings(getGameById.get(claim.game_id)).claimTimeoutAction;
+}
+
+// `kill-challenge` payload sent to the victim of a claim
+function challengePayload(claim) {
+  return {
+    claim_id: claim.id,
+    killer_id: claim.killer_id,
+    killer_name: claim.killer_name,
+    task: claim.task,
+    created_at: claim.created_at,
+    expires_at: claim.expires_at,
+    timeout_action: claimTimeoutAction(claim),
+    allow_denials: getGameSettings(getGameById.get(claim.game_id)).allowDenials
+  };
+}
+
+// `kill-claim-pending` payload sent to the killer of a claim
+function pendingClaimPayload(claim) {
+  return {
+    claim_id: claim.id,
+    target_id: claim.victim_id,
+    target_name: claim.victim_name,
+    created_at: claim.created_at,
+    expires_at: claim.expires_at,
+    timeout_action: claimTimeoutAction(claim)
+  };
+}
+
+// Move a claim on from `from` (pending by default) and stop its timeout; false if it was no longer in that state
+function closeClaim(claimId, status, from = 'pending') {
+  const timer = claimTimers.get(claimId);
+  if (timer) {
+    clearTimeout(timer);
+    claimTimers.delete(claimId);
+  }
+  return closeKillClaim.run(status, claimId, from).changes > 0;
+}
+
+// Cancel one pending claim or open dispute and tell both players so open modals/notes go away
+function cancelClaim(claim) {
+  if (!closeClaim(claim.id, 'cancelled', claim.status)) return;
+  sendToPlayer(claim.killer_id, 'kill-claim-cancelled', { claim_id: claim.id });
+  sendToPlayer(claim.victim_id, 'kill-claim-cancelled', { claim_id: claim.id });
+  if (claim.status === 'escalated') notifyDisputesChanged(claim.game_id);
+}
+
+/**
+ * Re-deliver every pending claim involving a player who just (re)connected:
+ * challenges they still have to answer, claims they are waiting on, and
+ * disputes waiting for the creator's ruling.
+ */
+function sendPendingClaims(player) {
+  for (const claim of listPendingClaimsForPlayer.all(player.id, player.id)) {
+    if (claim.victim_id === player.id) {
+      sendToPlayer(player.id, 'kill-challenge', challengePayload(claim));
+    } else {
+      sendToPlayer(player.id, 'kill-claim-pending', pendingClaimPayload(claim));
+    }
+  }
+  for (const claim of listOpenDisputesForPlayer.all(player.id, player.id)) {
+    if (claim.killer_id === player.id) {
+      sendToPlayer(player.id, 'kill-escalated', { claim_id: claim.id });
     }
+  }
+}
+
+// Cancel every pending claim and open dispute a player is part of (they died, left, or the chain moved on)
+function cancelPendingClaims(playerId) {
+  listPendingClaimsForPlayer.all(playerId, playerId).forEach(cancelClaim);
+  listOpenDisputesForPlayer.all(playerId, playerId).forEach(cancelClaim);
+}
+
+// True while `killer` still hunts `victim`, i.e. a claim between them can still be acted on
+function isClaimChainIntact(killer, victim) {
+  return Boolean(killer && victim && killer.status === 'alive' && victim.status === 'alive' &&
+    killer.target_id === victim.id);
+}
+
+// Disputes waiting for the creator's ruling, as listed in the admin panel
+function disputePayload(claim) {
+  return {
+    claim_id: claim.id,
+    killer_id: claim.killer_id,
+    killer_name: claim.killer_name,
+    victim_id: claim.victim_id,
+    victim_name: claim.victim_name,
+    task: claim.task,
+    created_at: claim.created_at,
+    escalated_at: claim.resolved_at
+  };
+}
+
+// Tell the game room the dispute list changed; the creator's panel re-fetches it (no details are broadcast)
+function notifyDisputesChanged(gameCode) {
+  io.to(gameCode).emit('disputes-updated');
+}
+
+// Freeze a game's claim timeouts: the timers are dropped and re-armed on resume
+function disarmClaimTimers(gameCode) {
+  for (const claim of listGameExpiringClaims.all(gameCode)) {
+    clearTimeout(claimTimers.get(claim.id));
+    claimTimers.delete(claim.id);
+  }
+}
+
+// Push pending deadlines back by the length of the pause and restart their timers
+function rearmClaimTimers(gameCode, pausedForSeconds) {
+  postponeGameClaims.run(`+${pausedForSeconds} seconds`, gameCode);
+  listGameExpiringClaims.all(gameCode).forEach(armClaimTimer);
+}
+
+// Start the timeout of a claim; an already overdue claim (e.g. after a restart) fires right away
+function armClaimTimer(claim) {
+  if (!claim.expires_at || claimTimers.has(claim.id)) return;
+  const delay = Math.max(0, parseDbTimestamp(claim.expires_at).getTime() - Date.now());
+  const timer = setTimeout(() => expireClaim(claim.id), delay);
+  timer.unref();
+  claimTimers.set(claim.id, timer);
+}
+
+/**
+ * Apply the game's claimTimeoutAction to a claim nobody answered in time:
+ * confirm it (elimination), deny it, or escalate it to the creator.
+ */
+function expireClaim(claimId) {
+  claimTimers.delete(claimId);
+  const claim = getKillClaimById.get(claimId);
+  if (!claim || claim.status !== 'pending') return;
+
+  const game = getGameById.get(claim.game_id);
+  // Frozen while the game is paused; resuming re-arms the timer
+  if (game && game.status === 'paused') return;
+  const killer = getPlayerById.get(claim.killer_id);
+  const victim = getPlayerById.get(claim.victim_id);
+  if (!game || game.status !== 'active' || !isClaimChainIntact(killer, victim)) {
+    cancelClaim(claim);
+    return;
+  }
+
+  const outcome = {
+    confirm: 'confirmed',
+    deny: 'denied',
+    escalate: 'escalated'
+  }[getGameSettings(game).claimTimeoutAction];
+  if (!closeClaim(claim.id, outcome)) return;
+
+  sendToPlayer(killer.id, 'kill-claim-timeout', { claim_id: claim.id, outcome });
+  sendToPlayer(victim.id, 'kill-claim-timeout', { claim_id: claim.id, outcome });
+
+  if (outcome === 'confirmed') {
+    eliminatePlayer(killer, victim, 'auto-timeout');
+  } else if (outcome === 'denied') {
+    logGameEvent(game.id, 'claim_denied', { claim_id: claim.id, killer_id: killer.id, victim_id: victim.id, by: 'timeout' });
+  } else if (outcome === 'escalated') {
+    notifyDisputesChanged(game.id);
+  }
+}
+
+/**
+ * Slot a player who joined after the start into the running cycle: a random
+ * alive hunter (an opponent, in team mode) now hunts them, and they take over
+ * that hunter's old target. Returns the hunter's id (null if none fit).
+ */
+function addLateJoiner(game, player) {
+  const chain = new Map(listAlivePlayers.all(game.id).map(p => [p.id, p]));
+  const tx = db.transaction(() => {
+    const hunterId = slotIntoChain(player, chain, loadForbiddenPairs(game.id));
+    setPlayerTaskOnly.run(chooseTask(game, player.id), player.id);
+    return hunterId;
   });
+  const hunterId = tx();
+  if (!hunterId) return null;
 
+  sendRetargeted([hunterId]);
+  sendAssignment(player.id);
+  return hunterId;
+}
 
-  // -------------------------
-  // SPRINT 2: Resolve Kill (target confirms or denies)
-  // -------------------------
-    socket.on('resolve-kill', (data) => {
-      try {
-        // Basic payload sanity check (non-breaking): keep original behavior/messages
-        if (!data || typeof data !== 'object') {
-          socket.emit('error', { message: 'Missing session token.' });
-          return;
-        }
+// Finish the game when only one player (or, in team mode, one team) is left alive
+function finishGameIfOver(gameCode, killId = null) {
+  const aliveNow = listAlivePlayers.all(gameCode);
+  if (new Set(aliveNow.map(teamKey)).size !== 1) return false;
+
+  const winner = aliveNow[0];
+  setGameStatus.run('finished', gameCode);
+  // kill_id names the kill that decided the game, the only one that may reopen it when reverted
+  logGameEvent(gameCode, 'game_finished', { reason: 'last-standing', winner_ids: aliveNow.map(p => p.id), kill_id: killId });
+  io.to(gameCode).emit('game-state', 'finished');
+  io.to(gameCode).emit('game-over', {
+    winner_id: aliveNow.length === 1 ? winner.id : null,
+    winner_name: aliveNow.map(p => p.name).join(', '),
+    winner_team: winner.team || null
+  });
+  io.to(gameCode).emit('navigate-victory', { gameCode });
+  return true;
+}
 
-        const sessionToken = (data && (data.sessionToken || data.session_token));
-        const killer_id = data && (data.killer_id || data.killerId);
-        const answer = data && data.answer;
+/**
+ * Start a lobby game: build the target chain over the players who claimed a
+ * name, deal the tasks and DM everyone their assignment. Shared by the
+ * creator's start-game and the scheduled start; returns an error message when
+ * the game cannot start (the game is left untouched).
+ */
+function startGame(game) {
+  const gameCode = game.id;
+
+  // Ensure the player count fits the game's rules
+  const { minPlayers, maxPlayers } = getGameSettings(game);
+  const alive = listAlivePlayers.all(gameCode);
+  if (alive.length < minPlayers) {
+    return `Need at least ${minPlayers} players to start.`;
+  }
+  if (maxPlayers && alive.length > maxPlayers) {
+    return `This game allows at most ${maxPlayers} players.`;
+  }
 
-        // Validate session token type (consistent error message)
-        if (typeof sessionToken !== 'string' || sessionToken.trim() === '') {
-          socket.emit('error', { message: 'Missing session token.' });
-          return;
-        }
+  const tasks = getTaskPool(game);
 
-        const target = getPlayerBySession.get(sessionToken);
-        if (!target) {
-          socket.emit('error', { message: 'Invalid session.' });
-          return;
-        }
-        if (target.status !== 'alive') {
-          socket.emit('error', { message: 'Only alive targets can resolve a kill.' });
-          return;
-        }
+  // Create derangement (targets) + assign tasks; nobody may target a teammate or a forbidden partner
+  const { cycle, error } = buildTargetCycle(alive, loadForbiddenPairs(gameCode));
+  if (error) return error;
+  const shuffled = cycle.map(p => p.id);
 
-        // Validate killer_id presence/type; preserve original error message
-        if (typeof killer_id !== 'string' || killer_id.trim() === '') {
-          socket.emit('error', { message: 'Killer not found.' });
-          return;
-        }
-        const killer = getPlayerById.get(killer_id);
-        if (!killer) {
-          socket.emit('error', { message: 'Killer not found.' });
-          return;
-        }
-        if (killer.status !== 'alive') {
-          socket.emit('error', { message: 'Killer is no longer alive.' });
-          return;
-        }
-        if (killer.target_id !== target.id) {
-          socket.emit('error', { message: 'You are not their current target.' });
-          return;
-        }
+  // Spread the pool evenly and keep hunter and target on different tasks
+  const tasksToAssign = assignCycleTasks(shuffled.length, tasks);
 
-        const killerSocketId = playerToSocket.get(killer.id);
+  // Transaction: assign target+task, update status
+  const tx = db.transaction(() => {
+    for (let i = 0; i < shuffled.length; i++) {
+      const pid = shuffled[i];
+      const targetId = shuffled[(i + 1) % shuffled.length];
+      const assignedTask = tasksToAssign[i];
+      updatePlayerTargetAndTask.run(targetId, assignedTask, pid);
+    }
+    setGameStatus.run('active', gameCode);
+    io.to(gameCode).emit('game-state', 'started');
+  });
+  tx();
+  logGameEvent(gameCode, 'game_started', { players: shuffled.length });
 
-        // Treat any non-'confirm' answer as denial (unchanged behavior)
-        if (String(answer).toLowerCase() !== 'confirm') {
-          // Denied -> notify killer only
-          if (killerSocketId) {
-            io.to(killerSocketId).emit('kill-denied');
-          }
-          return;
-        }
+  // A pending scheduled start is no longer needed; the deadline keeps running
+  armGameSchedule(getGameById.get(gameCode));
 
-        // Confirmed -> process elimination
-        // Determine new target for killer: usually target.target_id, but if target.target_id === killer.id (2-player-cycle),
-        // then killer gets no target (null) and will be the winner if no other alive players remain.
-        const targetNextId = target.target_id || null;
-        const newTargetForKiller = (targetNextId === killer.id) ? null : targetNextId;
-
-        const tx = db.transaction(() => {
-          // Mark target eliminated
-          setPlayerStatus.run('eliminated', target.id);
-          // Reassign killer's target
-          setPlayerTargetOnly.run(newTargetForKiller, killer.id);
-          // Transfer task to killer
-          setPlayerTaskOnly.run(target.task || null, killer.id);
-
-          // --- NEW: insert into kill history ---
-          const insertKill = db.prepare(`
-            INSERT INTO kill_history (id, game_id, killer_id, victim_id, task)
-            VALUES (?, ?, ?, ?, ?)
-          `);
-          insertKill.run(uuidv4(), target.game_id, killer.id, target.id, target.task || null);
-        });
-        tx();
-
-        // Broadcast updated roster to the whole game room so lobby & graveyard update immediately
-        const updatedPlayers = db.prepare(`
-          SELECT id, name, status, session_token, joined_at
-          FROM players
-          WHERE game_id = ?
-          ORDER BY name
-        `).all(target.game_id);
-        io.to(target.game_id).emit('player-list-update', updatedPlayers);
-
-        // Broadcast elimination to room
-        io.to(target.game_id).emit('player-eliminated', {
-          name: target.name,
-          id: target.id
-        });
-
-        // Notify eliminated player (so client switches to graveyard)
-        const targetSocketId = playerToSocket.get(target.id);
-        if (targetSocketId) {
-          io.to(targetSocketId).emit('you-eliminated');
-        }
+  // Broadcast game start
+  io.to(gameCode).emit('game-started');
+
+  // DM each player with private assignment
+  listAlivePlayers.all(gameCode).forEach(p => sendAssignment(p.id));
+  return null;
+}
+
+/**
+ * Eliminate `target` as a kill by `killer`: the killer inherits the target's
+ * target and task (or draws a new task, per the game's taskOnKill rule; see
+ * chooseTask), the kill is recorded, and everyone is notified.
+ * Shared by victim-confirmed claims, timeouts, creator rulings and admin manual kills;
+ * `resolution` records which of those decided the kill.
+ */
+function eliminatePlayer(killer, target, resolution) {
+  const game = getGameById.get(target.game_id);
+  const inheritedTask = getGameSettings(game).taskOnKill === 'draw' ? null : (target.task || null);
+  const killId = uuidv4();
+
+  const tx = db.transaction(() => {
+    setPlayerStatus.run('eliminated', target.id);
+    // The killer's target and task before the kill are kept so the creator can revert it
+    insertKillHistory.run(killId, target.game_id, killer.id, target.id, target.task || null, resolution,
+      killer.target_id || null, killer.task || null);
+    // The killer usually takes over target.target_id (skipping their own teammates);
+    // in a 2-player cycle that is the killer, who then gets no target and wins
+    const retargeted = relinkChain(killer, target.target_id || null);
+    setPlayerTaskOnly.run(chooseTask(game, killer.id, inheritedTask), killer.id);
+    return retargeted;
+  });
+  const retargeted = tx();
+  logGameEvent(target.game_id, 'kill_confirmed', { killer_id: killer.id, victim_id: target.id, resolution });
+
+  // The victim can no longer claim or be claimed
+  cancelPendingClaims(target.id);
+  sendRetargeted(retargeted);
+
+  // Broadcast updated roster to the whole game room so lobby & graveyard update immediately
+  broadcastPlayerList(target.game_id);
+
+  // Broadcast elimination to room
+  io.to(target.game_id).emit('player-eliminated', {
+    name: target.name,
+    id: target.id
+  });
+
+  // Notify eliminated player (so client switches to graveyard)
+  sendToPlayer(target.id, 'you-eliminated');
+
+  // Inform killer of new target + task
+  sendAssignment(killer.id, 'new-target');
+
+  finishGameIfOver(target.game_id, killId);
+}
+
+// Whether the game was finished by `kill` leaving a single player (or team) standing
+function isFinishingKill(kill) {
+  const finish = getLastGameFinish.get(kill.game_id);
+  const data = finish ? JSON.parse(finish.data || '{}') : {};
+  return data.reason === 'last-standing' && data.kill_id === kill.id;
+}
+
+/**
+ * Undo a recorded kill: the victim is alive again and the killer gets the
+ * victim back as target with their pre-kill task (unless later kills of
+ * theirs still stand, which decided their current task). The victim hunts the
+ * killer's current target, which is the victim's old target unless the chain
+ * changed since; when that link is not allowed (or the killer is gone) the
+ * victim is slotted in elsewhere. The history row is tombstoned and a game
+ * this kill finished is reopened (see isFinishingKill).
+ */
+function revertKill(kill) {
+  const game = getGameById.get(kill.game_id);
+  const tx = db.transaction(() => {
+    markKillReverted.run(kill.id);
+    setPlayerStatus.run('alive', kill.victim_id);
+    const victim = getPlayerById.get(kill.victim_id);
+    const killer = getPlayerById.get(kill.killer_id);
+    const chain = new Map(listAlivePlayers.all(kill.game_id).map(p => [p.id, p]));
+    chain.delete(victim.id);
+    const forbidden = loadForbiddenPairs(kill.game_id);
+
+    if (killer.status === 'alive') {
+      // Kills recorded before snapshots existed keep the killer's current task, and so
+      // does a killer whose later kills handed them the task they have now
+      if (countLaterKills.get(killer.id, kill.id).count === 0) {
+        setPlayerTaskOnly.run(kill.killer_prev_task ?? killer.task, killer.id);
+      }
+      const next = killer.target_id ? chain.get(killer.target_id) : killer;
+      if (next && canTarget(killer, victim, forbidden) && canTarget(victim, next, forbidden)) {
+        setPlayerTargetOnly.run(next.id, victim.id);
+        setPlayerTargetOnly.run(victim.id, killer.id);
+        return [killer.id];
+      }
+    }
+    return [slotIntoChain(victim, chain, forbidden)].filter(Boolean);
+  });
+  const retargeted = tx();
+
+  if (game.status === 'finished') {
+    setGameStatus.run('active', kill.game_id);
+    setGameWinners.run(null, kill.game_id);
+    io.to(kill.game_id).emit('game-state', 'active');
+    // The deadline still applies to the reopened game
+    armGameSchedule(getGameById.get(kill.game_id));
+  }
+
+  sendRetargeted(retargeted);
+  sendAssignment(kill.victim_id);
+  broadcastPlayerList(kill.game_id);
+}
+
+// ----------------------------
+// Game schedule
+// ----------------------------
+// setTimeout cannot wait longer than ~24.8 days, so longer waits are re-armed in steps
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+function armScheduleTimer(key, at, callback) {
+  clearTimeout(scheduleTimers.get(key));
+  scheduleTimers.delete(key);
+  if (!at) return;
+
+  const delay = Math.max(0, at.getTime() - Date.now());
+  const timer = setTimeout(() => {
+    scheduleTimers.delete(key);
+    if (at.getTime() > Date.now()) armScheduleTimer(key, at, callback);
+    else callback();
+  }, Math.min(delay, MAX_TIMER_DELAY));
+  timer.unref();
+  scheduleTimers.set(key, timer);
+}
+
+// (Re-)arm the scheduled start and the deadline of a game from its DB row
+function armGameSchedule(game) {
+  const startsAt = game.status === 'lobby' ? parseDbTimestamp(game.starts_at) : null;
+  const endsAt = game.status !== 'finished' ? parseDbTimestamp(game.ends_at) : null;
+  armScheduleTimer(`${game.id}:start`, startsAt, () => runScheduledStart(game.id));
+  armScheduleTimer(`${game.id}:end`, endsAt, () => runDeadline(game.id));
+}
+
+// Start a game at its scheduled time; when too few players have claimed a name the creator has to step in
+function runScheduledStart(gameCode) {
+  const game = getGameById.get(gameCode);
+  if (!game || game.status !== 'lobby') return;
+
+  const error = startGame(game);
+  if (error) {
+    setGameSchedule.run(null, game.ends_at, gameCode);
+    logGameEvent(gameCode, 'scheduled_start_failed', { reason: error });
+    io.to(gameCode).emit('scheduled-start-failed', { message: error });
+    return;
+  }
+  logGameEvent(gameCode, 'scheduled_start');
+}
+
+/**
+ * End a running game at its deadline. With the 'shared' tiebreak everyone
+ * still alive wins; with 'most-kills' only the alive players with the most
+ * kills do (all of them on a tie). The winners are stored for the summary.
+ */
+function runDeadline(gameCode) {
+  const game = getGameById.get(gameCode);
+  if (!isGameRunning(game)) return;
+
+  const { deadlineTiebreak } = getGameSettings(game);
+  const alive = listAliveKillCounts.all(gameCode);
+  const mostKills = Math.max(0, ...alive.map(p => p.kills));
+  const winners = deadlineTiebreak === 'most-kills' ? alive.filter(p => p.kills === mostKills) : alive;
+  const winnerIds = winners.map(p => p.id);
+
+  alive.forEach(p => cancelPendingClaims(p.id));
+  const tx = db.transaction(() => {
+    setGameStatus.run('finished', gameCode);
+    setGameWinners.run(JSON.stringify(winnerIds), gameCode);
+    logGameEvent(gameCode, 'deadline_reached', { tiebreak: deadlineTiebreak, winner_ids: winnerIds });
+    logGameEvent(gameCode, 'game_finished', { reason: 'deadline', winner_ids: winnerIds });
+  });
+  tx();
+
+  const teams = new Set(winners.map(p => p.team));
+  io.to(gameCode).emit('game-state', 'finished');
+  io.to(gameCode).emit('game-over', {
+    winner_id: winners.length === 1 ? winners[0].id : null,
+    winner_name: winners.map(p => p.name).join(', '),
+    winner_team: teams.size === 1 ? [...teams][0] : null
+  });
+  io.to(gameCode).emit('navigate-victory', { gameCode });
+}
+
+// ----------------------------
+// Request schemas
+// ----------------------------
+// Every HTTP route and socket payload is described with JSON Schema (the subset
+// checkSchema understands); the same schemas are published at /api/openapi.json.
+// `x-message` is the error message sent when a value does not match.
+
+// Machine-readable `code` of an error body, by HTTP status
+const ERROR_CODES = {
+  400: 'invalid_request',
+  401: 'invalid_session',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  429: 'too_many_requests',
+  500: 'internal_error'
+};
+
+// HTTP errors are `{ error, code }`, socket errors `{ message, code }`; validation errors add `field` and `rule`
+function sendError(res, status, error, details = {}) {
+  return res.status(status).json({ error, code: ERROR_CODES[status], ...details });
+}
+
+function emitError(socket, status, message, details = {}) {
+  socket.emit('error', { message, code: ERROR_CODES[status], ...details });
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'null': return value === null;
+    default: return false;
+  }
+}
+
+/**
+ * Check `value` against `schema`. Returns null, or the first problem found as
+ * { field, rule, message } where `rule` is the schema keyword that failed.
+ */
+function checkSchema(schema, value, field = '') {
+  const problem = rule => ({ field, rule, message: schema['x-message'] || `Invalid ${field || 'request'}.` });
+  const types = [].concat(schema.type || []);
+
+  if (types.length > 0 && !types.some(type => matchesType(type, value))) return problem('type');
+  if (schema.enum && !schema.enum.includes(value)) return problem('enum');
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) return problem('minLength');
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) return problem('maxLength');
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) return problem('pattern');
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) return problem('minimum');
+    if (schema.maximum !== undefined && value > schema.maximum) return problem('maximum');
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) return problem('minItems');
+    const tuple = schema.prefixItems || [];
+    for (let i = 0; i < value.length; i++) {
+      const itemSchema = i < tuple.length ? tuple[i] : schema.items;
+      if (!itemSchema || value[i] === undefined) continue;
+      const found = checkSchema(itemSchema, value[i], `${field}[${i}]`);
+      if (found) return found;
+    }
+  }
+
+  if (matchesType('object', value) && schema.properties) {
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      const path = field ? `${field}.${key}` : key;
+      if (value[key] === undefined) {
+        if ((schema.required || []).includes(key)) {
+          return { field: path, rule: 'required', message: propertySchema['x-message'] || `Missing ${path}.` };
+        }
+        continue;
+      }
+      const found = checkSchema(propertySchema, value[key], path);
+      if (found) return found;
+    }
+  }
+
+  return null;
+}
+
+function objectSchema(properties, required = []) {
+  return { type: 'object', properties, required };
+}
+
+// Fields shared by many requests
+const FIELDS = {
+  gameCode: { type: 'string', pattern: '^[A-Z0-9]{4,10}$', description: 'Game code', 'x-message': 'Invalid game code.' },
+  creatorToken: { type: 'string', minLength: 1, description: 'Creator token', 'x-message': 'Invalid creator token.' },
+  moderatorToken: { type: 'string', minLength: 1, description: 'Moderator token', 'x-message': 'Invalid moderator token.' },
+  sessionToken: { type: 'string', minLength: 1, description: 'Player session token', 'x-message': 'Missing session token.' },
+  playerId: { type: 'string', minLength: 1, 'x-message': 'Invalid player ID.' },
+  claimId: { type: 'string', description: 'Kill claim ID', 'x-message': 'Kill claim not found.' },
+  playerName: { type: 'string', pattern: '\\S', maxLength: 50, 'x-message': 'Invalid player name.' },
+  pin: { type: 'string', pattern: '^\\d{4}$', description: '4-digit PIN', 'x-message': 'Invalid PIN. Must be 4 digits.' },
+  recoveryPassphrase: {
+    type: 'string', minLength: 8, maxLength: 100, 'x-message': 'Recovery passphrase must be 8-100 characters.'
+  },
+  scheduleTime: { type: ['string', 'null'], description: 'Date and time; empty or null clears it' },
+  webhookId: { type: 'string', minLength: 1, 'x-message': 'Invalid webhook ID.' }
+};
+
+// Game rules as accepted by validateGameSettings (form fields arrive as strings)
+const SETTINGS_FIELDS = {
+  claimTimeoutMinutes: { type: ['integer', 'string'], description: 'Minutes a claim waits for an answer (0-1440, 0 = forever)' },
+  claimTimeoutAction: { type: 'string', enum: ['', ...CLAIM_TIMEOUT_ACTIONS], 'x-message': 'Invalid claim timeout action' },
+  taskOnKill: { type: 'string', enum: ['', ...TASK_ON_KILL_OPTIONS], 'x-message': 'Invalid task-on-kill rule' },
+  deadlineTiebreak: { type: 'string', enum: ['', ...DEADLINE_TIEBREAKS], 'x-message': 'Invalid deadline tiebreak' },
+  minPlayers: { type: ['integer', 'string'], description: `Minimum players (2-${MAX_PLAYERS_LIMIT})` },
+  maxPlayers: { type: ['integer', 'string'], description: `Maximum players (0-${MAX_PLAYERS_LIMIT}, 0 = no limit)` },
+  allowDenials: { type: ['boolean', 'string'] },
+  allowLateJoiners: { type: ['boolean', 'string'] }
+};
+
+// Payload of a creator-only action, and of one the creator or a moderator may run
+function creatorPayload(properties = {}, required = []) {
+  return objectSchema({ gameCode: FIELDS.gameCode, creatorToken: FIELDS.creatorToken, ...properties },
+    ['gameCode', 'creatorToken', ...required]);
+}
+
+function adminPayload(properties = {}, required = []) {
+  return objectSchema({
+    gameCode: FIELDS.gameCode, creatorToken: FIELDS.creatorToken, moderatorToken: FIELDS.moderatorToken, ...properties
+  }, ['gameCode', ...required]);
+}
+
+// Older clients send snake_case copies of some fields
+const deprecated = schema => ({ ...schema, deprecated: true });
+
+const PERMISSIONS_MESSAGE = `Permissions must be some of: ${MODERATOR_PERMISSIONS.join(', ')}.`;
+
+// Payload of each socket event (join-game takes positional arguments); the REST routes reuse these
+const SOCKET_SCHEMAS = {
+  'join-game': {
+    type: 'array',
+    prefixItems: [FIELDS.gameCode, deprecated({ type: ['string', 'null'], description: 'Session token of a reloaded page' })],
+    minItems: 1,
+    'x-message': 'Invalid game code.'
+  },
+  'claim-identity': objectSchema({ gameCode: FIELDS.gameCode, playerName: FIELDS.playerName, pin: FIELDS.pin },
+    ['gameCode', 'playerName', 'pin']),
+  'reclaim-identity': objectSchema({
+    gameCode: FIELDS.gameCode, playerName: FIELDS.playerName, pin: { ...FIELDS.pin, 'x-message': 'Reclaim failed.' }
+  }, ['gameCode', 'playerName', 'pin']),
+  'cancel-identity': objectSchema({
+    gameCode: FIELDS.gameCode, sessionToken: { ...FIELDS.sessionToken, 'x-message': 'Invalid session token.' }
+  }, ['gameCode', 'sessionToken']),
+  // An invalid token is answered with creator-invalidated
+  'creator-auth': objectSchema({ gameCode: FIELDS.gameCode, creatorToken: { type: 'string' } }, ['gameCode']),
+  // Passphrases set before the 8-character minimum still work
+  'reclaim-creator': objectSchema({
+    gameCode: FIELDS.gameCode,
+    recoveryPassphrase: { ...FIELDS.recoveryPassphrase, minLength: 1, 'x-message': 'Reclaim failed.' }
+  }, ['gameCode', 'recoveryPassphrase']),
+  'moderator-auth': objectSchema({ gameCode: FIELDS.gameCode, moderatorToken: FIELDS.moderatorToken },
+    ['gameCode', 'moderatorToken']),
+
+  'start-game': creatorPayload(),
+  'claim-kill': objectSchema({
+    gameCode: FIELDS.gameCode, game_code: deprecated(FIELDS.gameCode),
+    sessionToken: FIELDS.sessionToken, session_token: deprecated(FIELDS.sessionToken)
+  }),
+  'resolve-kill': objectSchema({
+    sessionToken: FIELDS.sessionToken, session_token: deprecated(FIELDS.sessionToken),
+    claimId: FIELDS.claimId, claim_id: FIELDS.claimId,
+    answer: { type: 'string', description: '"confirm"; anything else denies the claim' }
+  }),
+  'escalate-kill': objectSchema({
+    sessionToken: FIELDS.sessionToken, session_token: deprecated(FIELDS.sessionToken),
+    claimId: FIELDS.claimId, claim_id: FIELDS.claimId
+  }),
+
+  'admin-get-players': adminPayload({ showDetails: { type: 'boolean', description: 'Include targets and tasks (creator only)' } }),
+  'admin-reset-pin': adminPayload({ playerId: FIELDS.playerId, newPin: FIELDS.pin }, ['playerId', 'newPin']),
+  'admin-manual-kill': adminPayload({ playerId: FIELDS.playerId }, ['playerId']),
+  'admin-player-leave': adminPayload({ playerId: FIELDS.playerId }, ['playerId']),
+  'admin-end-game': adminPayload(),
+  'admin-reshuffle': creatorPayload({ reshuffleTasks: { type: 'boolean' } }),
+  'admin-pause-game': creatorPayload(),
+  'admin-resume-game': creatorPayload(),
+  'admin-add-player': creatorPayload({
+    playerName: FIELDS.playerName,
+    team: { type: ['string', 'null'], maxLength: 50, description: 'Required in team games', 'x-message': 'Invalid team name.' }
+  }, ['playerName']),
+  'admin-get-kills': creatorPayload(),
+  'admin-revert-kill': creatorPayload({ killId: { type: 'string', minLength: 1, 'x-message': 'Invalid kill ID.' } }, ['killId']),
+  'admin-get-disputes': creatorPayload(),
+  'admin-rule-dispute': creatorPayload({
+    claimId: FIELDS.claimId, claim_id: FIELDS.claimId,
+    ruling: { type: 'string', enum: ['confirm', 'reject'], 'x-message': 'Ruling must be confirm or reject.' }
+  }, ['ruling']),
+  'admin-get-forbidden-pairs': creatorPayload(),
+  'admin-add-forbidden-pair': creatorPayload({ playerAId: FIELDS.playerId, playerBId: FIELDS.playerId }, ['playerAId', 'playerBId']),
+  'admin-remove-forbidden-pair': creatorPayload({ pairId: { type: 'string', minLength: 1, 'x-message': 'Invalid pair ID.' } }, ['pairId']),
+  'admin-transfer-creator': creatorPayload({ playerId: FIELDS.playerId }, ['playerId']),
+  'admin-set-recovery': creatorPayload({ recoveryPassphrase: FIELDS.recoveryPassphrase }, ['recoveryPassphrase']),
+  'admin-get-audit-log': creatorPayload({ page: { type: 'integer', minimum: 1, description: 'Page number, newest first' } }),
+  'admin-create-moderator': creatorPayload({
+    name: { type: 'string', pattern: '\\S', maxLength: 50, 'x-message': 'Moderator name must be 1-50 characters.' },
+    permissions: {
+      type: 'array',
+      minItems: 1,
+      items: { type: 'string', enum: MODERATOR_PERMISSIONS, 'x-message': PERMISSIONS_MESSAGE },
+      'x-message': PERMISSIONS_MESSAGE
+    }
+  }, ['name', 'permissions']),
+  'admin-get-moderators': creatorPayload(),
+  'admin-revoke-moderator': creatorPayload({
+    moderatorId: { type: 'string', minLength: 1, 'x-message': 'Invalid moderator ID.' }
+  }, ['moderatorId']),
+  'admin-get-webhooks': creatorPayload(),
+  'admin-add-webhook': creatorPayload({
+    url: {
+      type: 'string', pattern: '^https?://\\S+$', maxLength: 2000,
+      description: 'Receives a JSON POST per game event', 'x-message': 'Webhook URL must be an http(s) URL.'
+    },
+    secret: {
+      type: 'string', maxLength: 200, description: 'Key of the X-Webhook-Signature HMAC (optional)',
+      'x-message': 'Webhook secret must be at most 200 characters.'
+    }
+  }, ['url']),
+  'admin-remove-webhook': creatorPayload({ webhookId: FIELDS.webhookId }, ['webhookId']),
+  'admin-test-webhook': creatorPayload({ webhookId: FIELDS.webhookId }, ['webhookId']),
+  'admin-get-webhook-deliveries': creatorPayload({ webhookId: FIELDS.webhookId }, ['webhookId']),
+  'admin-delete-game': creatorPayload()
+};
+
+// The handshake `auth` of a socket connection; tokens given here stand in for the ones in the payloads above
+const SOCKET_AUTH_SCHEMA = objectSchema({
+  gameCode: { ...FIELDS.gameCode, description: 'Game of the page; tokens of other games are refused' },
+  sessionToken: FIELDS.sessionToken,
+  creatorToken: FIELDS.creatorToken,
+  moderatorToken: FIELDS.moderatorToken
+});
+
+// Query strings only carry strings; turn the ones the schema wants as booleans or integers into those
+function coerceQuery(schema, query) {
+  const coerced = { ...query };
+  for (const [key, value] of Object.entries(coerced)) {
+    const types = [].concat((schema.properties[key] || {}).type || []);
+    if (typeof value !== 'string' || types.includes('string')) continue;
+    if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+      coerced[key] = value === 'true';
+    } else if (types.includes('integer') && /^-?\d+$/.test(value)) {
+      coerced[key] = Number(value);
+    }
+  }
+  return coerced;
+}
+
+// Every /api route with the schema of its input; path parameters, query and body are merged into `req.input`
+const apiRoutes = [];
+
+function apiRoute(method, path, spec, handler) {
+  apiRoutes.push({ method, path, ...spec });
+  app[method](path, (req, res, next) => {
+    const input = { ...coerceQuery(spec.input, req.query), ...req.body, ...req.params };
+    const problem = checkSchema(spec.input, input);
+    if (problem) {
+      return sendError(res, 400, problem.message, { field: problem.field, rule: problem.rule });
+    }
+    // Actions that are also socket events share that event's rate limit
+    const retryAfter = spec.rateLimit ? hitRateLimit(spec.rateLimit, rateLimitKeys(req.ip, input)) : 0;
+    if (retryAfter) return sendRateLimited(res, retryAfter);
+    req.input = input;
+    next();
+  }, handler);
+}
+
+// OpenAPI 3.1 document of the routes registered with apiRoute; GET and DELETE take their input in the query
+function buildOpenApiDocument() {
+  const paths = {};
+  for (const { method, path, summary, tag, input } of apiRoutes) {
+    const pathParams = [...path.matchAll(/:(\w+)/g)].map(match => match[1]);
+    const hasBody = method === 'post' || method === 'put';
+    const parameters = [];
+    const body = objectSchema({}, []);
+
+    for (const [name, schema] of Object.entries(input.properties)) {
+      const required = input.required.includes(name);
+      if (pathParams.includes(name)) {
+        parameters.push({ name, in: 'path', required: true, schema });
+      } else if (hasBody) {
+        body.properties[name] = schema;
+        if (required) body.required.push(name);
+      } else {
+        parameters.push({ name, in: 'query', required, schema });
+      }
+    }
+
+    const operation = {
+      summary,
+      tags: [tag],
+      parameters,
+      responses: {
+        200: { description: 'Success' },
+        default: { description: 'Error', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+      }
+    };
+    if (hasBody) {
+      const content = { 'application/json': { schema: body } };
+      if (Object.values(body.properties).some(schema => schema.format === 'binary')) {
+        content['multipart/form-data'] = { schema: body };
+      }
+      operation.requestBody = { required: body.required.length > 0, content };
+    }
+    const openApiPath = path.replace(/:(\w+)/g, '{$1}');
+    paths[openApiPath] = { ...paths[openApiPath], [method]: operation };
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: { title: 'Killer Game API', version: PACKAGE_VERSION },
+    paths,
+    components: {
+      schemas: {
+        Error: objectSchema({
+          error: { type: 'string' },
+          code: { type: 'string', enum: Object.values(ERROR_CODES) },
+          field: { type: 'string', description: 'Invalid field (validation errors only)' },
+          rule: { type: 'string', description: 'Schema keyword the field failed (validation errors only)' }
+        }, ['error', 'code'])
+      }
+    },
+    // The Socket.IO events accept the same payloads
+    'x-socket-events': SOCKET_SCHEMAS,
+    'x-socket-auth': SOCKET_AUTH_SCHEMA
+  };
+}
+
+// ----------------------------
+// Rate limiting
+// ----------------------------
+// Fixed-window counters. A rule is a list of limits, each counting requests per
+// client address ('ip'), player session ('session') or game ('game'); a request
+// is refused once any of its counters is full. Socket events are limited by
+// their event name (the REST route of the same action shares the rule), every
+// socket event by 'socket' and every /api request by 'api'. The RATE_LIMITS
+// environment variable (JSON) replaces rules by name; null switches one off, e.g.
+// {"claim-kill": [{"key": "session", "max": 5, "windowSeconds": 60}], "api": null}
+const DEFAULT_RATE_LIMITS = {
+  api: [{ key: 'ip', max: 300, windowSeconds: 60 }],
+  'create-game': [{ key: 'ip', max: 20, windowSeconds: 600 }],
+  socket: [{ key: 'ip', max: 1200, windowSeconds: 60 }],
+  'join-game': [{ key: 'ip', max: 120, windowSeconds: 60 }],
+  'claim-identity': [{ key: 'ip', max: 30, windowSeconds: 60 }, { key: 'game', max: 120, windowSeconds: 60 }],
+  'reclaim-identity': [{ key: 'ip', max: 30, windowSeconds: 60 }],
+  'reclaim-creator': [{ key: 'ip', max: 10, windowSeconds: 60 }],
+  'claim-kill': [{ key: 'session', max: 10, windowSeconds: 60 }, { key: 'game', max: 120, windowSeconds: 60 }],
+  'resolve-kill': [{ key: 'session', max: 20, windowSeconds: 60 }],
+  'escalate-kill': [{ key: 'session', max: 10, windowSeconds: 60 }]
+};
+const RATE_LIMITS = { ...DEFAULT_RATE_LIMITS, ...JSON.parse(process.env.RATE_LIMITS || '{}') };
+const rateCounters = new Map(); // `${rule}|${key}|${value}` -> { count, resetAt }
+
+// Full windows are dropped once they are over
+setInterval(() => {
+  const now = Date.now();
+  for (const [counterKey, counter] of rateCounters) {
+    if (counter.resetAt <= now) rateCounters.delete(counterKey);
+  }
+}, 60 * 1000).unref();
+
+/**
+ * Count a request against `rule` for each key it can be attributed to (`keys`
+ * maps 'ip', 'session' and 'game' to a string; missing keys are not counted).
+ * Returns 0 when the request may go on, or the seconds until it may be retried.
+ */
+function hitRateLimit(rule, keys) {
+  const now = Date.now();
+  let retryAfter = 0;
+  for (const { key, max, windowSeconds } of RATE_LIMITS[rule] || []) {
+    if (typeof keys[key] !== 'string' || !keys[key]) continue;
+    const counterKey = `${rule}|${key}|${keys[key]}`;
+    let counter = rateCounters.get(counterKey);
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + windowSeconds * 1000 };
+      rateCounters.set(counterKey, counter);
+    }
+    counter.count++;
+    if (counter.count > max) retryAfter = Math.max(retryAfter, Math.ceil((counter.resetAt - now) / 1000));
+  }
+  return retryAfter;
+}
+
+function rateLimitMessage(retryAfter) {
+  return `Too many requests. Try again in ${formatWait(retryAfter)}.`;
+}
+
+function sendRateLimited(res, retryAfter) {
+  res.set('Retry-After', String(retryAfter));
+  return sendError(res, 429, rateLimitMessage(retryAfter), { retryAfter });
+}
+
+// Middleware for the address-only rules
+function limitHttpRequests(rule) {
+  return (req, res, next) => {
+    const retryAfter = hitRateLimit(rule, { ip: req.ip });
+    if (retryAfter) return sendRateLimited(res, retryAfter);
+    next();
+  };
+}
+
+// The address, session and game an action is attributed to; `payload` is the request's input
+function rateLimitKeys(ip, payload, fallback = {}) {
+  const input = matchesType('object', payload) ? payload : {};
+  return {
+    ip,
+    session: input.sessionToken || input.session_token || fallback.session,
+    game: input.gameCode || input.game_code || fallback.game
+  };
+}
+
+/**
+ * Whether a socket event is over its limits; the client is then told with an
+ * error carrying the event name and the packet is dropped.
+ */
+function isSocketEventLimited(socket, event, args) {
+  const ip = socketClientAddress(socket);
+  const payload = event === 'join-game' ? { gameCode: args[0], sessionToken: args[1] } : args[0];
+  const keys = rateLimitKeys(ip, payload, { session: socket.data.sessionToken, game: socket.data.gameCode });
+  const retryAfter = Math.max(hitRateLimit('socket', { ip }), hitRateLimit(event, keys));
+  if (!retryAfter) return false;
+  emitError(socket, 429, rateLimitMessage(retryAfter), { event, retryAfter });
+  return true;
+}
+
+// ----------------------------
+// Game service
+// ----------------------------
+// Every game action that both the socket handlers and the REST API offer lives
+// here, so both paths enforce the same rules and broadcast the same socket
+// events. An action takes the request fields (the socket payload, or the REST
+// body, query and path parameters), already checked against the request schemas,
+// and returns (or resolves to) `{ result }` on success or `{ error, status }`,
+// where `status` is the HTTP status the REST API answers with.
+
+function ok(result = {}) {
+  return { result };
+}
+
+function fail(status, error) {
+  return { error, status };
+}
+
+// Look up the game of a creator-only request and check the creator token
+function requireCreator(input, unauthorized = 'Unauthorized.') {
+  const game = getGameById.get(input.gameCode);
+  if (!game) return fail(404, 'Game not found.');
+  if (game.creator_session !== input.creatorToken) return fail(403, unauthorized);
+  return { game, actor: CREATOR_ACTOR };
+}
+
+// Same for actions a moderator holding `permission` may run as well (any moderator when null)
+function requireAdmin(input, permission) {
+  if (!hasAdminToken(input)) return fail(400, 'Invalid creator token.');
+
+  const game = getGameById.get(input.gameCode);
+  if (!game) return fail(404, 'Game not found.');
+  const actor = authorizeAdmin(game, input, permission);
+  if (!actor) return fail(403, 'Unauthorized.');
+  return { game, actor };
+}
+
+// The player behind a session token
+function requirePlayer(input) {
+  const sessionToken = input.sessionToken || input.session_token;
+  if (typeof sessionToken !== 'string' || sessionToken.trim() === '') return fail(400, 'Missing session token.');
+
+  const player = getPlayerBySession.get(sessionToken);
+  if (!player) return fail(401, 'Invalid session.');
+  return { player };
+}
+
+// A player of `gameCode` who is in the game, for the per-player admin actions
+function findGamePlayer(gameCode, playerId) {
+  const player = getPlayerById.get(playerId);
+  if (!player || player.game_id !== gameCode) return fail(404, 'Player not found.');
+  return { player };
+}
+
+const gameService = {
+  startGame(input) {
+    const access = requireCreator(input, 'Only the creator can start the game.');
+    if (access.error) return access;
+    const { game } = access;
+
+    // Prevent restarting
+    if (game.status === 'paused') return fail(409, 'The game is paused.');
+    if (game.status === 'active' || game.status === 'finished') {
+      io.to(game.id).emit('game-state', 'active');
+      io.to(game.id).emit('game-started');
+      return ok({ status: game.status });
+    }
+
+    const error = startGame(game);
+    if (error) return fail(409, error);
+    recordAdminAction(game.id, CREATOR_ACTOR, 'start-game');
+    return ok({ status: 'active' });
+  },
+
+  // The killer asks the server to challenge their target
+  claimKill(input) {
+    const gameCode = input.gameCode || input.game_code;
+    if (!gameCode) return fail(400, 'Invalid game code.');
+    const sessionToken = input.sessionToken || input.session_token;
+    if (!sessionToken || typeof sessionToken !== 'string') return fail(400, 'Missing session token.');
+
+    // ensure game is active
+    const game = getGameById.get(gameCode);
+    const blocked = killBlockedReason(game);
+    if (blocked) return fail(409, blocked);
+
+    const killer = getPlayerBySession.get(sessionToken);
+    if (!killer) return fail(401, 'Invalid session.');
+    if (killer.game_id !== gameCode) return fail(403, 'Session does not belong to this game.');
+    if (killer.status !== 'alive') return fail(409, 'Eliminated players cannot claim kills.');
+    if (!killer.target_id) return fail(409, 'You have no target.');
+    // ensure a task exists for this killer
+    if (!killer.task || typeof killer.task !== 'string') return fail(409, 'No task assigned to you.');
+
+    const target = getPlayerById.get(killer.target_id);
+    if (!target) return fail(404, 'Target not found.');
+    if (target.status !== 'alive') return fail(409, 'Target is already eliminated.');
+    if (isTeammate(killer, target)) return fail(409, 'You cannot eliminate a teammate.');
+    if (getOpenDisputeByPair.get(killer.id, target.id)) {
+      return fail(409, 'Your disputed claim is waiting for the game creator\'s ruling.');
+    }
+
+    // A claim already waiting for an answer is not sent again: the target has it
+    // open, or gets it with their pending claims when they rejoin
+    const existing = getPendingClaimByPair.get(killer.id, target.id);
+    if (existing) return ok(pendingClaimPayload(getKillClaimById.get(existing.id)));
+
+    // Record the claim so it survives disconnects and restarts; an offline target gets it on their next join
+    const claimId = uuidv4();
+    const { claimTimeoutMinutes } = getGameSettings(game);
+    insertKillClaim.run(claimId, gameCode, killer.id, target.id, killer.task, claimTimeoutMinutes, claimTimeoutMinutes);
+    logGameEvent(gameCode, 'claim_made', { claim_id: claimId, killer_id: killer.id, victim_id: target.id });
+    const claim = getKillClaimById.get(claimId);
+    armClaimTimer(claim);
+
+    // Send challenge only to target (if online); the killer sees the claim as pending
+    sendToPlayer(target.id, 'kill-challenge', challengePayload(claim));
+    return ok(pendingClaimPayload(claim));
+  },
+
+  // The target confirms or denies a claim against them
+  resolveKill(input) {
+    const access = requirePlayer(input);
+    if (access.error) return access;
+    const target = access.player;
+    if (target.status !== 'alive') return fail(409, 'Only alive targets can resolve a kill.');
+
+    // The claim is looked up server-side; the killer is never taken from the payload
+    const claimId = input.claim_id || input.claimId;
+    const claim = typeof claimId === 'string' && claimId.trim() !== '' ? getKillClaimById.get(claimId) : null;
+    if (!claim || claim.victim_id !== target.id) return fail(404, 'Kill claim not found.');
+    if (claim.status !== 'pending') return fail(409, 'This kill claim has already been answered.');
+
+    const game = getGameById.get(claim.game_id);
+    if (game && game.status === 'paused') {
+      return fail(409, 'The game is paused: answer this claim once the creator resumes it.');
+    }
+    if (!game || game.status !== 'active') return fail(409, 'Game not active.');
+
+    // The chain may have moved on since the claim was made (admin action, other kill)
+    const killer = getPlayerById.get(claim.killer_id);
+    if (!isClaimChainIntact(killer, target)) {
+      cancelClaim(claim);
+      return fail(409, 'This kill claim is no longer valid.');
+    }
+
+    // Treat any non-'confirm' answer as denial (unchanged behavior)
+    const confirmed = String(input.answer).toLowerCase() === 'confirm';
+    if (!confirmed && !getGameSettings(game).allowDenials) {
+      return fail(403, 'Denials are not allowed in this game.');
+    }
+
+    // Close the claim first: a claim can only ever be answered once
+    if (!closeClaim(claim.id, confirmed ? 'confirmed' : 'denied')) {
+      return fail(409, 'This kill claim has already been answered.');
+    }
+
+    if (!confirmed) {
+      logGameEvent(game.id, 'claim_denied', { claim_id: claim.id, killer_id: killer.id, victim_id: target.id, by: 'victim' });
+      // Denied -> notify killer only
+      sendToPlayer(killer.id, 'kill-denied', { claim_id: claim.id });
+      return ok({ claim_id: claim.id, status: 'denied' });
+    }
+
+    // Confirmed -> process elimination
+    eliminatePlayer(killer, target, 'victim-confirmed');
+    return ok({ claim_id: claim.id, status: 'confirmed' });
+  },
+
+  // The killer hands a denied claim to the game creator
+  escalateKill(input) {
+    const access = requirePlayer(input);
+    if (access.error) return access;
+    const killer = access.player;
+
+    const claimId = input.claim_id || input.claimId;
+    const claim = typeof claimId === 'string' ? getKillClaimById.get(claimId) : null;
+    if (!claim || claim.killer_id !== killer.id) return fail(404, 'Kill claim not found.');
+    if (claim.status === 'escalated') return fail(409, 'This kill claim is already waiting for the game creator.');
+    if (claim.status !== 'denied') return fail(409, 'Only denied kill claims can be escalated.');
+
+    const game = getGameById.get(claim.game_id);
+    if (!isGameRunning(game)) return fail(409, 'Game not active.');
+    if (!isClaimChainIntact(killer, getPlayerById.get(claim.victim_id))) {
+      return fail(409, 'This kill claim is no longer valid.');
+    }
+    if (getOpenDisputeByPair.get(killer.id, claim.victim_id)) {
+      return fail(409, 'Your disputed claim is waiting for the game creator\'s ruling.');
+    }
+    if (getPendingClaimByPair.get(killer.id, claim.victim_id)) {
+      return fail(409, 'Your target still has to answer your latest claim.');
+    }
+
+    if (!closeClaim(claim.id, 'escalated', 'denied')) return fail(409, 'Only denied kill claims can be escalated.');
+
+    logGameEvent(game.id, 'claim_escalated', { claim_id: claim.id, killer_id: killer.id, victim_id: claim.victim_id });
+    notifyDisputesChanged(game.id);
+    return ok({ claim_id: claim.id });
+  },
+
+  getPlayers(input) {
+    const access = requireAdmin(input, null);
+    if (access.error) return access;
+    const { game, actor } = access;
+
+    // Targets and tasks stay with the creator
+    const showDetails = actor.role === 'creator' && Boolean(input.showDetails);
+
+    const players = db.prepare(`
+      SELECT id, name, status, session_token, joined_at, last_seen_at,
+            ${showDetails ? 'target_id, task, pin_code IS NOT NULL as has_pin' : 'NULL as target_id, NULL as task, pin_code IS NOT NULL as has_pin'}
+      FROM players
+      WHERE game_id = ?
+      ORDER BY name
+    `).all(game.id);
+
+    // For spoiler protection, don't reveal target names unless showDetails is true
+    const processedPlayers = players.map(player => {
+      const result = {
+        id: player.id,
+        name: player.name,
+        status: player.status,
+        joined_at: player.joined_at,
+        has_pin: player.has_pin,
+        reclaim_lock_seconds: reclaimLockSeconds(`player:${player.id}`),
+        devices: playerSockets(player.id).length,
+        online: onlinePlayers.has(player.id),
+        last_seen_at: player.last_seen_at
+      };
+
+      if (showDetails && player.target_id) {
+        const target = getPlayerById.get(player.target_id);
+        result.target_name = target ? target.name : null;
+        result.task = player.task;
+      }
+
+      return result;
+    });
+
+    return ok({ players: processedPlayers, gameStatus: game.status });
+  },
+
+  // A new PIN also lifts the player's reclaim lock
+  async resetPin(input) {
+    const access = requireAdmin(input, 'reset-pin');
+    if (access.error) return access;
+    const { game, actor } = access;
+
+    const found = findGamePlayer(game.id, input.playerId);
+    if (found.error) return found;
+
+    updatePlayerPin.run(await hashPin(input.newPin), found.player.id);
+    clearReclaimLockout.run(`player:${found.player.id}`);
+    recordAdminAction(game.id, actor, 'reset-pin', found.player.id);
+
+    return ok({ playerId: found.player.id, success: true });
+  },
+
+  manualKill(input) {
+    const access = requireAdmin(input, 'manual-kill');
+    if (access.error) return access;
+    const { game, actor } = access;
+    const blocked = killBlockedReason(game);
+    if (blocked) return fail(409, blocked);
+
+    const found = findGamePlayer(game.id, input.playerId);
+    if (found.error) return found;
+    const { player } = found;
+    if (player.status !== 'alive') return fail(409, 'Player is not alive.');
+
+    // Find the assassin (player who has this player as target)
+    const assassin = db.prepare(`SELECT * FROM players WHERE target_id = ? AND status = 'alive'`).get(player.id);
+    if (!assassin) return fail(409, 'No assassin found for this target.');
+
+    // Same elimination path as a victim-confirmed claim
+    eliminatePlayer(assassin, player, 'admin-ruled');
+    recordAdminAction(game.id, actor, 'manual-kill', player.id);
+
+    return ok({ playerId: player.id });
+  },
+
+  // Rebuild the whole target chain (and optionally the tasks) of an active game
+  reshuffle(input) {
+    const access = requireCreator(input);
+    if (access.error) return access;
+    const { game } = access;
+    const gameCode = game.id;
+    const reshuffleTasks = input.reshuffleTasks === true;
+
+    // Not while paused: players would get new targets they cannot act on
+    if (game.status !== 'active') return fail(409, 'Game not active.');
+
+    // Same constraints as start-game: no teammates, no forbidden pairs
+    const alive = listAlivePlayers.all(gameCode);
+    const { cycle, error } = buildTargetCycle(alive, loadForbiddenPairs(gameCode));
+    if (error) return fail(409, error);
+    // Without reshuffleTasks everyone keeps their task, so the even spread and the
+    // different-task neighbours of assignCycleTasks no longer hold along the new cycle
+    const tasksToAssign = reshuffleTasks ? assignCycleTasks(cycle.length, getTaskPool(game)) : null;
+
+    // Claims were made against the old chain and can no longer be answered
+    alive.forEach(p => cancelPendingClaims(p.id));
+
+    const tx = db.transaction(() => {
+      cycle.forEach((p, i) => {
+        const targetId = cycle[(i + 1) % cycle.length].id;
+        updatePlayerTargetAndTask.run(targetId, tasksToAssign ? tasksToAssign[i] : p.task, p.id);
+      });
+      logGameEvent(gameCode, 'reshuffle', { players: cycle.length, tasks: reshuffleTasks });
+    });
+    tx();
+
+    cycle.forEach(p => sendAssignment(p.id, 'your-assignment'));
+    recordAdminAction(gameCode, CREATOR_ACTOR, 'reshuffle', null, { reshuffleTasks });
+
+    return ok({ reshuffleTasks });
+  },
+
+  pauseGame(input) {
+    const access = requireCreator(input);
+    if (access.error) return access;
+    const gameCode = access.game.id;
+
+    if (access.game.status !== 'active') return fail(409, 'Game not active.');
+
+    pauseGame.run(gameCode);
+    disarmClaimTimers(gameCode);
+    logGameEvent(gameCode, 'game_paused');
+
+    io.to(gameCode).emit('game-state', 'paused');
+    recordAdminAction(gameCode, CREATOR_ACTOR, 'pause-game');
+    return ok();
+  },
+
+  resumeGame(input) {
+    const access = requireCreator(input);
+    if (access.error) return access;
+    const { game } = access;
+    const gameCode = game.id;
+
+    if (game.status !== 'paused') return fail(409, 'Game is not paused.');
+
+    // Claim deadlines do not run down during the pause
+    const pausedAt = parseDbTimestamp(game.paused_at);
+    const pausedForSeconds = pausedAt ? Math.max(0, Math.round((Date.now() - pausedAt.getTime()) / 1000)) : 0;
+    const tx = db.transaction(() => {
+      resumeGame.run(gameCode);
+      rearmClaimTimers(gameCode, pausedForSeconds);
+      logGameEvent(gameCode, 'game_resumed', { paused_seconds: pausedForSeconds });
+    });
+    tx();
+
+    io.to(gameCode).emit('game-state', 'active');
+    // Re-deliver open claims so countdowns show the postponed deadlines
+    listAlivePlayers.all(gameCode).forEach(sendPendingClaims);
+    recordAdminAction(gameCode, CREATOR_ACTOR, 'resume-game', null, { paused_seconds: pausedForSeconds });
+    return ok({ pausedSeconds: pausedForSeconds });
+  },
+
+  // Add a player to the roster; during an active game they are spliced into the chain right away
+  addPlayer(input) {
+    const access = requireCreator(input);
+    if (access.error) return access;
+    const { game } = access;
+    const gameCode = game.id;
+    const playerName = input.playerName.trim();
+    const team = typeof input.team === 'string' && input.team.trim() ? input.team.trim() : null;
+
+    if (game.status !== 'lobby' && !isGameRunning(game)) return fail(409, 'This game is already over.');
+    if (getPlayerByName.get(gameCode, playerName)) return fail(409, 'A player with this name already exists.');
+
+    // Same rule as the roster at creation: every player has a team or none does
+    const teamMode = countTeamPlayers.get(gameCode).count > 0;
+    if (teamMode && team === null) return fail(400, 'This game is played in teams: give the player a team.');
+    if (!teamMode && team !== null) return fail(400, 'This game is not played in teams.');
+
+    const { maxPlayers } = getGameSettings(game);
+    const playerCount = game.status === 'lobby'
+      ? countGamePlayers.get(gameCode).count
+      : listAlivePlayers.all(gameCode).length;
+    if (maxPlayers && playerCount >= maxPlayers) return fail(409, `This game allows at most ${maxPlayers} players.`);
+
+    const playerId = uuidv4();
+    if (isGameRunning(game)) {
+      insertPlayer.run(playerId, gameCode, playerName, team, 'alive');
+      // An alive player nobody hunts would be stuck outside the chain: take them out again
+      if (!addLateJoiner(game, getPlayerById.get(playerId))) {
+        deletePlayer.run(playerId);
+        return fail(409, 'There is no place in the target chain for a new player.');
+      }
+    } else {
+      insertPlayer.run(playerId, gameCode, playerName, team, 'not-joined');
+    }
+    logGameEvent(gameCode, 'player_added', { player_id: playerId, name: playerName });
+
+    broadcastPlayerList(gameCode);
+    recordAdminAction(gameCode, CREATOR_ACTOR, 'add-player', playerId, { name: playerName });
+    return ok({ playerId, playerName });
+  },
+
+  getKills(input) {
+    const access = requireCreator(input);
+    if (access.error) return access;
+    return ok({ kills: listGameKills.all(access.game.id) });
+  },
+
+  revertKill(input) {
+    const access = requireCreator(input);
+    if (access.error) return access;
+    const gameCode = access.game.id;
+    const { killId } = input;
+
+    const kill = getKillById.get(killId);
+    if (!kill || kill.game_id !== gameCode || kill.reverted_at) return fail(404, 'Kill not found.');
+
+    // Players who left since cannot come back through a revert
+    const victim = getPlayerById.get(kill.victim_id);
+    if (!victim || victim.status !== 'eliminated') return fail(409, 'This player is no longer eliminated.');
+    // A finished game only reopens for the kill that ended it; other endings stand
+    if (access.game.status === 'finished' && !isFinishingKill(kill)) {
+      return fail(409, 'The game did not end with this kill, so it can no longer be reverted.');
+    }
+
+    revertKill(kill);
+    logGameEvent(gameCode, 'kill_reverted', { kill_id: kill.id, killer_id: kill.killer_id, victim_id: kill.victim_id });
+    recordAdminAction(gameCode, CREATOR_ACTOR, 'revert-kill', kill.victim_id, { kill_id: kill.id, killer_id: kill.killer_id });
+
+    return ok({ killId, kills: listGameKills.all(gameCode) });
+  },
+
+  getDisputes(input) {
+    const access = requireCreator(input);
+    if (access.error) return access;
+    return ok({ disputes: listGameDisputes.all(access.game.id).map(disputePayload) });
+  },
+
+  ruleDispute(input) {
+    const access = requireCreator(input);
+    if (access.error) return access;
+    const { game } = access;
+    const gameCode = game.id;
+    const { ruling } = input;
+    const claimId = input.claim_id || input.claimId;
+
+    const claim = typeof claimId === 'string' ? getKillClaimById.get(claimId) : null;
+    if (!claim || claim.game_id !== gameCode || claim.status !== 'escalated') return fail(404, 'Dispute not found.');
+
+    // A paused game keeps the dispute escalated so it can be ruled after resuming
+    if (game.status === 'paused') {
+      return fail(409, 'The game is paused: rulings are on hold until the creator resumes it.');
+    }
+
+    const killer = getPlayerById.get(claim.killer_id);
+    const victim = getPlayerById.get(claim.victim_id);
+    if (game.status !== 'active' || !isClaimChainIntact(killer, victim)) {
+      cancelClaim(claim);
+      return fail(409, 'This dispute is no longer valid.');
+    }
+
+    const upheld = ruling === 'confirm';
+    if (!closeClaim(claim.id, upheld ? 'upheld' : 'rejected', 'escalated')) return fail(404, 'Dispute not found.');
+
+    sendToPlayer(killer.id, 'kill-dispute-ruled', { claim_id: claim.id, ruling });
+    sendToPlayer(victim.id, 'kill-dispute-ruled', { claim_id: claim.id, ruling });
+
+    if (upheld) {
+      eliminatePlayer(killer, victim, 'admin-ruled');
+    } else {
+      logGameEvent(gameCode, 'claim_denied', { claim_id: claim.id, killer_id: killer.id, victim_id: victim.id, by: 'creator' });
+    }
+
+    recordAdminAction(gameCode, CREATOR_ACTOR, 'rule-dispute', victim.id, { claim_id: claim.id, killer_id: killer.id, ruling });
+    notifyDisputesChanged(gameCode);
+    return ok({ claim_id: claim.id, ruling });
+  },
+
+  getForbiddenPairs(input) {
+    const access = requireCreator(input);
+    if (access.error) return access;
+    return ok({ pairs: listForbiddenPairs.all(access.game.id) });
+  },
+
+  // Forbidden pairs can only be edited in the lobby
+  addForbiddenPair(input) {
+    const access = requireCreator(input);
+    if (access.error) return access;
+    const { game } = access;
+    const gameCode = game.id;
+    const { playerAId, playerBId } = input;
+
+    if (playerAId === playerBId) return fail(400, 'Pick two different players.');
+    if (game.status !== 'lobby') return fail(409, 'Forbidden pairs can only be changed in the lobby.');
+
+    const playerA = getPlayerById.get(playerAId);
+    const playerB = getPlayerById.get(playerBId);
+    if (!playerA || playerA.game_id !== gameCode || !playerB || playerB.game_id !== gameCode) {
+      return fail(404, 'Player not found.');
+    }
+
+    const [firstId, secondId] = [playerAId, playerBId].sort();
+    insertForbiddenPair.run(uuidv4(), gameCode, firstId, secondId);
+    recordAdminAction(gameCode, CREATOR_ACTOR, 'add-forbidden-pair', null, { player_a_id: firstId, player_b_id: secondId });
+
+    return ok({ pairs: listForbiddenPairs.all(gameCode) });
+  },
+
+  removeForbiddenPair(input) {
+    const access = requireCreator(input);
+    if (access.error) return access;
+    const { game } = access;
+    const gameCode = game.id;
+    const { pairId } = input;
+
+    if (game.status !== 'lobby') return fail(409, 'Forbidden pairs can only be changed in the lobby.');
+
+    deleteForbiddenPair.run(pairId, gameCode);
+    recordAdminAction(gameCode, CREATOR_ACTOR, 'remove-forbidden-pair', null, { pair_id: pairId });
+
+    return ok({ pairs: listForbiddenPairs.all(gameCode) });
+  },
+
+  // The player leaves the game without it counting as a kill
+  playerLeave(input) {
+    const access = requireAdmin(input, 'player-leave');
+    if (access.error) return access;
+    const { game, actor } = access;
+    const gameCode = game.id;
+
+    const found = findGamePlayer(gameCode, input.playerId);
+    if (found.error) return found;
+    const { player } = found;
+    const playerId = player.id;
+    if (player.status !== 'alive') return fail(409, 'Player is not alive.');
+
+    // Find the assassin (player who has this player as target)
+    const assassin = db.prepare(`SELECT * FROM players WHERE target_id = ? AND status = 'alive'`).get(playerId);
+
+    // Set status to 'left' and invalidate session
+    const tx = db.transaction(() => {
+      setPlayerStatus.run('left', playerId);
+      // Invalidate session by setting session_token to NULL
+      db.prepare(`UPDATE players SET session_token = NULL WHERE id = ?`).run(playerId);
+
+      // If there was an assassin targeting this player, assign them the leaving player's target and task
+      if (assassin) {
+        const retargeted = relinkChain(assassin, player.target_id);
+        setPlayerTaskOnly.run(chooseTask(game, assassin.id, player.task), assassin.id);
+        return retargeted;
+      }
+      return [];
+    });
+    const retargeted = tx();
+    recordAdminAction(gameCode, actor, 'player-leave', playerId);
+    logGameEvent(gameCode, 'player_left', {
+      player_id: playerId,
+      hunter_id: assassin ? assassin.id : null,
+      new_target_id: assassin ? getPlayerById.get(assassin.id).target_id : null
+    });
+
+    // Claims by or against the leaving player can no longer be answered
+    cancelPendingClaims(playerId);
+    sendRetargeted(retargeted);
+
+    // Invalidate the player's session on every device they have connected
+    detachPlayerSockets(playerId, 'session-invalidated');
+
+    // Broadcast updated player list to all clients in the game room
+    broadcastPlayerList(gameCode);
+
+    // If there was an assassin, notify them of their new target and task
+    if (assassin) {
+      sendAssignment(assassin.id, 'new-target');
+    }
+
+    if (isGameRunning(game)) {
+      finishGameIfOver(gameCode);
+    }
+
+    return ok({ playerId });
+  },
+
+  endGame(input) {
+    const access = requireAdmin(input, 'end-game');
+    if (access.error) return access;
+    const { game, actor } = access;
+    const gameCode = game.id;
+    if (!isGameRunning(game)) return fail(409, 'Game not active.');
+
+    // End the game immediately
+    setGameStatus.run('finished', gameCode);
+    recordAdminAction(gameCode, actor, 'end-game');
+    logGameEvent(gameCode, 'game_finished', {
+      reason: 'ended-by-admin', winner_ids: listAlivePlayers.all(gameCode).map(p => p.id)
+    });
+    io.to(gameCode).emit('game-state', 'finished');
+    io.to(gameCode).emit('game-over', {
+      winner_id: null,
+      winner_name: 'All remaining players win!'
+    });
+    io.to(gameCode).emit('navigate-victory', { gameCode });
+
+    return ok();
+  },
+
+  // Hand creator rights to a connected player; the old creator token stops working
+  transferCreator(input) {
+    const access = requireCreator(input);
+    if (access.error) return access;
+    const gameCode = access.game.id;
+
+    const found = findGamePlayer(gameCode, input.playerId);
+    if (found.error) return found;
+    const { player } = found;
+
+    const sockets = player.session_token ? playerSockets(player.id) : [];
+    if (!sockets.length) return fail(409, 'That player is not connected.');
+
+    // The old creator's recovery passphrase must not outlive the handover
+    const newToken = issueCreatorToken(gameCode);
+    setCreatorRecovery.run(null, gameCode);
+    logGameEvent(gameCode, 'creator_transferred', { player_id: player.id, player_name: player.name });
+
+    for (const playerSocket of sockets) {
+      registerCreatorSocket(playerSocket, gameCode, newToken);
+      playerSocket.emit('creator-rights-granted', { gameCode, creatorToken: newToken });
+    }
+    recordAdminAction(gameCode, CREATOR_ACTOR, 'transfer-creator', player.id);
+    return ok({ playerId: player.id, playerName: player.name });
+  },
+
+  async setRecovery(input) {
+    const access = requireCreator(input);
+    if (access.error) return access;
+
+    setCreatorRecovery.run(await hashPin(input.recoveryPassphrase), access.game.id);
+    recordAdminAction(access.game.id, CREATOR_ACTOR, 'set-recovery');
+    return ok();
+  },
+
+  // One page of the audit log, newest first
+  getAuditLog(input) {
+    const access = requireCreator(input);
+    if (access.error) return access;
+    const gameCode = access.game.id;
+    const page = input.page || 1;
+
+    const total = countAdminActions.get(gameCode).count;
+    const entries = listAdminActionsPage.all(gameCode, AUDIT_PAGE_SIZE, (page - 1) * AUDIT_PAGE_SIZE);
+    return ok({ entries: entries.map(adminActionPayload), page, pageSize: AUDIT_PAGE_SIZE, total });
+  },
+
+  createModerator(input) {
+    const access = requireCreator(input);
+    if (access.error) return access;
+    const gameCode = access.game.id;
+    const { permissions } = input;
+    const moderatorName = input.name.trim();
+
+    // The token is only ever shown here; the database keeps its hash
+    const moderatorToken = crypto.randomBytes(16).toString('hex');
+    const moderatorId = uuidv4();
+    const granted = [...new Set(permissions)];
+    insertModerator.run(moderatorId, gameCode, moderatorName, hashToken(moderatorToken), JSON.stringify(granted));
+    logGameEvent(gameCode, 'moderator_added', { moderator_id: moderatorId, name: moderatorName });
+    recordAdminAction(gameCode, CREATOR_ACTOR, 'create-moderator', null, {
+      moderator_id: moderatorId, name: moderatorName, permissions: granted
+    });
+
+    return ok({
+      moderator: moderatorPayload(getModeratorByTokenHash.get(hashToken(moderatorToken))),
+      moderatorToken
+    });
+  },
+
+  getModerators(input) {
+    const access = requireCreator(input);
+    if (access.error) return access;
+    return ok({ moderators: listGameModerators.all(access.game.id).map(moderatorPayload) });
+  },
+
+  revokeModerator(input) {
+    const access = requireCreator(input);
+    if (access.error) return access;
+    const gameCode = access.game.id;
+    const { moderatorId } = input;
+
+    if (revokeModerator.run(moderatorId, gameCode).changes === 0) return fail(404, 'Moderator not found.');
+    logGameEvent(gameCode, 'moderator_revoked', { moderator_id: moderatorId });
+    recordAdminAction(gameCode, CREATOR_ACTOR, 'revoke-moderator', null, { moderator_id: moderatorId });
+
+    return ok({ moderatorId, moderators: listGameModerators.all(gameCode).map(moderatorPayload) });
+  },
+
+  getWebhooks(input) {
+    const access = requireCreator(input);
+    if (access.error) return access;
+    return ok({ webhooks: listGameWebhooks.all(access.game.id).map(webhookPayload) });
+  },
+
+  async addWebhook(input) {
+    const access = requireCreator(input);
+    if (access.error) return access;
+    const gameCode = access.game.id;
+
+    let url;
+    try {
+      url = new URL(input.url);
+    } catch {
+      return fail(400, 'Webhook URL must be an http(s) URL.');
+    }
+    if (listGameWebhooks.all(gameCode).length >= MAX_WEBHOOKS) {
+      return fail(409, `A game can have at most ${MAX_WEBHOOKS} webhooks.`);
+    }
+    const addressProblem = await webhookAddressProblem(url);
+    if (addressProblem) return fail(400, addressProblem);
+
+    const webhookId = uuidv4();
+    insertWebhook.run(webhookId, gameCode, url.href, input.secret || null);
+    // Webhook URLs often embed a token, so only the host is logged
+    recordAdminAction(gameCode, CREATOR_ACTOR, 'add-webhook', null, { webhook_id: webhookId, host: url.host });
+    return ok({ webhooks: listGameWebhooks.all(gameCode).map(webhookPayload) });
+  },
+
+  removeWebhook(input) {
+    const access = requireCreator(input);
+    if (access.error) return access;
+    const gameCode = access.game.id;
+    const { webhookId } = input;
+
+    const webhook = getWebhookById.get(webhookId);
+    if (!webhook || webhook.game_id !== gameCode) return fail(404, 'Webhook not found.');
+    listPendingDeliveryIdsForWebhook.all(webhookId).forEach(({ id }) => clearWebhookTimer(id));
+    deleteWebhookDeliveries.run(webhookId);
+    deleteWebhook.run(webhookId, gameCode);
+    recordAdminAction(gameCode, CREATOR_ACTOR, 'remove-webhook', null, { webhook_id: webhookId });
+    return ok({ webhooks: listGameWebhooks.all(gameCode).map(webhookPayload) });
+  },
+
+  // Queue a `test` event; its outcome shows up in the delivery log like any other
+  testWebhook(input) {
+    const access = requireCreator(input);
+    if (access.error) return access;
+
+    const webhook = getWebhookById.get(input.webhookId);
+    if (!webhook || webhook.game_id !== access.game.id) return fail(404, 'Webhook not found.');
+    const deliveryId = queueWebhookDelivery(webhook, 'test', { message: 'Test event from the game admin panel.' });
+    return ok({ webhookId: webhook.id, delivery: webhookDeliveryPayload(getWebhookDelivery.get(deliveryId)) });
+  },
+
+  getWebhookDeliveries(input) {
+    const access = requireCreator(input);
+    if (access.error) return access;
+
+    const webhook = getWebhookById.get(input.webhookId);
+    if (!webhook || webhook.game_id !== access.game.id) return fail(404, 'Webhook not found.');
+    const deliveries = listWebhookDeliveries.all(webhook.id, WEBHOOK_LOG_SIZE).map(webhookDeliveryPayload);
+    return ok({ webhookId: webhook.id, deliveries });
+  },
+
+  deleteGame(input) {
+    const access = requireCreator(input);
+    if (access.error) return access;
+    const gameCode = access.game.id;
+
+    listPendingDeliveryIdsForGame.all(gameCode).forEach(({ id }) => clearWebhookTimer(id));
+
+    // Delete game and all related data in a transaction
+    const tx = db.transaction(() => {
+      deleteGameKillHistory.run(gameCode);
+      deleteGameKillClaims.run(gameCode);
+      deleteGameForbiddenPairs.run(gameCode);
+      deleteGameEvents.run(gameCode);
+      deleteGameModerators.run(gameCode);
+      deleteGameAdminActions.run(gameCode);
+      deleteGameReclaimLockouts.run(gameCode, gameCode);
+      deleteGameWebhookDeliveries.run(gameCode);
+      deleteGameWebhooks.run(gameCode);
+      deleteGamePlayers.run(gameCode);
+      deleteGame.run(gameCode);
+    });
+    tx();
+
+    return ok();
+  }
+};
+
+// ----------------------------
+// API Endpoints
+// ----------------------------
+apiRoute('post', '/api/create-game', {
+  summary: 'Create a game',
+  tag: 'Game',
+  input: objectSchema({
+    playerNames: {
+      type: 'string', description: 'One "Name" or "Name | Team" per line',
+      'x-message': 'Player names and tasks must be provided as strings'
+    },
+    tasks: { type: 'string', description: 'One task per line (or upload taskFile)' },
+    taskFile: { type: 'string', format: 'binary', description: 'Task list file (multipart/form-data only)' },
+    ...SETTINGS_FIELDS,
+    startsAt: FIELDS.scheduleTime,
+    endsAt: FIELDS.scheduleTime,
+    recoveryPassphrase: {
+      ...FIELDS.recoveryPassphrase, minLength: 0, pattern: '^(|[\\s\\S]{8,})$',
+      description: 'Lets the creator get their rights back on another device'
+    }
+  }, ['playerNames'])
+}, async (req, res) => {
+  try {
+    let { playerNames, tasks } = req.body || {};
+
+    // Handle optional file upload for tasks
+    if (req.files && req.files.taskFile) {
+      try {
+        const taskFile = req.files.taskFile;
+        if (!taskFile.data || !Buffer.isBuffer(taskFile.data)) {
+          return sendError(res, 400, 'Invalid task file upload');
+        }
+        const fileContent = taskFile.data.toString('utf8');
+        tasks = fileContent;
+      } catch (fileErr) {
+        console.error('Error reading task file:', fileErr);
+        return sendError(res, 400, 'Failed to process task file');
+      }
+    }
+
+    if (typeof playerNames !== 'string' || typeof tasks !== 'string') {
+      return sendError(res, 400, 'Player names and tasks must be provided as strings');
+    }
+
+    // Parse player names (optionally "Name | Team") and tasks into arrays
+    const playerLines = playerNames
+      .split('\n')
+      .map(s => s.trim())
+      .filter(Boolean)
+      .map(parsePlayerLine);
+    if (playerLines.includes(null)) {
+      return sendError(res, 400, 'Use "Name" or "Name | Team" for each player');
+    }
+    const playersArray = playerLines.map(p => p.name);
+    const teamCount = playerLines.filter(p => p.team !== null).length;
+    if (teamCount > 0 && teamCount < playerLines.length) {
+      return sendError(res, 400, 'Either give every player a team or none');
+    }
+    if (teamCount > 0 && !playerLines.every(p => validateTeamName(p.team))) {
+      return sendError(res, 400, 'Invalid team names detected');
+    }
+
+    const tasksArray = tasks
+      .split('\n')
+      .map(s => s.trim())
+      .filter(Boolean);
+
+    if (playersArray.length < 2) {
+      return sendError(res, 400, 'At least two players are required');
+    }
+    if (tasksArray.length === 0) {
+      return sendError(res, 400, 'At least one task is required');
+    }
+
+    // Per-item validation
+    if (!playersArray.every(validatePlayerName)) {
+      return sendError(res, 400, 'Invalid player names detected');
+    }
+    if (!tasksArray.every(validateTask)) {
+      return sendError(res, 400, 'Invalid tasks detected');
+    }
+
+    // Optional game rules (missing fields fall back to the defaults)
+    const { settings, error: settingsError } = validateGameSettings(req.body || {});
+    if (settingsError) {
+      return sendError(res, 400, settingsError);
+    }
+    if (playersArray.length < settings.minPlayers) {
+      return sendError(res, 400, `At least ${settings.minPlayers} players are required`);
+    }
+    if (settings.maxPlayers && playersArray.length > settings.maxPlayers) {
+      return sendError(res, 400, `This game allows at most ${settings.maxPlayers} players`);
+    }
+
+    // Optional scheduled start and deadline
+    const { schedule, error: scheduleError } = validateGameSchedule(req.body || {});
+    if (scheduleError) {
+      return sendError(res, 400, scheduleError);
+    }
+
+    // Optional secret that lets the creator get their rights back on another device
+    const { recoveryPassphrase } = req.body || {};
+    const recoveryHash = recoveryPassphrase ? await hashPin(recoveryPassphrase) : null;
+
+    // Generate unique game code
+    let gameCode;
+    do {
+      gameCode = generateGameCode();
+    } while (db.prepare('SELECT id FROM games WHERE id = ?').get(gameCode));
+
+    // Generate creator session token
+    const creatorToken = crypto.randomBytes(16).toString('hex');
+
+    // Insert game
+    const insertGame = db.prepare(`
+      INSERT INTO games (id, creator_session, status, task_pool, settings, starts_at, ends_at, creator_recovery_hash)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    insertGame.run(gameCode, creatorToken, 'lobby', JSON.stringify(tasksArray), JSON.stringify(settings),
+      schedule.starts_at, schedule.ends_at, recoveryHash);
+    io.to(gameCode).emit('game-state', 'lobby');
+
+    // Insert players
+    for (const { name, team } of playerLines) {
+      const playerId = uuidv4();
+      insertPlayer.run(playerId, gameCode, name, team, 'not-joined');
+    }
+    logGameEvent(gameCode, 'game_created', { players: playerLines.length, teams: teamCount > 0 });
+
+    armGameSchedule(getGameById.get(gameCode));
+
+    // Build join URL
+    const joinUrl = `${getServerUrl(req)}/game/${gameCode}`;
+
+    return res.json({ gameCode, creatorToken, joinUrl });
+  } catch (error) {
+    console.error('Error creating game:', error);
+    return sendError(res, 500, 'Failed to create game');
+  }
+});
+
+
+// Rules of a game; public so players can read them in the lobby
+apiRoute('get', '/api/games/:gameCode/settings', {
+  summary: 'Rules of the game',
+  tag: 'Game',
+  input: objectSchema({ gameCode: FIELDS.gameCode }, ['gameCode'])
+}, (req, res) => {
+  try {
+    const { gameCode } = req.params;
+
+    const game = getGameById.get(gameCode);
+    if (!game) {
+      return sendError(res, 404, 'Game not found');
+    }
+
+    res.json({ gameCode, status: game.status, settings: getGameSettings(game), schedule: getGameSchedule(game) });
+  } catch (error) {
+    console.error('Error getting game settings:', error);
+    sendError(res, 500, 'Failed to get game settings');
+  }
+});
+
+// The creator can change the rules until the game starts; missing fields keep their current value
+apiRoute('put', '/api/games/:gameCode/settings', {
+  summary: 'Change the rules in the lobby',
+  tag: 'Admin',
+  input: objectSchema({ gameCode: FIELDS.gameCode, creatorToken: FIELDS.creatorToken, ...SETTINGS_FIELDS }, ['gameCode'])
+}, (req, res) => {
+  try {
+    const { gameCode } = req.params;
+    const { creatorToken, ...input } = req.body || {};
+
+    const game = getGameById.get(gameCode);
+    if (!game) {
+      return sendError(res, 404, 'Game not found');
+    }
+    if (!creatorToken || game.creator_session !== creatorToken) {
+      return sendError(res, 403, 'Unauthorized');
+    }
+    if (game.status !== 'lobby') {
+      return sendError(res, 409, 'Settings can only be changed in the lobby');
+    }
+
+    const { settings, error } = validateGameSettings(input, getGameSettings(game));
+    if (error) {
+      return sendError(res, 400, error);
+    }
+    const rosterSize = countGamePlayers.get(gameCode).count;
+    if (rosterSize < settings.minPlayers) {
+      return sendError(res, 400, `The roster only has ${rosterSize} players`);
+    }
+    if (settings.maxPlayers && rosterSize > settings.maxPlayers) {
+      return sendError(res, 400, `The roster already has ${rosterSize} players`);
+    }
+
+    setGameSettings.run(JSON.stringify(settings), gameCode);
+    recordAdminAction(gameCode, CREATOR_ACTOR, 'update-settings', null, settings);
+    io.to(gameCode).emit('game-settings-updated', settings);
+
+    res.json({ settings });
+  } catch (error) {
+    console.error('Error updating game settings:', error);
+    sendError(res, 500, 'Failed to update game settings');
+  }
+});
+
+// The creator can set the start time until the game starts and the deadline until it ends
+apiRoute('put', '/api/games/:gameCode/schedule', {
+  summary: 'Set the scheduled start and the deadline',
+  tag: 'Admin',
+  input: objectSchema({
+    gameCode: FIELDS.gameCode, creatorToken: FIELDS.creatorToken, startsAt: FIELDS.scheduleTime, endsAt: FIELDS.scheduleTime
+  }, ['gameCode'])
+}, (req, res) => {
+  try {
+    const { gameCode } = req.params;
+    const { creatorToken, ...input } = req.body || {};
+
+    const game = getGameById.get(gameCode);
+    if (!game) {
+      return sendError(res, 404, 'Game not found');
+    }
+    if (!creatorToken || game.creator_session !== creatorToken) {
+      return sendError(res, 403, 'Unauthorized');
+    }
+    if (game.status === 'finished') {
+      return sendError(res, 409, 'The game is already over');
+    }
+    if (game.status !== 'lobby' && input.startsAt !== undefined) {
+      return sendError(res, 409, 'The game has already started');
+    }
+
+    const { schedule, error } = validateGameSchedule(input, game);
+    if (error) {
+      return sendError(res, 400, error);
+    }
+
+    setGameSchedule.run(schedule.starts_at, schedule.ends_at, gameCode);
+    recordAdminAction(gameCode, CREATOR_ACTOR, 'update-schedule', null, schedule);
+    const updated = getGameById.get(gameCode);
+    armGameSchedule(updated);
+    io.to(gameCode).emit('game-schedule-updated', getGameSchedule(updated));
+
+    res.json({ schedule: getGameSchedule(updated) });
+  } catch (error) {
+    console.error('Error updating game schedule:', error);
+    sendError(res, 500, 'Failed to update game schedule');
+  }
+});
+
+// The creator can download the whole admin audit log as JSON; the token goes in the
+// body so it does not end up in links, history or access logs
+apiRoute('post', '/api/games/:gameCode/audit-log', {
+  summary: 'Download the whole audit log',
+  tag: 'Admin',
+  input: objectSchema({ gameCode: FIELDS.gameCode, creatorToken: FIELDS.creatorToken }, ['gameCode'])
+}, (req, res) => {
+  try {
+    const { gameCode } = req.params;
+    const { creatorToken } = req.body || {};
+
+    const game = getGameById.get(gameCode);
+    if (!game) {
+      return sendError(res, 404, 'Game not found');
+    }
+    if (!creatorToken || game.creator_session !== creatorToken) {
+      return sendError(res, 403, 'Unauthorized');
+    }
+
+    res.attachment(`audit-log-${gameCode}.json`);
+    res.json({
+      gameCode,
+      exported_at: new Date().toISOString(),
+      actions: listAllAdminActions.all(gameCode).map(adminActionPayload)
+    });
+  } catch (error) {
+    console.error('Error exporting audit log:', error);
+    sendError(res, 500, 'Failed to export audit log');
+  }
+});
+
+// The game's event log; pass creatorToken, moderatorToken or sessionToken to see it in that role
+apiRoute('get', '/api/games/:gameCode/timeline', {
+  summary: 'The game\'s event log, redacted for the caller\'s role',
+  tag: 'Game',
+  input: objectSchema({
+    gameCode: FIELDS.gameCode, creatorToken: FIELDS.creatorToken,
+    moderatorToken: FIELDS.moderatorToken, sessionToken: FIELDS.sessionToken
+  }, ['gameCode'])
+}, (req, res) => {
+  try {
+    const { gameCode } = req.params;
+
+    const game = getGameById.get(gameCode);
+    if (!game) {
+      return sendError(res, 404, 'Game not found');
+    }
+    const role = timelineRole(game, req.query);
+    if (!role) {
+      return sendError(res, 403, 'Unauthorized');
+    }
+
+    res.json({ gameCode, status: game.status, role, events: buildTimeline(game, role) });
+  } catch (error) {
+    console.error('Error getting game timeline:', error);
+    sendError(res, 500, 'Failed to get game timeline');
+  }
+});
+
+// ----------------------------
+// Game actions over REST (same game service as the socket handlers)
+// ----------------------------
+// Answer a request with a game service action; the socket broadcasts go out exactly as for a socket client
+function restAction(action) {
+  return async (req, res) => {
+    try {
+      const { result, error, status } = await action(req.input);
+      if (error) {
+        return sendError(res, status, error);
+      }
+      res.json(result);
+    } catch (error) {
+      console.error(`Error in ${action.name}:`, error);
+      sendError(res, 500, 'Request failed');
+    }
+  };
+}
+
+// A REST route for a game service action takes the same input as its socket event
+function serviceRoute(method, path, event, summary, action) {
+  const tag = event.startsWith('admin-') ? 'Admin' : 'Game';
+  apiRoute(method, path, { summary, tag, input: SOCKET_SCHEMAS[event], rateLimit: event }, restAction(action));
+}
+
+serviceRoute('post', '/api/games/:gameCode/start', 'start-game', 'Start the game', gameService.startGame);
+serviceRoute('post', '/api/games/:gameCode/claims', 'claim-kill', 'Claim the kill of your target', gameService.claimKill);
+serviceRoute('post', '/api/games/:gameCode/claims/:claimId/resolve', 'resolve-kill',
+  'Confirm or deny a claim against you', gameService.resolveKill);
+serviceRoute('post', '/api/games/:gameCode/claims/:claimId/escalate', 'escalate-kill',
+  'Hand a denied claim to the creator', gameService.escalateKill);
+serviceRoute('delete', '/api/games/:gameCode', 'admin-delete-game', 'Delete the game', gameService.deleteGame);
+
+serviceRoute('get', '/api/games/:gameCode/admin/players', 'admin-get-players', 'List the players', gameService.getPlayers);
+serviceRoute('post', '/api/games/:gameCode/admin/players', 'admin-add-player', 'Add a player', gameService.addPlayer);
+serviceRoute('post', '/api/games/:gameCode/admin/players/:playerId/pin', 'admin-reset-pin',
+  'Reset a player\'s PIN', gameService.resetPin);
+serviceRoute('post', '/api/games/:gameCode/admin/players/:playerId/kill', 'admin-manual-kill',
+  'Eliminate a player', gameService.manualKill);
+serviceRoute('post', '/api/games/:gameCode/admin/players/:playerId/leave', 'admin-player-leave',
+  'Remove a player from the game', gameService.playerLeave);
+serviceRoute('post', '/api/games/:gameCode/admin/reshuffle', 'admin-reshuffle', 'Rebuild the target chain', gameService.reshuffle);
+serviceRoute('post', '/api/games/:gameCode/admin/pause', 'admin-pause-game', 'Pause the game', gameService.pauseGame);
+serviceRoute('post', '/api/games/:gameCode/admin/resume', 'admin-resume-game', 'Resume the game', gameService.resumeGame);
+serviceRoute('post', '/api/games/:gameCode/admin/end', 'admin-end-game', 'End the game now', gameService.endGame);
+
+serviceRoute('get', '/api/games/:gameCode/admin/kills', 'admin-get-kills', 'List the kills', gameService.getKills);
+serviceRoute('post', '/api/games/:gameCode/admin/kills/:killId/revert', 'admin-revert-kill',
+  'Revert a kill', gameService.revertKill);
+serviceRoute('get', '/api/games/:gameCode/admin/disputes', 'admin-get-disputes', 'List the open disputes', gameService.getDisputes);
+serviceRoute('post', '/api/games/:gameCode/admin/disputes/:claimId/rule', 'admin-rule-dispute',
+  'Rule on a disputed claim', gameService.ruleDispute);
+
+serviceRoute('get', '/api/games/:gameCode/admin/forbidden-pairs', 'admin-get-forbidden-pairs',
+  'List the forbidden pairs', gameService.getForbiddenPairs);
+serviceRoute('post', '/api/games/:gameCode/admin/forbidden-pairs', 'admin-add-forbidden-pair',
+  'Forbid two players from hunting each other', gameService.addForbiddenPair);
+serviceRoute('delete', '/api/games/:gameCode/admin/forbidden-pairs/:pairId', 'admin-remove-forbidden-pair',
+  'Remove a forbidden pair', gameService.removeForbiddenPair);
+
+serviceRoute('post', '/api/games/:gameCode/admin/transfer-creator', 'admin-transfer-creator',
+  'Hand creator rights to a connected player', gameService.transferCreator);
+serviceRoute('put', '/api/games/:gameCode/admin/recovery', 'admin-set-recovery',
+  'Set the creator recovery passphrase', gameService.setRecovery);
+serviceRoute('get', '/api/games/:gameCode/admin/audit-log', 'admin-get-audit-log',
+  'One page of the audit log', gameService.getAuditLog);
+
+serviceRoute('get', '/api/games/:gameCode/admin/moderators', 'admin-get-moderators', 'List the moderators', gameService.getModerators);
+serviceRoute('post', '/api/games/:gameCode/admin/moderators', 'admin-create-moderator',
+  'Invite a moderator', gameService.createModerator);
+serviceRoute('delete', '/api/games/:gameCode/admin/moderators/:moderatorId', 'admin-revoke-moderator',
+  'Revoke a moderator', gameService.revokeModerator);
+serviceRoute('get', '/api/games/:gameCode/admin/webhooks', 'admin-get-webhooks', 'List the webhooks', gameService.getWebhooks);
+serviceRoute('post', '/api/games/:gameCode/admin/webhooks', 'admin-add-webhook', 'Register a webhook', gameService.addWebhook);
+serviceRoute('delete', '/api/games/:gameCode/admin/webhooks/:webhookId', 'admin-remove-webhook',
+  'Remove a webhook', gameService.removeWebhook);
+serviceRoute('post', '/api/games/:gameCode/admin/webhooks/:webhookId/test', 'admin-test-webhook',
+  'Send a test event to a webhook', gameService.testWebhook);
+serviceRoute('get', '/api/games/:gameCode/admin/webhooks/:webhookId/deliveries', 'admin-get-webhook-deliveries',
+  'List the latest deliveries of a webhook', gameService.getWebhookDeliveries);
+
+// The OpenAPI description of every route above, built from their schemas
+app.get('/api/openapi.json', (req, res) => {
+  res.json(buildOpenApiDocument());
+});
+
+app.get('/game/:gameCode', (req, res) => {
+  res.sendFile(join(__dirname, 'public', 'game.html'));
+});
+
+apiRoute('get', '/api/game-summary', {
+  summary: 'Winner, kills and events of a game',
+  tag: 'Game',
+  input: objectSchema({ gameCode: FIELDS.gameCode, sessionToken: FIELDS.sessionToken }, ['gameCode'])
+}, (req, res) => {
+  try {
+    const { gameCode } = req.query;
+
+    const sessionToken = req.query.sessionToken || null;
+
+    const game = getGameById.get(gameCode);
+    if (!game) {
+      return sendError(res, 404, 'Game not found');
+    }
+
+    // Winner (in team mode: the last team standing; after a deadline: the players it named)
+    const alivePlayers = listAlivePlayers.all(gameCode);
+    const deadlineWinners = game.winner_ids
+      ? JSON.parse(game.winner_ids).map(id => getPlayerById.get(id)).filter(Boolean)
+      : null;
+    const winners = deadlineWinners || alivePlayers;
+    const winner = winners.length === 1 ? winners[0] : null;
+    const winningTeam = winners.length > 0 && winners[0].team &&
+      winners.every(p => p.team === winners[0].team) ? winners[0].team : null;
+
+    // Kill history with player names
+    const historyRows = db.prepare(`
+      SELECT kh.*, k.name AS killer_name, v.name AS victim_name,
+             (k.session_token = ?) AS is_own_kill
+      FROM kill_history kh
+      LEFT JOIN players k ON kh.killer_id = k.id
+      LEFT JOIN players v ON kh.victim_id = v.id
+      WHERE kh.game_id = ? AND kh.reverted_at IS NULL
+      ORDER BY kh.timestamp ASC
+    `).all(sessionToken || null, gameCode);
+
+    // Kill count per player (moved to SQL)
+    const killCountArr = db.prepare(`
+      SELECT p.name, COUNT(kh.id) AS count
+      FROM players p
+      LEFT JOIN kill_history kh ON kh.killer_id = p.id AND kh.reverted_at IS NULL
+      WHERE p.game_id = ?
+      GROUP BY p.id
+      ORDER BY count DESC, p.name ASC
+    `).all(gameCode);
+
+    // Kill count per team (empty unless the game is played in teams)
+    const teamKillCountArr = db.prepare(`
+      SELECT p.team, COUNT(kh.id) AS count
+      FROM players p
+      LEFT JOIN kill_history kh ON kh.killer_id = p.id AND kh.reverted_at IS NULL
+      WHERE p.game_id = ? AND p.team IS NOT NULL
+      GROUP BY p.team
+      ORDER BY count DESC, p.team ASC
+    `).all(gameCode);
+
+    // Everything else that happened, without live targets unless the game is over
+    const events = buildTimeline(game, timelineRole(game, { sessionToken: sessionToken || undefined }) || 'public');
+
+    // Current player
+    let currentPlayer = null;
+    if (sessionToken) {
+      currentPlayer = db.prepare(`
+        SELECT name FROM players WHERE session_token = ? AND game_id = ?
+      `).get(sessionToken, gameCode);
+    }
+
+    res.json({
+      winner_name: winningTeam || (deadlineWinners && winners.length > 1)
+        ? winners.map(p => p.name).join(', ')
+        : (winner ? winner.name : null),
+      winning_team: winningTeam,
+      kill_history: historyRows,
+      kill_count: killCountArr,
+      team_kill_count: teamKillCountArr,
+      events,
+      current_player_name: currentPlayer ? currentPlayer.name : null
+    });
+
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, 'Failed to get game summary');
+  }
+});
+
+
+// ----------------------------
+// Socket identity
+// ----------------------------
+// A client presents its tokens once, in the handshake `auth` (see
+// SOCKET_AUTH_SCHEMA). They are resolved to a player, creator or moderator kept
+// in `socket.data`, and the handlers act for that identity: whatever tokens an
+// event payload carries are replaced by the socket's own.
+// Older clients still send tokens in payloads; for one release such a token
+// counts while the socket has no identity of that kind.
+const ACCEPT_PAYLOAD_TOKENS = true;
+
+// Payload fields that carry a token, by the socket.data field that replaces them
+const PAYLOAD_TOKEN_FIELDS = {
+  sessionToken: ['sessionToken', 'session_token'],
+  creatorToken: ['creatorToken'],
+  moderatorToken: ['moderatorToken']
+};
+
+function isToken(value) {
+  return typeof value === 'string' && value.length > 0;
+}
+
+function registerModeratorSocket(socket, moderator, moderatorToken) {
+  socket.data.moderatorOf = moderator.game_id;
+  socket.data.moderatorToken = moderatorToken;
+}
+
+/**
+ * Handshake middleware. Tokens that resolve to nothing (or to another game than
+ * `auth.gameCode`) are noted in `socket.data.rejectedTokens` so the client can be
+ * told once connected; only a malformed `auth` refuses the connection.
+ */
+function authenticateSocket(socket, next) {
+  const auth = socket.handshake.auth ?? {};
+  const problem = checkSchema(SOCKET_AUTH_SCHEMA, auth);
+  if (problem) return next(new Error(problem.message));
+
+  const { gameCode, sessionToken, creatorToken, moderatorToken } = auth;
+  const inGame = id => !gameCode || id === gameCode;
+  const rejected = [];
+
+  if (isToken(sessionToken)) {
+    const player = getPlayerBySession.get(sessionToken);
+    if (player && inGame(player.game_id)) {
+      socket.data.sessionToken = sessionToken;
+      socket.data.playerId = player.id;
+      socket.data.gameCode = player.game_id;
+    } else {
+      rejected.push('sessionToken');
+    }
+  }
+  if (isToken(creatorToken)) {
+    const game = getGameByCreator.get(creatorToken);
+    if (game && inGame(game.id)) registerCreatorSocket(socket, game.id, creatorToken);
+    else rejected.push('creatorToken');
+  }
+  if (isToken(moderatorToken)) {
+    const moderator = getModeratorByTokenHash.get(hashToken(moderatorToken));
+    if (moderator && !moderator.revoked_at && inGame(moderator.game_id)) {
+      registerModeratorSocket(socket, moderator, moderatorToken);
+    } else {
+      rejected.push('moderatorToken');
+    }
+  }
+  socket.data.rejectedTokens = rejected;
+  next();
+}
 
-        // Inform killer of new target + task
-        if (killerSocketId) {
-          const updatedKiller = getPlayerById.get(killer.id);
-          const newTarget = updatedKiller.target_id ? getPlayerById.get(updatedKiller.target_id) : null;
-          io.to(killerSocketId).emit('new-target', {
-            target: newTarget ? { id: newTarget.id, name: newTarget.name } : null,
-            task: updatedKiller.task || null
-          });
-        }
+// Once connected, a socket hears what its handshake tokens amount to, as if it had
+// sent creator-auth and moderator-auth
+function greetSocket(socket) {
+  const { playerId, creatorOf, moderatorOf, moderatorToken, rejectedTokens } = socket.data;
+  const gameCode = socket.handshake.auth?.gameCode;
 
-        // Check for game over: only one alive left
-        const aliveNow = listAlivePlayers.all(target.game_id);
-        if (aliveNow.length === 1) {
-          const winner = aliveNow[0];
-          setGameStatus.run('finished', target.game_id);
-          io.to(target.game_id).emit('game-state', 'finished');
-          io.to(target.game_id).emit('game-over', {
-            winner_id: winner.id,
-            winner_name: winner.name
-          });
+  if (playerId) {
+    socket.join(playerRoom(playerId));
+    playerDevicesChanged(socket.data.gameCode, playerId);
+  }
+  if (creatorOf) {
+    const game = getGameById.get(creatorOf);
+    socket.emit('creator-confirmed', { gameCode: creatorOf, hasRecovery: !!game.creator_recovery_hash });
+  }
+  if (moderatorOf) {
+    const { id, name, permissions } = moderatorPayload(getModeratorByTokenHash.get(hashToken(moderatorToken)));
+    socket.emit('moderator-info', { id, name, permissions });
+  }
 
-          // --- NEW: instruct clients to navigate to victory page ---
-          io.to(target.game_id).emit('navigate-victory', { gameCode: target.game_id });
-        }
+  if (rejectedTokens.includes('sessionToken')) socket.emit('session-invalidated');
+  if (rejectedTokens.includes('creatorToken')) socket.emit('creator-invalidated', { gameCode });
+  if (rejectedTokens.includes('moderatorToken')) emitError(socket, 403, 'Unauthorized.');
+  delete socket.data.rejectedTokens;
+}
 
-      } catch (error) {
-        console.error('resolve-kill error:', error);
-        socket.emit('error', { message: 'Resolve-kill failed.' });
-      }
-    });
+// A token an older client put in a payload, if it may still be used; warns once per socket
+function acceptPayloadToken(socket, event, token) {
+  if (!ACCEPT_PAYLOAD_TOKENS || !isToken(token)) return null;
+  if (!socket.data.warnedPayloadTokens) {
+    socket.data.warnedPayloadTokens = true;
+    console.warn(`Socket ${socket.id} sent a token in its ${event} payload; clients should send tokens in the handshake auth.`);
+  }
+  return token;
+}
 
+// The arguments of a socket event with the socket's identity in place of any tokens in the payload
+function withSocketIdentity(socket, event, args) {
+  if (event === 'join-game') {
+    const [gameCode, sessionToken, ...rest] = args;
+    return [gameCode, socket.data.sessionToken || acceptPayloadToken(socket, event, sessionToken), ...rest];
+  }
 
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
-    // cleanup any maps that referenced this socket.id
-    for (const [session, sid] of sessionToSocket.entries()) {
-      if (sid === socket.id) sessionToSocket.delete(session);
-    }
-    for (const [pid, sid] of playerToSocket.entries()) {
-      if (sid === socket.id) playerToSocket.delete(pid);
-    }
-  });
+  const [payload, ...rest] = args;
+  if (!matchesType('object', payload)) return args;
+  const merged = { ...payload };
+  for (const [field, aliases] of Object.entries(PAYLOAD_TOKEN_FIELDS)) {
+    const sent = aliases.map(alias => merged[alias]).find(isToken);
+    aliases.forEach(alias => delete merged[alias]);
+    const token = socket.data[field] || acceptPayloadToken(socket, event, sent);
+    if (token) merged[field] = token;
+  }
+  return [merged, ...rest];
+}
 
 // ----------------------------
-// admin management
+// Socket.IO handlers
 // ----------------------------
+io.use(authenticateSocket);
 
-  socket.on('admin-get-players', (data = {}) => {
-    try {
-      const { gameCode, creatorToken, showDetails = false } = data;
-
-      if (!validateGameCode(gameCode)) {
-        socket.emit('error', { message: 'Invalid game code.' });
-        return;
-      }
-      if (!creatorToken || typeof creatorToken !== 'string') {
-        socket.emit('error', { message: 'Invalid creator token.' });
-        return;
-      }
+io.on('connection', (socket) => {
+  console.log('A user connected:', socket.id);
+  greetSocket(socket);
+
+  // Events carry the socket's identity; those over their rate limit, and payloads
+  // that do not match their event's schema, never reach the handlers
+  socket.use((packet, next) => {
+    const event = packet[0];
+    const args = withSocketIdentity(socket, event, packet.slice(1));
+    packet.splice(1, packet.length, ...args);
+    if (isSocketEventLimited(socket, event, args)) return;
+    const schema = SOCKET_SCHEMAS[event];
+    const problem = schema && checkSchema(schema, schema.type === 'array' ? args : (args[0] ?? {}));
+    if (problem) {
+      emitError(socket, 400, problem.message, { field: problem.field, rule: problem.rule });
+      return;
+    }
+    next();
+  });
 
+  // When a client joins a room to see the lobby.
+  // A socket that belongs to a player of this game is sent that player's state.
+  socket.on('join-game', (gameCode, sessionToken) => {
+    try {
       const game = getGameById.get(gameCode);
       if (!game) {
-        socket.emit('error', { message: 'Game not found.' });
+        emitError(socket, 404, 'Game not found.');
         return;
       }
 
-      // Validate creator
-      if (game.creator_session !== creatorToken) {
-        socket.emit('error', { message: 'Unauthorized.' });
+      // Send everyone but its creator to the victory page once the game is over;
+      // the creator may stay to manage it (e.g. revert the final kill)
+      if (game.status === 'finished' && socket.data.creatorOf !== gameCode) {
+        socket.emit('navigate-victory', { gameCode });
         return;
       }
 
-      const players = db.prepare(`
-        SELECT id, name, status, session_token, joined_at, 
-              ${showDetails ? 'target_id, task, pin_code IS NOT NULL as has_pin' : 'NULL as target_id, NULL as task, pin_code IS NOT NULL as has_pin'}
-        FROM players 
-        WHERE game_id = ? 
-        ORDER BY name
-      `).all(gameCode);
-
-      // For spoiler protection, don't reveal target names unless showDetails is true
-      const processedPlayers = players.map(player => {
-        const result = {
-          id: player.id,
-          name: player.name,
-          status: player.status,
-          joined_at: player.joined_at,
-          has_pin: player.has_pin
-        };
-
-        if (showDetails && player.target_id) {
-          const target = getPlayerById.get(player.target_id);
-          result.target_name = target ? target.name : null;
-          result.task = player.task;
-        }
+      socket.emit('game-state', game.status);
 
-        return result;
-      });
+      socket.join(gameCode);
 
-      socket.emit('admin-players-list', {
-        players: processedPlayers,
-        gameStatus: game.status
-      });
+      // Bind this socket to its player when a valid session for this game is presented
+      // (only older clients still send one here; see withSocketIdentity)
+      if (typeof sessionToken === 'string' && sessionToken) {
+        const sessionPlayer = getPlayerBySession.get(sessionToken);
+        if (sessionPlayer && sessionPlayer.game_id === gameCode) {
+          bindSocketToPlayer(socket, sessionPlayer);
+        }
+      }
 
+      // Check if this socket has a session and notify them of their status
+      if (socket.data && socket.data.sessionToken) {
+        const player = getPlayerBySession.get(socket.data.sessionToken);
+        if (player && player.game_id === gameCode) {
+          // Send the appropriate game state based on player status
+          if (player.status === 'eliminated' || player.status === 'left') {
+            socket.emit('you-eliminated');
+          } else if (player.status === 'alive' && isGameRunning(game)) {
+            // Send the player's current assignment and any claims made while they were away
+            socket.emit('your-assignment', assignmentPayload(player));
+            sendPendingClaims(player);
+          }
+        }
+      }
+      sendPlayerList(socket, gameCode);
     } catch (error) {
-      console.error('Error in admin-get-players:', error);
-      socket.emit('error', { message: 'Failed to get players.' });
+      console.error('Error in join-game handler:', error);
+      emitError(socket, 500, 'Failed to join game.');
     }
   });
 
-  socket.on('admin-reset-pin', (data = {}) => {
+    // Claim identity (player picks their name and joins as 'alive')
+    socket.on('claim-identity', async (data) => {
     try {
-      const { gameCode, creatorToken, playerId, newPin } = data; // Added newPin parameter
+      const { gameCode, playerName, pin } = data;
 
-      if (!validateGameCode(gameCode)) {
-        socket.emit('error', { message: 'Invalid game code.' });
-        return;
-      }
-      if (!creatorToken || typeof creatorToken !== 'string') {
-        socket.emit('error', { message: 'Invalid creator token.' });
-        return;
-      }
-      if (!playerId || typeof playerId !== 'string') {
-        socket.emit('error', { message: 'Invalid player ID.' });
-        return;
-      }
-      if (!validatePin(newPin)) { // Validate the new PIN
-        socket.emit('error', { message: 'Invalid PIN. Must be 4 digits.' });
-        return;
-      }
+      console.log(`User ${socket.id} claiming identity ${playerName} in game ${gameCode}`);
+
+      // Hash before looking anything up, so the checks below and the update run without a pause in between
+      const hashedPin = await hashPin(pin);
 
       const game = getGameById.get(gameCode);
       if (!game) {
-        socket.emit('error', { message: 'Game not found.' });
+        emitError(socket, 404, 'Game not found.');
         return;
       }
 
-      if (game.creator_session !== creatorToken) {
-        socket.emit('error', { message: 'Unauthorized.' });
+      // Check if player exists and is not already claimed; players the creator
+      // added mid-game are already in the chain but have not joined yet
+      const player = db.prepare(`
+        SELECT * FROM players
+        WHERE game_id = ? AND name = ?
+          AND (status = 'not-joined' OR (status = 'alive' AND session_token IS NULL AND joined_at IS NULL))
+      `).get(gameCode, playerName);
+
+      if (!player) {
+        emitError(socket, 409, 'Player not found or already claimed');
         return;
       }
+      const alreadyInChain = player.status === 'alive';
 
-      const player = getPlayerById.get(playerId);
-      if (!player || player.game_id !== gameCode) {
-        socket.emit('error', { message: 'Player not found.' });
-        return;
+      // Once the game has started, only games that allow late joiners take new players
+      if (game.status !== 'lobby' && !alreadyInChain) {
+        const { allowLateJoiners, maxPlayers } = getGameSettings(game);
+        if (!isGameRunning(game) || !allowLateJoiners) {
+          emitError(socket, 409, 'This game has already started.');
+          return;
+        }
+        if (maxPlayers && listAlivePlayers.all(gameCode).length >= maxPlayers) {
+          emitError(socket, 409, `This game allows at most ${maxPlayers} players.`);
+          return;
+        }
       }
 
-      // Hash the new PIN
-      const hashedPin = crypto.createHash('sha256').update(newPin).digest('hex');
+      // Generate session token
+      const sessionToken = crypto.randomBytes(16).toString('hex');
 
-      updatePlayerPin.run(hashedPin, playerId);
+      // Update player status, session token, PIN hash, and joined_at timestamp
+      db.prepare(`
+        UPDATE players
+        SET status = 'alive', session_token = ?, pin_code = ?, joined_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(sessionToken, hashedPin, player.id);
 
-      socket.emit('admin-pin-reset', {
-        playerId,
-        success: true
+      // Send confirmation to the claiming client
+      socket.emit('identity-confirmed', {
+        sessionToken,
+        playerName,
+        playerId: player.id
       });
 
+      // Send game state to the client BEFORE player list update
+      socket.emit('game-state', game.status);
+
+      // Join the player's room so DMs reach this device too
+      bindSocketToPlayer(socket, player, sessionToken);
+
+      const claimed = { player_id: player.id, name: player.name, late: isGameRunning(game) };
+      if (alreadyInChain) {
+        sendAssignment(player.id);
+      } else if (isGameRunning(game)) {
+        claimed.hunter_id = addLateJoiner(game, player);
+      }
+      logGameEvent(gameCode, 'player_claimed', claimed);
+
+      // Broadcast updated player list to all clients in the game room
+      broadcastPlayerList(gameCode);
+
     } catch (error) {
-      console.error('Error in admin-reset-pin:', error);
-      socket.emit('error', { message: 'Failed to reset PIN.' });
+      console.error('Error claiming identity:', error);
+      emitError(socket, 500, 'Failed to claim identity');
     }
   });
 
-  socket.on('admin-manual-kill', (data = {}) => {
+  socket.on('reclaim-identity', async (data) => {
+    const endTurns = [];
     try {
-      const { gameCode, creatorToken, playerId } = data;
+      const { gameCode, playerName, pin } = data;
 
-      if (!validateGameCode(gameCode)) {
-        socket.emit('error', { message: 'Invalid game code.' });
-        return;
-      }
-      if (!creatorToken || typeof creatorToken !== 'string') {
-        socket.emit('error', { message: 'Invalid creator token.' });
-        return;
-      }
-      if (!playerId || typeof playerId !== 'string') {
-        socket.emit('error', { message: 'Invalid player ID.' });
-        return;
-      }
+      console.log(`User ${socket.id} attempting to reclaim identity ${playerName} in game ${gameCode}`);
 
+      // Get game first to check its status
       const game = getGameById.get(gameCode);
       if (!game) {
-        socket.emit('error', { message: 'Game not found.' });
-        return;
-      }
-
-      if (game.creator_session !== creatorToken) {
-        socket.emit('error', { message: 'Unauthorized.' });
-        return;
-      }
-
-      const player = getPlayerById.get(playerId);
-      if (!player || player.game_id !== gameCode) {
-        socket.emit('error', { message: 'Player not found.' });
+        emitError(socket, 404, 'Game not found.');
         return;
       }
 
-      if (player.status !== 'alive') {
-        socket.emit('error', { message: 'Player is not alive.' });
+      const address = socketClientAddress(socket);
+      endTurns.push(await awaitReclaimTurn(`ip:${address}`));
+      const addressWait = reclaimLockSeconds(`ip:${address}`);
+      if (addressWait) {
+        emitReclaimLocked(socket, addressWait);
         return;
       }
 
-      // Find the assassin (player who has this player as target)
-      const assassin = db.prepare(`SELECT * FROM players WHERE target_id = ? AND status = 'alive'`).get(playerId);
-      if (!assassin) {
-        socket.emit('error', { message: 'No assassin found for this target.' });
-        return;
-      }
+      // Check if the user already has a session for a DIFFERENT identity
+      if (socket.data && socket.data.sessionToken) {
+        const currentPlayer = getPlayerBySession.get(socket.data.sessionToken);
+        // Only cancel if they're reclaiming a different identity
+        if (currentPlayer && currentPlayer.game_id === gameCode && currentPlayer.name !== playerName) {
+          // This device lets go of the current identity; the player's other devices keep it
+          detachSocket(socket);
 
-      // Use the existing kill resolution logic by emitting a fake resolve-kill event
-      const fakeSocket = {
-        emit: (event, data) => {
-          if (event === 'error') {
-            socket.emit('error', data);
-          }
+          // Notify the client that their old identity was canceled
+          socket.emit('identity-canceled', {
+            playerName: currentPlayer.name
+          });
         }
-      };
-
-      // Simulate the target confirming the kill
-      const resolveData = {
-        sessionToken: player.session_token,
-        killer_id: assassin.id,
-        answer: 'confirm'
-      };
-
-      // Reuse the existing resolve-kill logic
-      socket.resolveKillHandler(resolveData, fakeSocket);
-
-      socket.emit('admin-manual-kill-success', { playerId });
-
-    } catch (error) {
-      console.error('Error in admin-manual-kill:', error);
-      socket.emit('error', { message: 'Failed to process manual kill.' });
-    }
-  });
+      }
 
-  // Add this helper function to handle the resolve-kill logic
-  const resolveKillHandler = (data, socket) => {
-    // This is the same logic as the resolve-kill event handler
-    try {
-      const sessionToken = data.sessionToken;
-      const killer_id = data.killer_id;
-      const answer = data.answer;
+      // Find player with matching name and existing PIN
+      let player = db.prepare(`
+        SELECT * FROM players
+        WHERE game_id = ? AND name = ? AND pin_code IS NOT NULL
+      `).get(gameCode, playerName);
 
-      const target = getPlayerBySession.get(sessionToken);
-      if (!target) {
-        socket.emit('error', { message: 'Invalid session.' });
+      if (!player) {
+        recordFailedReclaim(gameCode, playerName, null, address);
+        emitError(socket, 403, 'Reclaim failed.');
         return;
       }
 
-      const killer = getPlayerById.get(killer_id);
-      if (!killer) {
-        socket.emit('error', { message: 'Killer not found.' });
+      endTurns.push(await awaitReclaimTurn(`player:${player.id}`));
+      const playerWait = reclaimLockSeconds(`player:${player.id}`);
+      if (playerWait) {
+        emitReclaimLocked(socket, playerWait);
         return;
       }
 
-      if (killer.target_id !== target.id) {
-        socket.emit('error', { message: 'You are not their current target.' });
+      // Verify PIN
+      const { valid, rehash } = await verifyPin(pin, player.pin_code);
+      if (!valid) {
+        recordFailedReclaim(gameCode, playerName, player, address);
+        emitError(socket, 403, 'Reclaim failed.');
         return;
       }
+      clearReclaimLockout.run(`player:${player.id}`);
+      if (rehash) {
+        hashPin(pin)
+          .then(upgraded => upgradePlayerPin.run(upgraded, player.id, player.pin_code))
+          .catch(error => console.error('Error upgrading PIN hash:', error));
+      }
 
-      if (String(answer).toLowerCase() !== 'confirm') {
+      // The game may have moved on while the PIN was checked
+      player = getPlayerById.get(player.id);
+      if (!player) {
+        emitError(socket, 403, 'Reclaim failed.');
         return;
       }
 
-      const targetNextId = target.target_id || null;
-      const newTargetForKiller = (targetNextId === killer.id) ? null : targetNextId;
+      // A player's devices share one session, so those already signed in stay signed in
+      const sessionToken = player.session_token || crypto.randomBytes(16).toString('hex');
 
-      const tx = db.transaction(() => {
-        setPlayerStatus.run('eliminated', target.id);
-        setPlayerTargetOnly.run(newTargetForKiller, killer.id);
-        setPlayerTaskOnly.run(target.task || null, killer.id);
+      // If game is still in lobby, set status to 'alive'
+      if (game && game.status === 'lobby') {
+        db.prepare(`
+          UPDATE players
+          SET session_token = ?, status = 'alive'
+          WHERE id = ?
+        `).run(sessionToken, player.id);
+      } else {
+        // Otherwise, just update session_token
+        db.prepare(`
+          UPDATE players
+          SET session_token = ?
+          WHERE id = ?
+        `).run(sessionToken, player.id);
+      }
 
-        const insertKill = db.prepare(`
-          INSERT INTO kill_history (id, game_id, killer_id, victim_id, task)
-          VALUES (?, ?, ?, ?, ?)
-        `);
-        insertKill.run(uuidv4(), target.game_id, killer.id, target.id, target.task || null);
-      });
-      tx();
-
-      const updatedPlayers = db.prepare(`
-        SELECT id, name, status, session_token, joined_at
-        FROM players
-        WHERE game_id = ?
-        ORDER BY name
-      `).all(target.game_id);
-      io.to(target.game_id).emit('player-list-update', updatedPlayers);
-
-      io.to(target.game_id).emit('player-eliminated', {
-        name: target.name,
-        id: target.id
+      // Send confirmation to the reclaiming client
+      socket.emit('identity-reclaimed', {
+        sessionToken,
+        playerName: player.name,
+        playerId: player.id
       });
 
-      const targetSocketId = playerToSocket.get(target.id);
-      if (targetSocketId) {
-        io.to(targetSocketId).emit('you-eliminated');
-      }
+      // Send game state to the client BEFORE player list update
+      socket.emit('game-state', game.status);
 
-      const killerSocketId = playerToSocket.get(killer.id);
-      if (killerSocketId) {
-        const updatedKiller = getPlayerById.get(killer.id);
-        const newTarget = updatedKiller.target_id ? getPlayerById.get(updatedKiller.target_id) : null;
-        io.to(killerSocketId).emit('new-target', {
-          target: newTarget ? { id: newTarget.id, name: newTarget.name } : null,
-          task: updatedKiller.task || null
-        });
-      }
+      // Join the player's room so DMs reach this device too
+      bindSocketToPlayer(socket, player, sessionToken);
 
-      const aliveNow = listAlivePlayers.all(target.game_id);
-      if (aliveNow.length === 1) {
-        const winner = aliveNow[0];
-        setGameStatus.run('finished', target.game_id);
-        io.to(target.game_id).emit('game-state', 'finished');
-        io.to(target.game_id).emit('game-over', {
-          winner_id: winner.id,
-          winner_name: winner.name
-        });
-        io.to(target.game_id).emit('navigate-victory', { gameCode: target.game_id });
+      // If game is active and player was alive, send their current assignment and pending claims
+      if (isGameRunning(game) && player.status === 'alive') {
+        socket.emit('your-assignment', assignmentPayload(player));
+        sendPendingClaims(player);
       }
 
+      // Broadcast updated player list to all clients in the game room
+      broadcastPlayerList(gameCode);
+
     } catch (error) {
-      console.error('resolve-kill error:', error);
-      socket.emit('error', { message: 'Resolve-kill failed.' });
+      console.error('Error reclaiming identity:', error);
+      emitError(socket, 500, 'Reclaim failed.');
+    } finally {
+      endTurns.forEach(endTurn => endTurn());
     }
-  };
-
-  // Add this to the socket connection handler to make the function available
-  socket.resolveKillHandler = resolveKillHandler;
+  });
 
-  // Update the admin-player-leave event handler to handle target reassignment
-  socket.on('admin-player-leave', (data = {}) => {
+  // The creator's page registers itself so it can be told when its rights move elsewhere
+  // (clients that send their token in the handshake are registered on connecting)
+  socket.on('creator-auth', (data = {}) => {
     try {
-      const { gameCode, creatorToken, playerId } = data;
+      const { gameCode, creatorToken } = data;
 
-      if (!validateGameCode(gameCode)) {
-        socket.emit('error', { message: 'Invalid game code.' });
-        return;
-      }
-      if (!creatorToken || typeof creatorToken !== 'string') {
-        socket.emit('error', { message: 'Invalid creator token.' });
-        return;
-      }
-      if (!playerId || typeof playerId !== 'string') {
-        socket.emit('error', { message: 'Invalid player ID.' });
+      const game = getGameById.get(gameCode);
+      if (!game || typeof creatorToken !== 'string' || game.creator_session !== creatorToken) {
+        socket.emit('creator-invalidated', { gameCode });
         return;
       }
 
+      registerCreatorSocket(socket, gameCode, creatorToken);
+      socket.emit('creator-confirmed', { gameCode, hasRecovery: !!game.creator_recovery_hash });
+
+    } catch (error) {
+      console.error('Error in creator-auth:', error);
+      emitError(socket, 500, 'Failed to check creator.');
+    }
+  });
+
+  // Get creator rights back with the recovery passphrase chosen at creation
+  // Guesses share the lockout of reclaim-identity: per address and per game
+  socket.on('reclaim-creator', async (data = {}) => {
+    const endTurns = [];
+    try {
+      const { gameCode, recoveryPassphrase } = data;
+
       const game = getGameById.get(gameCode);
       if (!game) {
-        socket.emit('error', { message: 'Game not found.' });
-        return;
-      }
-
-      if (game.creator_session !== creatorToken) {
-        socket.emit('error', { message: 'Unauthorized.' });
+        emitError(socket, 404, 'Game not found.');
         return;
       }
 
-      const player = getPlayerById.get(playerId);
-      if (!player || player.game_id !== gameCode) {
-        socket.emit('error', { message: 'Player not found.' });
+      const address = socketClientAddress(socket);
+      endTurns.push(await awaitReclaimTurn(`ip:${address}`), await awaitReclaimTurn(`creator:${gameCode}`));
+      const wait = Math.max(reclaimLockSeconds(`ip:${address}`), reclaimLockSeconds(`creator:${gameCode}`));
+      if (wait) {
+        emitReclaimLocked(socket, wait);
         return;
       }
 
-      if (player.status !== 'alive') {
-        socket.emit('error', { message: 'Player is not alive.' });
+      // Read again: the passphrase may have changed while this guess waited its turn
+      const stored = getGameById.get(gameCode)?.creator_recovery_hash;
+      const { valid, rehash } = await verifyPin(recoveryPassphrase, stored);
+      if (!valid) {
+        recordFailedCreatorReclaim(gameCode, address);
+        emitError(socket, 403, 'Reclaim failed.');
         return;
       }
-
-      // Find the assassin (player who has this player as target)
-      const assassin = db.prepare(`SELECT * FROM players WHERE target_id = ? AND status = 'alive'`).get(playerId);
-      
-      // Set status to 'left' and invalidate session
-      const tx = db.transaction(() => {
-        setPlayerStatus.run('left', playerId);
-        // Invalidate session by setting session_token to NULL
-        db.prepare(`UPDATE players SET session_token = NULL WHERE id = ?`).run(playerId);
-        
-        // If there was an assassin targeting this player, assign them the leaving player's target and task
-        if (assassin) {
-          // Get the target of the leaving player
-          const newTargetId = player.target_id;
-          const newTask = player.task;
-          
-          // Update the assassin's target and task
-          updatePlayerTargetAndTask.run(newTargetId, newTask, assassin.id);
-        }
-      });
-      tx();
-
-      // Notify the player's socket to invalidate their session (if connected)
-      if (player.session_token) {
-        const oldSocketId = sessionToSocket.get(player.session_token);
-        if (oldSocketId) {
-          io.to(oldSocketId).emit('session-invalidated');
-          sessionToSocket.delete(player.session_token);
-        }
-        playerToSocket.delete(playerId);
+      clearReclaimLockout.run(`creator:${gameCode}`);
+      if (rehash) {
+        hashPin(recoveryPassphrase)
+          .then(upgraded => upgradeCreatorRecovery.run(upgraded, gameCode, stored))
+          .catch(error => console.error('Error upgrading recovery passphrase hash:', error));
       }
 
-      // Broadcast updated player list
-      const updatedPlayers = db.prepare(`
-        SELECT id, name, status, session_token, joined_at
-        FROM players
-        WHERE game_id = ?
-        ORDER BY name
-      `).all(gameCode);
-      io.to(gameCode).emit('player-list-update', updatedPlayers);
-
-      // If there was an assassin, notify them of their new target and task
-      if (assassin) {
-        const assassinSocketId = playerToSocket.get(assassin.id);
-        if (assassinSocketId) {
-          const newTarget = player.target_id ? getPlayerById.get(player.target_id) : null;
-          io.to(assassinSocketId).emit('new-target', {
-            target: newTarget ? { id: newTarget.id, name: newTarget.name } : null,
-            task: player.task || null
-          });
-        }
-      }
+      const creatorToken = issueCreatorToken(gameCode);
+      registerCreatorSocket(socket, gameCode, creatorToken);
+      logGameEvent(gameCode, 'creator_reclaimed');
+      recordAdminAction(gameCode, CREATOR_ACTOR, 'reclaim-creator');
 
-      socket.emit('admin-player-leave-success', { playerId });
+      socket.emit('creator-reclaimed', { gameCode, creatorToken });
 
     } catch (error) {
-      console.error('Error in admin-player-leave:', error);
-      socket.emit('error', { message: 'Failed to process player leave.' });
+      console.error('Error in reclaim-creator:', error);
+      emitError(socket, 500, 'Reclaim failed.');
+    } finally {
+      endTurns.forEach(endTurn => endTurn());
     }
   });
 
-  socket.on('admin-end-game', (data = {}) => {
+  // Cancel identity (player leaves / frees name)
+  socket.on('cancel-identity', (data) => {
     try {
-      const { gameCode, creatorToken } = data;
+      const { gameCode, sessionToken } = data;
 
-      if (!validateGameCode(gameCode)) {
-        socket.emit('error', { message: 'Invalid game code.' });
-        return;
-      }
-      if (!creatorToken || typeof creatorToken !== 'string') {
-        socket.emit('error', { message: 'Invalid creator token.' });
-        return;
-      }
+      console.log(`User ${socket.id} canceling identity in game ${gameCode}`);
 
+       // Get game first to check its status
       const game = getGameById.get(gameCode);
       if (!game) {
-        socket.emit('error', { message: 'Game not found.' });
+        emitError(socket, 404, 'Game not found.');
         return;
       }
 
-      if (game.creator_session !== creatorToken) {
-        socket.emit('error', { message: 'Unauthorized.' });
+      // Verify the session token exists and belongs to this game
+      const player = db.prepare(`
+        SELECT * FROM players
+        WHERE game_id = ? AND session_token = ? AND status = 'alive'
+      `).get(gameCode, sessionToken);
+
+      if (!player) {
+        emitError(socket, 401, 'Invalid session or player not found');
         return;
       }
 
-      // End the game immediately
-      setGameStatus.run('finished', gameCode);
-      io.to(gameCode).emit('game-state', 'finished');
-      io.to(gameCode).emit('game-over', {
-        winner_id: null,
-        winner_name: 'All remaining players win!'
-      });
-      io.to(gameCode).emit('navigate-victory', { gameCode });
+      // Reset player status
+      db.prepare(`
+        UPDATE players
+        SET status = 'not-joined', session_token = NULL, joined_at = NULL
+        WHERE id = ?
+      `).run(player.id);
+
+      // Send game state to the client BEFORE player list update
+    socket.emit('game-state', game.status);
 
-      socket.emit('admin-end-game-success');
+      // Send confirmation to the canceling client and the player's other devices
+      if (!socket.rooms.has(playerRoom(player.id))) {
+        socket.emit('identity-canceled', { playerName: player.name });
+      }
+      detachPlayerSockets(player.id, 'identity-canceled', { playerName: player.name });
 
+      // Broadcast updated player list to all clients in the game room
+      broadcastPlayerList(gameCode);
     } catch (error) {
-      console.error('Error in admin-end-game:', error);
-      socket.emit('error', { message: 'Failed to end game.' });
+      console.error('Error canceling identity:', error);
+      emitError(socket, 500, 'Failed to cancel identity');
     }
   });
 
-  socket.on('admin-delete-game', (data = {}) => {
-    try {
-      const { gameCode, creatorToken } = data;
-
-      if (!validateGameCode(gameCode)) {
-        socket.emit('error', { message: 'Invalid game code.' });
-        return;
-      }
-      if (!creatorToken || typeof creatorToken !== 'string') {
-        socket.emit('error', { message: 'Invalid creator token.' });
-        return;
+  // -------------------------
+  // Game actions (shared with the REST API through gameService)
+  // -------------------------
+  // `reply` is the event sent back with the result, or a function sending it; null when the broadcasts say it all
+  function bindAction(event, action, reply, failureMessage) {
+    socket.on(event, async (data) => {
+      try {
+        const { result, error, status } = await action(data ?? {});
+        if (error) {
+          emitError(socket, status, error);
+          return;
+        }
+        if (typeof reply === 'function') {
+          reply(result);
+        } else if (reply) {
+          socket.emit(reply, result);
+        }
+      } catch (err) {
+        console.error(`${event} error:`, err);
+        emitError(socket, 500, failureMessage);
       }
+    });
+  }
 
-      const game = getGameById.get(gameCode);
-      if (!game) {
-        socket.emit('error', { message: 'Game not found.' });
-        return;
-      }
+  bindAction('start-game', gameService.startGame, null, 'Failed to start game.');
+  bindAction('claim-kill', gameService.claimKill, 'kill-claim-pending', 'Claim-kill failed.');
+  bindAction('resolve-kill', gameService.resolveKill, null, 'Resolve-kill failed.');
+  bindAction('escalate-kill', gameService.escalateKill, 'kill-escalated', 'Escalate-kill failed.');
+
+  socket.on('disconnect', () => {
+    console.log('User disconnected:', socket.id);
+    // Socket.IO has already taken the socket out of its player's room
+    if (socket.data.playerId) playerDevicesChanged(socket.data.gameCode, socket.data.playerId);
+  });
+
+// ----------------------------
+// admin management
+// ----------------------------
+
+  bindAction('admin-get-players', gameService.getPlayers, 'admin-players-list', 'Failed to get players.');
+  bindAction('admin-reset-pin', gameService.resetPin, 'admin-pin-reset', 'Failed to reset PIN.');
+  bindAction('admin-manual-kill', gameService.manualKill, 'admin-manual-kill-success', 'Failed to process manual kill.');
+  bindAction('admin-reshuffle', gameService.reshuffle, 'admin-reshuffle-success', 'Failed to reshuffle the game.');
+  bindAction('admin-pause-game', gameService.pauseGame, 'admin-pause-game-success', 'Failed to pause game.');
+  bindAction('admin-resume-game', gameService.resumeGame, 'admin-resume-game-success', 'Failed to resume game.');
+  bindAction('admin-add-player', gameService.addPlayer, 'admin-add-player-success', 'Failed to add player.');
+  bindAction('admin-get-kills', gameService.getKills, 'admin-kills-list', 'Failed to get kills.');
+  bindAction('admin-revert-kill', gameService.revertKill, ({ killId, kills }) => {
+    socket.emit('admin-revert-kill-success', { killId });
+    socket.emit('admin-kills-list', { kills });
+  }, 'Failed to revert kill.');
+  bindAction('admin-get-disputes', gameService.getDisputes, 'admin-disputes-list', 'Failed to get disputes.');
+  bindAction('admin-rule-dispute', gameService.ruleDispute, 'admin-rule-dispute-success', 'Failed to rule on dispute.');
+
+  // Forbidden pairs (creator-only, editable in the lobby)
+  bindAction('admin-get-forbidden-pairs', gameService.getForbiddenPairs, 'admin-forbidden-pairs-list', 'Failed to get forbidden pairs.');
+  bindAction('admin-add-forbidden-pair', gameService.addForbiddenPair, 'admin-forbidden-pairs-list', 'Failed to add forbidden pair.');
+  bindAction('admin-remove-forbidden-pair', gameService.removeForbiddenPair, 'admin-forbidden-pairs-list', 'Failed to remove forbidden pair.');
+
+  bindAction('admin-player-leave', gameService.playerLeave, 'admin-player-leave-success', 'Failed to process player leave.');
+  bindAction('admin-end-game', gameService.endGame, 'admin-end-game-success', 'Failed to end game.');
+  bindAction('admin-transfer-creator', gameService.transferCreator, 'admin-transfer-creator-success', 'Failed to transfer creator rights.');
+  bindAction('admin-set-recovery', gameService.setRecovery, 'admin-set-recovery-success', 'Failed to set recovery passphrase.');
+  bindAction('admin-get-audit-log', gameService.getAuditLog, 'admin-audit-log', 'Failed to get audit log.');
+
+  bindAction('admin-create-moderator', gameService.createModerator, 'admin-moderator-created', 'Failed to create moderator.');
+  bindAction('admin-get-moderators', gameService.getModerators, 'admin-moderators-list', 'Failed to get moderators.');
+  bindAction('admin-revoke-moderator', gameService.revokeModerator, ({ moderatorId, moderators }) => {
+    socket.emit('admin-revoke-moderator-success', { moderatorId });
+    socket.emit('admin-moderators-list', { moderators });
+  }, 'Failed to revoke moderator.');
+
+  bindAction('admin-get-webhooks', gameService.getWebhooks, 'admin-webhooks-list', 'Failed to get webhooks.');
+  bindAction('admin-add-webhook', gameService.addWebhook, 'admin-webhooks-list', 'Failed to add webhook.');
+  bindAction('admin-remove-webhook', gameService.removeWebhook, 'admin-webhooks-list', 'Failed to remove webhook.');
+  bindAction('admin-test-webhook', gameService.testWebhook, 'admin-webhook-test-sent', 'Failed to send test event.');
+  bindAction('admin-get-webhook-deliveries', gameService.getWebhookDeliveries, 'admin-webhook-deliveries',
+    'Failed to get webhook deliveries.');
+
+  // A moderator's page asks what it may do (answered on connecting for a handshake token)
+  socket.on('moderator-auth', (data = {}) => {
+    try {
+      const { gameCode, moderatorToken } = data;
 
-      if (game.creator_session !== creatorToken) {
-        socket.emit('error', { message: 'Unauthorized.' });
+      const moderator = getModeratorByTokenHash.get(hashToken(moderatorToken));
+      if (!moderator || moderator.game_id !== gameCode || moderator.revoked_at) {
+        emitError(socket, 403, 'Unauthorized.');
         return;
       }
 
-      // Delete game and all related data in a transaction
-      const tx = db.transaction(() => {
-        deleteGameKillHistory.run(gameCode);
-        deleteGamePlayers.run(gameCode);
-        deleteGame.run(gameCode);
-      });
-      tx();
-
-      socket.emit('admin-delete-game-success');
+      registerModeratorSocket(socket, moderator, moderatorToken);
+      const { id, name, permissions } = moderatorPayload(moderator);
+      socket.emit('moderator-info', { id, name, permissions });
 
     } catch (error) {
-      console.error('Error in admin-delete-game:', error);
-      socket.emit('error', { message: 'Failed to delete game.' });
+      console.error('Error in moderator-auth:', error);
+      emitError(socket, 500, 'Failed to check moderator.');
     }
   });
+
+  bindAction('admin-delete-game', gameService.deleteGame, 'admin-delete-game-success', 'Failed to delete game.');
 });
 
 
 // ----------------------------
 // Server start
 // ----------------------------
+// Re-arm claim timeouts that were running before a restart
+listExpiringClaims.all().forEach(armClaimTimer);
+// ... and scheduled starts and deadlines
+listScheduledGames.all().forEach(armGameSchedule);
+// ... and webhook deliveries that were still being retried
+listPendingWebhookDeliveries.all().forEach(armWebhookRetry);
+
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
 });
 
-export { app, server, io };
+export {
+  app, server, io, serializeRoster, validateGameSettings, expireClaim, buildTargetCycle, searchTargetCycle, assignCycleTasks,
+  validateGameSchedule, runScheduledStart, runDeadline, attemptWebhookDelivery, hashPin, verifyPin, expirePresence
+};
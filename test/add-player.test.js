@@ -0,0 +1,68 @@
+// test/add-player.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { server, io } from '../server.js';
+import { useServer, createGame, waitForEvent, startActiveGame } from './setup.js';
+
+describe('Adding players as the creator', () => {
+  const harness = useServer(server, io);
+  const { connect } = harness;
+
+  async function addPlayer(gameCode, creatorToken, playerName, team) {
+    const admin = connect();
+    const result = Promise.race([
+      waitForEvent(admin, 'admin-add-player-success'),
+      waitForEvent(admin, 'error').then(err => { throw new Error(err.message); })
+    ]);
+    admin.emit('admin-add-player', { gameCode, creatorToken, playerName, team });
+    return result;
+  }
+
+  test('adds a not-joined player to the lobby roster', async () => {
+    const { gameCode, creatorToken } = await createGame(harness.baseUrl, { playerNames: 'Ann\nBen', tasks: 'Task1' });
+    const watcher = connect();
+    watcher.emit('join-game', gameCode);
+    await waitForEvent(watcher, 'player-list-update');
+
+    const update = waitForEvent(watcher, 'player-list-update');
+    await addPlayer(gameCode, creatorToken, 'Cy');
+    const roster = await update;
+    assert.strictEqual(roster.find(p => p.name === 'Cy').status, 'not-joined');
+
+    await assert.rejects(addPlayer(gameCode, creatorToken, 'Cy'), /already exists/);
+    await assert.rejects(addPlayer(gameCode, 'not-the-creator', 'Dee'), /Unauthorized/);
+  });
+
+  test('splices a mid-game addition into the chain', async () => {
+    const game = await startActiveGame(harness.baseUrl, connect, ['Eli', 'Fox', 'Gil'], { tasks: ['T1', 'T2', 'T3'] });
+    const oldTargets = Object.fromEntries(Object.values(game.players).map(p => [p.playerId, p.target.id]));
+
+    const retargeted = Promise.race(Object.values(game.players).map(p =>
+      waitForEvent(p.client, 'new-target').then(assignment => ({ hunter: p, assignment }))
+    ));
+    const { playerId } = await addPlayer(game.gameCode, game.creatorToken, 'Hal');
+    const { hunter, assignment } = await retargeted;
+    assert.strictEqual(assignment.target.id, playerId);
+
+    // The newcomer claims the name and inherits the hunter's old target with a task of their own
+    const hal = connect();
+    hal.emit('join-game', game.gameCode);
+    await waitForEvent(hal, 'player-list-update');
+    const own = waitForEvent(hal, 'your-assignment');
+    hal.emit('claim-identity', { gameCode: game.gameCode, playerName: 'Hal', pin: '1234' });
+    const halAssignment = await own;
+    assert.strictEqual(halAssignment.target.id, oldTargets[hunter.playerId]);
+    assert.ok(['T1', 'T2', 'T3'].includes(halAssignment.task));
+  });
+
+  test('keeps team games consistent', async () => {
+    const { gameCode, creatorToken } = await createGame(harness.baseUrl, {
+      playerNames: 'Ivy | Red\nJon | Blue', tasks: 'Task1'
+    });
+    await assert.rejects(addPlayer(gameCode, creatorToken, 'Kim'), /give the player a team/);
+    await addPlayer(gameCode, creatorToken, 'Kim', 'Red');
+
+    const plain = await createGame(harness.baseUrl, { playerNames: 'Lou\nMax', tasks: 'Task1' });
+    await assert.rejects(addPlayer(plain.gameCode, plain.creatorToken, 'Ned', 'Red'), /not played in teams/);
+  });
+});
@@ -0,0 +1,84 @@
+// test/audit-log.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { server, io } from '../server.js';
+import { useServer, waitForEvent, startActiveGame } from './setup.js';
+
+describe('Admin audit log', () => {
+  const harness = useServer(server, io);
+  const { connect } = harness;
+
+  function exportLog(gameCode, creatorToken) {
+    return fetch(`${harness.baseUrl}/api/games/${gameCode}/audit-log`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ creatorToken })
+    });
+  }
+
+  test('records the actor, action and target of admin handlers', async () => {
+    const { gameCode, creatorToken, players } = await startActiveGame(harness.baseUrl, connect, ['Ann', 'Ben', 'Cy']);
+    const admin = connect();
+
+    const reset = waitForEvent(admin, 'admin-pin-reset');
+    admin.emit('admin-reset-pin', { gameCode, creatorToken, playerId: players.Ben.playerId, newPin: '9876' });
+    await reset;
+
+    const killed = waitForEvent(admin, 'admin-manual-kill-success');
+    admin.emit('admin-manual-kill', { gameCode, creatorToken, playerId: players.Cy.playerId });
+    await killed;
+
+    const res = await exportLog(gameCode, creatorToken);
+    assert.strictEqual(res.status, 200);
+    assert.match(res.headers.get('content-disposition'), /attachment/);
+    const { actions } = await res.json();
+    assert.deepStrictEqual(actions.map(a => a.action), ['start-game', 'reset-pin', 'manual-kill']);
+
+    const resetEntry = actions[1];
+    assert.strictEqual(resetEntry.actor_role, 'creator');
+    assert.strictEqual(resetEntry.target_player_name, 'Ben');
+    assert.ok(!JSON.stringify(actions).includes('9876'));
+  });
+
+  test('the admin panel view is paginated newest first', async () => {
+    const { gameCode, creatorToken } = await startActiveGame(harness.baseUrl, connect, ['Dee', 'Eli']);
+    const admin = connect();
+
+    for (let i = 0; i < 11; i++) {
+      const pause = waitForEvent(admin, 'admin-pause-game-success');
+      admin.emit('admin-pause-game', { gameCode, creatorToken });
+      await pause;
+      const resume = waitForEvent(admin, 'admin-resume-game-success');
+      admin.emit('admin-resume-game', { gameCode, creatorToken });
+      await resume;
+    }
+
+    const first = waitForEvent(admin, 'admin-audit-log');
+    admin.emit('admin-get-audit-log', { gameCode, creatorToken });
+    const page1 = await first;
+    assert.strictEqual(page1.total, 23);
+    assert.strictEqual(page1.entries.length, page1.pageSize);
+    assert.strictEqual(page1.entries[0].action, 'resume-game');
+
+    const second = waitForEvent(admin, 'admin-audit-log');
+    admin.emit('admin-get-audit-log', { gameCode, creatorToken, page: 2 });
+    const page2 = await second;
+    assert.strictEqual(page2.page, 2);
+    assert.strictEqual(page2.entries.at(-1).action, 'start-game');
+  });
+
+  test('only the creator can read or export the log', async () => {
+    const { gameCode, creatorToken } = await startActiveGame(harness.baseUrl, connect, ['Fay', 'Gus']);
+    assert.strictEqual((await exportLog(gameCode, 'nope')).status, 403);
+
+    // The token is only taken from the body, never from the address
+    const url = `${harness.baseUrl}/api/games/${gameCode}/audit-log?creatorToken=${creatorToken}`;
+    assert.strictEqual((await fetch(url, { method: 'POST' })).status, 403);
+    assert.strictEqual((await fetch(url)).status, 404);
+
+    const client = connect();
+    const error = waitForEvent(client, 'error');
+    client.emit('admin-get-audit-log', { gameCode, creatorToken: 'nope' });
+    assert.strictEqual((await error).message, 'Unauthorized.');
+  });
+});
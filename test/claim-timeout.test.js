@@ -0,0 +1,81 @@
+// test/claim-timeout.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { server, io, validateGameSettings, expireClaim } from '../server.js';
+import { useServer, waitForEvent, startActiveGame } from './setup.js';
+
+describe('Claim timeout settings', () => {
+  test('defaults to claims that never time out', () => {
+    const { settings } = validateGameSettings({});
+    assert.strictEqual(settings.claimTimeoutMinutes, 0);
+    assert.strictEqual(settings.claimTimeoutAction, 'confirm');
+  });
+
+  test('accepts form strings', () => {
+    const { settings, error } = validateGameSettings({ claimTimeoutMinutes: '30', claimTimeoutAction: 'escalate' });
+    assert.strictEqual(error, undefined);
+    assert.strictEqual(settings.claimTimeoutMinutes, 30);
+    assert.strictEqual(settings.claimTimeoutAction, 'escalate');
+  });
+
+  test('rejects invalid values', () => {
+    assert.ok(validateGameSettings({ claimTimeoutMinutes: '-5' }).error);
+    assert.ok(validateGameSettings({ claimTimeoutMinutes: '2.5' }).error);
+    assert.ok(validateGameSettings({ claimTimeoutMinutes: 5000 }).error);
+    assert.ok(validateGameSettings({ claimTimeoutAction: 'explode' }).error);
+  });
+});
+
+describe('Unanswered kill claims', () => {
+  const harness = useServer(server, io);
+  const { connect } = harness;
+
+  async function claimWithTimeout(names, claimTimeoutAction) {
+    const game = await startActiveGame(harness.baseUrl, connect, names, { claimTimeoutMinutes: 30, claimTimeoutAction });
+    const killer = game.players[names[0]];
+    const victim = Object.values(game.players).find(p => p.playerId === killer.target.id);
+
+    const pending = waitForEvent(killer.client, 'kill-claim-pending');
+    killer.client.emit('claim-kill', { gameCode: game.gameCode, sessionToken: killer.sessionToken });
+    return { ...game, killer, victim, claim: await pending };
+  }
+
+  test('pushes the deadline to the killer', async () => {
+    const { claim } = await claimWithTimeout(['Ann', 'Ben'], 'deny');
+    const expiresAt = new Date(claim.expires_at.replace(' ', 'T') + 'Z');
+    const minutesLeft = (expiresAt - Date.now()) / 60000;
+
+    assert.strictEqual(claim.timeout_action, 'deny');
+    assert.ok(minutesLeft > 29 && minutesLeft <= 30, `expected ~30 minutes, got ${minutesLeft}`);
+  });
+
+  test('auto-denies when the game says so', async () => {
+    const { killer, victim, claim } = await claimWithTimeout(['Cat', 'Dov'], 'deny');
+
+    const killerNotice = waitForEvent(killer.client, 'kill-claim-timeout');
+    const victimNotice = waitForEvent(victim.client, 'kill-claim-timeout');
+    expireClaim(claim.claim_id);
+
+    assert.deepStrictEqual(await killerNotice, { claim_id: claim.claim_id, outcome: 'denied' });
+    assert.deepStrictEqual(await victimNotice, { claim_id: claim.claim_id, outcome: 'denied' });
+  });
+
+  test('auto-confirms by eliminating the target', async () => {
+    const { killer, victim, claim } = await claimWithTimeout(['Eli', 'Fay', 'Gil'], 'confirm');
+
+    const eliminated = waitForEvent(victim.client, 'you-eliminated');
+    const newTarget = waitForEvent(killer.client, 'new-target');
+    expireClaim(claim.claim_id);
+
+    await eliminated;
+    assert.notStrictEqual((await newTarget).target.id, victim.playerId);
+  });
+
+  test('escalates without eliminating anyone', async () => {
+    const { killer, claim } = await claimWithTimeout(['Hal', 'Ida'], 'escalate');
+
+    const notice = waitForEvent(killer.client, 'kill-claim-timeout');
+    expireClaim(claim.claim_id);
+    assert.strictEqual((await notice).outcome, 'escalated');
+  });
+});
@@ -0,0 +1,129 @@
+// test/creator-rights.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import { useServer, createGame, waitForEvent, startActiveGame } from './setup.js';
+
+// Clients pick their addresses through X-Forwarded-For, which is only read behind a
+// trusted proxy; that is configured when the server module loads
+process.env.TRUST_PROXY = '1';
+const { server, io } = await import('../server.js');
+
+describe('Recovering and transferring creator rights', () => {
+  const harness = useServer(server, io);
+  const { connect } = harness;
+
+  // A client with an address of its own (see 'trust proxy'), so reclaim lockouts are not shared
+  function connectFrom(address = `10.${[1, 2, 3].map(() => crypto.randomInt(256)).join('.')}`) {
+    return connect({ extraHeaders: { 'X-Forwarded-For': address } });
+  }
+
+  // Resolves with creator-reclaimed or the error, whichever comes
+  function reclaimCreator(client, gameCode, recoveryPassphrase) {
+    return new Promise(resolve => {
+      const done = payload => {
+        client.off('creator-reclaimed', done);
+        client.off('error', done);
+        resolve(payload);
+      };
+      client.on('creator-reclaimed', done);
+      client.on('error', done);
+      client.emit('reclaim-creator', { gameCode, recoveryPassphrase });
+    });
+  }
+
+  // Resolves with the error message, or null when the token is accepted
+  async function tryCreatorToken(gameCode, creatorToken) {
+    const client = connect();
+    const outcome = Promise.race([
+      waitForEvent(client, 'admin-players-list').then(() => null),
+      waitForEvent(client, 'error').then(({ message }) => message)
+    ]);
+    client.emit('admin-get-players', { gameCode, creatorToken });
+    return outcome;
+  }
+
+  test('the recovery passphrase issues a new token and logs out the old creator', async () => {
+    const { gameCode, creatorToken } = await createGame(harness.baseUrl, {
+      playerNames: 'Ann\nBen', tasks: 'Task1', recoveryPassphrase: 'purple otter'
+    });
+
+    const oldCreator = connect();
+    const confirmed = waitForEvent(oldCreator, 'creator-confirmed');
+    oldCreator.emit('creator-auth', { gameCode, creatorToken });
+    assert.strictEqual((await confirmed).hasRecovery, true);
+
+    const newDevice = connect();
+    const invalidated = waitForEvent(oldCreator, 'creator-invalidated');
+    const reclaimed = waitForEvent(newDevice, 'creator-reclaimed');
+    newDevice.emit('reclaim-creator', { gameCode, recoveryPassphrase: 'purple otter' });
+    const { creatorToken: newToken } = await reclaimed;
+    await invalidated;
+
+    assert.notStrictEqual(newToken, creatorToken);
+    assert.strictEqual(await tryCreatorToken(gameCode, creatorToken), 'Unauthorized.');
+    assert.strictEqual(await tryCreatorToken(gameCode, newToken), null);
+  });
+
+  test('a wrong or missing passphrase fails', async () => {
+    const { gameCode } = await createGame(harness.baseUrl, {
+      playerNames: 'Cy\nDee', tasks: 'Task1', recoveryPassphrase: 'green heron'
+    });
+    const client = connectFrom();
+    assert.strictEqual((await reclaimCreator(client, gameCode, 'grey heron')).message, 'Reclaim failed.');
+
+    const { gameCode: openCode } = await createGame(harness.baseUrl, { playerNames: 'Eli\nFay', tasks: 'Task1' });
+    assert.strictEqual((await reclaimCreator(client, openCode, 'green heron')).message, 'Reclaim failed.');
+
+    const res = await fetch(`${harness.baseUrl}/api/create-game`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ playerNames: 'Gus\nHal', tasks: 'Task1', recoveryPassphrase: 'short12' })
+    });
+    assert.strictEqual(res.status, 400);
+  });
+
+  test('wrong passphrases lock recovery, even when sent all at once', async () => {
+    const { gameCode } = await createGame(harness.baseUrl, {
+      playerNames: 'Kai\nLea', tasks: 'Task1', recoveryPassphrase: 'silver comet'
+    });
+    const guesses = Array.from({ length: 10 }, (_, i) => reclaimCreator(connectFrom(), gameCode, `guess number ${i}`));
+    const answers = await Promise.all(guesses);
+    assert.strictEqual(answers.filter(a => a.message === 'Reclaim failed.').length, 5);
+    assert.strictEqual(answers.filter(a => a.code === 'too_many_requests').length, 5);
+
+    // The right passphrase waits out the lock too, from any address
+    const locked = await reclaimCreator(connectFrom(), gameCode, 'silver comet');
+    assert.strictEqual(locked.code, 'too_many_requests');
+    assert.ok(locked.retryAfter > 0 && locked.retryAfter <= 30);
+  });
+
+  test('the creator can hand their rights to a connected player', async () => {
+    const { gameCode, creatorToken, players } = await startActiveGame(harness.baseUrl, connect, ['Ida', 'Jon'], {
+      recoveryPassphrase: 'old secret'
+    });
+    const admin = connect();
+    const adminConfirmed = waitForEvent(admin, 'creator-confirmed');
+    admin.emit('creator-auth', { gameCode, creatorToken });
+    await adminConfirmed;
+
+    const granted = waitForEvent(players.Jon.client, 'creator-rights-granted');
+    const success = waitForEvent(admin, 'admin-transfer-creator-success');
+    const invalidated = waitForEvent(admin, 'creator-invalidated');
+    admin.emit('admin-transfer-creator', { gameCode, creatorToken, playerId: players.Jon.playerId });
+    const { creatorToken: newToken } = await granted;
+    assert.strictEqual((await success).playerName, 'Jon');
+    await invalidated;
+
+    assert.strictEqual(await tryCreatorToken(gameCode, creatorToken), 'Unauthorized.');
+    assert.strictEqual(await tryCreatorToken(gameCode, newToken), null);
+
+    // The previous creator's passphrase no longer works
+    const failed = waitForEvent(admin, 'error');
+    admin.emit('reclaim-creator', { gameCode, recoveryPassphrase: 'old secret' });
+    assert.strictEqual((await failed).message, 'Reclaim failed.');
+
+    const summary = await (await fetch(`${harness.baseUrl}/api/game-summary?gameCode=${gameCode}`)).json();
+    assert.deepStrictEqual(summary.events.filter(e => e.type.startsWith('creator_')).map(e => e.type), ['creator_transferred']);
+  });
+});
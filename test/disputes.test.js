@@ -0,0 +1,128 @@
+// test/disputes.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { server, io } from '../server.js';
+import { useServer, waitForEvent, startActiveGame } from './setup.js';
+
+describe('Disputed kills', () => {
+  const harness = useServer(server, io);
+  const { connect } = harness;
+
+  // Start a game, let the first player claim their target and have the target deny it
+  async function deniedClaim(names) {
+    const game = await startActiveGame(harness.baseUrl, connect, names);
+    const killer = game.players[names[0]];
+    const victim = Object.values(game.players).find(p => p.playerId === killer.target.id);
+
+    const challenge = waitForEvent(victim.client, 'kill-challenge');
+    killer.client.emit('claim-kill', { gameCode: game.gameCode, sessionToken: killer.sessionToken });
+    const { claim_id } = await challenge;
+
+    const denied = waitForEvent(killer.client, 'kill-denied');
+    victim.client.emit('resolve-kill', { sessionToken: victim.sessionToken, claim_id, answer: 'deny' });
+    await denied;
+
+    return { ...game, killer, victim, claimId: claim_id };
+  }
+
+  async function escalate({ killer, claimId }) {
+    const escalated = waitForEvent(killer.client, 'kill-escalated');
+    killer.client.emit('escalate-kill', { sessionToken: killer.sessionToken, claim_id: claimId });
+    return escalated;
+  }
+
+  async function listDisputes({ gameCode, creatorToken }) {
+    const admin = connect();
+    const list = waitForEvent(admin, 'admin-disputes-list');
+    admin.emit('admin-get-disputes', { gameCode, creatorToken });
+    return { admin, disputes: (await list).disputes };
+  }
+
+  async function killHistory(gameCode) {
+    const res = await fetch(`${harness.baseUrl}/api/game-summary?gameCode=${gameCode}`);
+    return (await res.json()).kill_history;
+  }
+
+  test('lists an escalated claim with the task and both names', async () => {
+    const game = await deniedClaim(['Ann', 'Ben', 'Cy']);
+    await escalate(game);
+
+    const { disputes } = await listDisputes(game);
+    assert.strictEqual(disputes.length, 1);
+    assert.strictEqual(disputes[0].claim_id, game.claimId);
+    assert.strictEqual(disputes[0].killer_name, 'Ann');
+    assert.strictEqual(disputes[0].victim_name, game.killer.target.name);
+    assert.strictEqual(disputes[0].task, game.killer.task);
+  });
+
+  test('a confirm ruling eliminates the victim and is recorded as admin-ruled', async () => {
+    const game = await deniedClaim(['Dee', 'Eli', 'Fox']);
+    await escalate(game);
+    const { admin } = await listDisputes(game);
+
+    const eliminated = waitForEvent(game.victim.client, 'you-eliminated');
+    const ruled = waitForEvent(game.killer.client, 'kill-dispute-ruled');
+    const success = waitForEvent(admin, 'admin-rule-dispute-success');
+    admin.emit('admin-rule-dispute', {
+      gameCode: game.gameCode, creatorToken: game.creatorToken, claim_id: game.claimId, ruling: 'confirm'
+    });
+    await success;
+    await eliminated;
+    assert.strictEqual((await ruled).ruling, 'confirm');
+
+    const history = await killHistory(game.gameCode);
+    assert.strictEqual(history.length, 1);
+    assert.strictEqual(history[0].resolution, 'admin-ruled');
+    assert.deepStrictEqual((await listDisputes(game)).disputes, []);
+  });
+
+  test('a reject ruling keeps everyone alive', async () => {
+    const game = await deniedClaim(['Gus', 'Hal']);
+    await escalate(game);
+    const { admin } = await listDisputes(game);
+
+    const ruled = waitForEvent(game.victim.client, 'kill-dispute-ruled');
+    admin.emit('admin-rule-dispute', {
+      gameCode: game.gameCode, creatorToken: game.creatorToken, claim_id: game.claimId, ruling: 'reject'
+    });
+    assert.strictEqual((await ruled).ruling, 'reject');
+    assert.deepStrictEqual(await killHistory(game.gameCode), []);
+  });
+
+  test('no new claim while a dispute is open', async () => {
+    const game = await deniedClaim(['Ida', 'Jon']);
+    await escalate(game);
+
+    const error = waitForEvent(game.killer.client, 'error');
+    game.killer.client.emit('claim-kill', { gameCode: game.gameCode, sessionToken: game.killer.sessionToken });
+    assert.match((await error).message, /ruling/);
+  });
+
+  test('only the creator can rule', async () => {
+    const game = await deniedClaim(['Kim', 'Lou']);
+    await escalate(game);
+
+    const error = waitForEvent(game.killer.client, 'error');
+    game.killer.client.emit('admin-rule-dispute', {
+      gameCode: game.gameCode, creatorToken: 'not-the-creator', claim_id: game.claimId, ruling: 'confirm'
+    });
+    assert.strictEqual((await error).message, 'Unauthorized.');
+  });
+
+  test('a victim confirmation is recorded as victim-confirmed', async () => {
+    const { gameCode, players } = await startActiveGame(harness.baseUrl, connect, ['Max', 'Ned']);
+    const killer = players.Max;
+    const victim = players.Ned;
+
+    const challenge = waitForEvent(victim.client, 'kill-challenge');
+    killer.client.emit('claim-kill', { gameCode, sessionToken: killer.sessionToken });
+    const { claim_id } = await challenge;
+
+    const eliminated = waitForEvent(victim.client, 'you-eliminated');
+    victim.client.emit('resolve-kill', { sessionToken: victim.sessionToken, claim_id, answer: 'confirm' });
+    await eliminated;
+
+    const history = await killHistory(gameCode);
+    assert.strictEqual(history[0].resolution, 'victim-confirmed');
+  });
+});
@@ -0,0 +1,163 @@
+// test/forbidden-pairs.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { server, io, buildTargetCycle, searchTargetCycle } from '../server.js';
+import { useServer, createGame, waitForEvent, startActiveGame } from './setup.js';
+
+describe('Constraint-aware target cycle', () => {
+  const players = names => names.map(id => ({ id, name: id.toUpperCase(), team: null }));
+  const forbid = (...pairs) => new Set(pairs.map(([a, b]) => (a < b ? `${a}|${b}` : `${b}|${a}`)));
+
+  function assertRespects(cycle, forbidden) {
+    cycle.forEach((player, i) => {
+      const target = cycle[(i + 1) % cycle.length];
+      const key = player.id < target.id ? `${player.id}|${target.id}` : `${target.id}|${player.id}`;
+      assert.ok(!forbidden.has(key), `${player.id} targets forbidden partner ${target.id}`);
+    });
+  }
+
+  test('never links a forbidden pair', () => {
+    const forbidden = forbid(['a', 'b'], ['c', 'd'], ['a', 'e']);
+    for (let run = 0; run < 30; run++) {
+      assertRespects(buildTargetCycle(players(['a', 'b', 'c', 'd', 'e', 'f']), forbidden).cycle, forbidden);
+    }
+  });
+
+  // Forbid every pair that is not a neighbour on `ring`, so the ring is the only valid cycle
+  function onlyRing(ring) {
+    const allowed = new Set(ring.map((id, i) => [id, ring[(i + 1) % ring.length]].sort().join('|')));
+    const pairs = [];
+    ring.forEach((a, i) => ring.slice(i + 1).forEach(b => {
+      if (!allowed.has([a, b].sort().join('|'))) pairs.push([a, b]);
+    }));
+    return forbid(...pairs);
+  }
+
+  // Forbid every pair across the two groups
+  function apart(groupA, groupB) {
+    return forbid(...groupA.flatMap(a => groupB.map(b => [a, b])));
+  }
+
+  test('finds the only valid cycle when constraints are dense', () => {
+    const ring = ['a', 'b', 'c', 'd', 'e', 'f'];
+    const forbidden = onlyRing(ring);
+
+    const { cycle } = buildTargetCycle(players(ring), forbidden);
+    assert.ok(cycle);
+    assertRespects(cycle, forbidden);
+  });
+
+  test('names a player left with too few allowed partners', () => {
+    const { cycle, error } = buildTargetCycle(players(['a', 'b', 'c']), forbid(['a', 'b']));
+    assert.strictEqual(cycle, undefined);
+    assert.match(error, /^No valid target chain exists: A is forbidden from too many players/);
+    assert.match(buildTargetCycle(players(['a', 'b']), forbid(['a', 'b'])).error, /No valid target chain exists/);
+  });
+
+  test('reports when no valid cycle exists', () => {
+    const { error } = buildTargetCycle(players(['a', 'b', 'c', 'd', 'e', 'f']), apart(['a', 'b', 'c'], ['d', 'e', 'f']));
+    assert.match(error, /^No valid target chain exists: remove some forbidden pairs/);
+  });
+
+  test('gives up on its budget and says so', () => {
+    const ring = ['a', 'b', 'c', 'd', 'e', 'f'];
+    assert.deepStrictEqual(searchTargetCycle(players(ring), onlyRing(ring), { maxSteps: 1 }), { exhausted: true });
+
+    const names = Array.from({ length: 300 }, (_, i) => `p${i}`);
+    const started = Date.now();
+    const { error } = buildTargetCycle(players(names), apart(names.slice(0, 150), names.slice(150)));
+    assert.ok(Date.now() - started < 2000, `search took ${Date.now() - started} ms`);
+    assert.match(error, /^No target chain was found in time/);
+  });
+});
+
+describe('Forbidden pairs in a game', () => {
+  const harness = useServer(server, io);
+  const { connect } = harness;
+
+  async function lobbyAdmin(names) {
+    const { gameCode, creatorToken } = await createGame(harness.baseUrl, { playerNames: names.join('\n'), tasks: 'Task1' });
+    const admin = connect();
+    const roster = waitForEvent(admin, 'player-list-update');
+    admin.emit('join-game', gameCode);
+    const ids = Object.fromEntries((await roster).map(p => [p.name, p.id]));
+    return { gameCode, creatorToken, admin, ids };
+  }
+
+  async function addPair({ gameCode, creatorToken, admin }, playerAId, playerBId) {
+    const list = waitForEvent(admin, 'admin-forbidden-pairs-list');
+    admin.emit('admin-add-forbidden-pair', { gameCode, creatorToken, playerAId, playerBId });
+    return (await list).pairs;
+  }
+
+  // Claim every name on its own socket without starting the game
+  async function claimAll(gameCode, names) {
+    for (const playerName of names) {
+      const client = connect();
+      const joined = waitForEvent(client, 'player-list-update');
+      client.emit('join-game', gameCode);
+      await joined;
+      const confirmed = waitForEvent(client, 'identity-confirmed');
+      client.emit('claim-identity', { gameCode, playerName, pin: '1234' });
+      await confirmed;
+    }
+  }
+
+  test('the creator adds and removes pairs in the lobby', async () => {
+    const lobby = await lobbyAdmin(['Ann', 'Ben', 'Cy']);
+
+    const pairs = await addPair(lobby, lobby.ids.Ben, lobby.ids.Ann);
+    assert.strictEqual(pairs.length, 1);
+    assert.deepStrictEqual([pairs[0].player_a_name, pairs[0].player_b_name].sort(), ['Ann', 'Ben']);
+
+    // Adding the same pair the other way round is a no-op
+    assert.strictEqual((await addPair(lobby, lobby.ids.Ann, lobby.ids.Ben)).length, 1);
+
+    const list = waitForEvent(lobby.admin, 'admin-forbidden-pairs-list');
+    lobby.admin.emit('admin-remove-forbidden-pair', { gameCode: lobby.gameCode, creatorToken: lobby.creatorToken, pairId: pairs[0].id });
+    assert.deepStrictEqual((await list).pairs, []);
+  });
+
+  test('start-game reports an impossible set of constraints', async () => {
+    const lobby = await lobbyAdmin(['Dee', 'Eli', 'Fox']);
+    await addPair(lobby, lobby.ids.Dee, lobby.ids.Eli);
+    await claimAll(lobby.gameCode, ['Dee', 'Eli', 'Fox']);
+
+    const error = waitForEvent(lobby.admin, 'error');
+    lobby.admin.emit('start-game', { gameCode: lobby.gameCode, creatorToken: lobby.creatorToken });
+    assert.match((await error).message, /No valid target chain exists/);
+  });
+
+  test('pairs cannot be changed once the game started', async () => {
+    const { gameCode, creatorToken, players } = await startActiveGame(harness.baseUrl, connect, ['Gus', 'Hal']);
+
+    const error = waitForEvent(players.Gus.client, 'error');
+    players.Gus.client.emit('admin-add-forbidden-pair', {
+      gameCode, creatorToken, playerAId: players.Gus.playerId, playerBId: players.Hal.playerId
+    });
+    assert.strictEqual((await error).message, 'Forbidden pairs can only be changed in the lobby.');
+  });
+
+  test('reassignment skips a forbidden partner when someone else is left', async () => {
+    // Ann and Cy may not hunt each other, so the start ring is Ann -> x -> Cy -> y -> Ann
+    const { gameCode, creatorToken, players } = await startActiveGame(harness.baseUrl, connect, ['Ann', 'Ben', 'Cy', 'Dot'], {
+      beforeStart: async ({ gameCode, creatorToken, players }) => {
+        await addPair({ gameCode, creatorToken, admin: players.Ann.client }, players.Ann.playerId, players.Cy.playerId);
+      }
+    });
+    const victimName = players.Ann.target.name;
+    const otherName = victimName === 'Ben' ? 'Dot' : 'Ben';
+    const victim = players[victimName];
+    const other = players[otherName];
+
+    const annUpdate = waitForEvent(players.Ann.client, 'new-target');
+    const otherUpdate = waitForEvent(other.client, 'new-target');
+    const cyUpdate = waitForEvent(players.Cy.client, 'new-target');
+    players.Ann.client.emit('admin-manual-kill', { gameCode, creatorToken, playerId: victim.playerId });
+
+    // Ann would inherit Cy, so Ann gets the other player instead and Cy is slotted in behind them
+    assert.strictEqual((await annUpdate).target.name, otherName);
+    assert.strictEqual((await otherUpdate).target.name, 'Cy');
+    assert.strictEqual((await cyUpdate).target.name, 'Ann');
+  });
+});
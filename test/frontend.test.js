@@ -246,17 +246,16 @@ describe('Frontend Logic', () => {
 
     test('should render player list with correct states', () => {
       const players = [
-        { name: 'Alice', status: 'not-joined', session_token: null },
-        { name: 'Bob', status: 'alive', session_token: 'bob-token' },
-        { name: 'Charlie', status: 'not-joined', session_token: null }
+        { name: 'Alice', status: 'not-joined', is_you: false },
+        { name: 'Bob', status: 'alive', is_you: true },
+        { name: 'Charlie', status: 'not-joined', is_you: false }
       ];
       
-      const mySessionToken = 'bob-token';
       const tentativelySelectedPlayer = 'Alice';
 
       // Simulate renderPlayerList logic
       const playerHTML = players.map(player => {
-        const isMe = player.session_token === mySessionToken;
+        const isMe = !!player.is_you;
         const canSelect = player.status === 'not-joined';
         const isTentativelySelected = tentativelySelectedPlayer === player.name;
 
@@ -0,0 +1,174 @@
+// test/game-settings.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { server, io, validateGameSettings } from '../server.js';
+import { useServer, createGame, waitForEvent, startActiveGame } from './setup.js';
+
+describe('Game settings schema', () => {
+  test('defaults match the classic rules', () => {
+    const { settings } = validateGameSettings({});
+    assert.deepStrictEqual(settings, {
+      claimTimeoutMinutes: 0,
+      claimTimeoutAction: 'confirm',
+      taskOnKill: 'inherit',
+      minPlayers: 2,
+      maxPlayers: 0,
+      allowDenials: true,
+      allowLateJoiners: false,
+      deadlineTiebreak: 'shared'
+    });
+  });
+
+  test('accepts form values', () => {
+    const { settings, error } = validateGameSettings({
+      taskOnKill: 'draw', minPlayers: '4', maxPlayers: '10', allowDenials: 'false', allowLateJoiners: 'on'
+    });
+    assert.strictEqual(error, undefined);
+    assert.strictEqual(settings.taskOnKill, 'draw');
+    assert.strictEqual(settings.minPlayers, 4);
+    assert.strictEqual(settings.maxPlayers, 10);
+    assert.strictEqual(settings.allowDenials, false);
+    assert.strictEqual(settings.allowLateJoiners, true);
+  });
+
+  test('rejects invalid values', () => {
+    assert.ok(validateGameSettings({ taskOnKill: 'steal' }).error);
+    assert.ok(validateGameSettings({ minPlayers: 1 }).error);
+    assert.ok(validateGameSettings({ minPlayers: 5, maxPlayers: 3 }).error);
+    assert.ok(validateGameSettings({ allowDenials: 'maybe' }).error);
+  });
+
+  test('missing fields keep the base value', () => {
+    const base = validateGameSettings({ minPlayers: 6, allowDenials: false }).settings;
+    const { settings } = validateGameSettings({ maxPlayers: 8 }, base);
+    assert.strictEqual(settings.minPlayers, 6);
+    assert.strictEqual(settings.maxPlayers, 8);
+    assert.strictEqual(settings.allowDenials, false);
+  });
+});
+
+describe('Game settings endpoints and rules', () => {
+  const harness = useServer(server, io);
+  const { connect } = harness;
+
+  function putSettings(gameCode, body) {
+    return fetch(`${harness.baseUrl}/api/games/${gameCode}/settings`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+  }
+
+  test('settings chosen at creation are returned by the endpoint', async () => {
+    const { gameCode } = await createGame(harness.baseUrl, {
+      playerNames: 'Ann\nBen\nCy', tasks: 'Task1', taskOnKill: 'draw', maxPlayers: 3
+    });
+
+    const res = await fetch(`${harness.baseUrl}/api/games/${gameCode}/settings`);
+    const data = await res.json();
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(data.status, 'lobby');
+    assert.strictEqual(data.settings.taskOnKill, 'draw');
+    assert.strictEqual(data.settings.maxPlayers, 3);
+  });
+
+  test('create-game enforces the player limits', async () => {
+    const res = await fetch(`${harness.baseUrl}/api/create-game`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ playerNames: 'Ann\nBen\nCy', tasks: 'Task1', maxPlayers: 2 })
+    });
+    assert.strictEqual(res.status, 400);
+  });
+
+  test('the creator can change settings in the lobby only', async () => {
+    const { gameCode, creatorToken } = await createGame(harness.baseUrl, { playerNames: 'Dee\nEli', tasks: 'Task1' });
+
+    const denied = await putSettings(gameCode, { creatorToken: 'nope', allowDenials: false });
+    assert.strictEqual(denied.status, 403);
+
+    const updated = await putSettings(gameCode, { creatorToken, allowDenials: false });
+    assert.strictEqual(updated.status, 200);
+    const { settings } = await updated.json();
+    assert.strictEqual(settings.allowDenials, false);
+    assert.strictEqual(settings.claimTimeoutAction, 'confirm');
+
+    const tooMany = await putSettings(gameCode, { creatorToken, minPlayers: 3 });
+    assert.strictEqual(tooMany.status, 400);
+
+    const { gameCode: activeCode, creatorToken: activeToken } = await startActiveGame(harness.baseUrl, connect, ['Fay', 'Gus']);
+    const locked = await putSettings(activeCode, { creatorToken: activeToken, allowDenials: false });
+    assert.strictEqual(locked.status, 409);
+  });
+
+  test('start-game honours minPlayers', async () => {
+    const { gameCode, creatorToken } = await createGame(harness.baseUrl, {
+      playerNames: 'Hal\nIda\nJon', tasks: 'Task1', minPlayers: 3
+    });
+    const client = connect();
+    const joined = waitForEvent(client, 'player-list-update');
+    client.emit('join-game', gameCode);
+    await joined;
+    for (const playerName of ['Hal', 'Ida']) {
+      const confirmed = waitForEvent(client, 'identity-confirmed');
+      client.emit('claim-identity', { gameCode, playerName, pin: '1234' });
+      await confirmed;
+    }
+
+    const error = waitForEvent(client, 'error');
+    client.emit('start-game', { gameCode, creatorToken });
+    assert.strictEqual((await error).message, 'Need at least 3 players to start.');
+  });
+
+  test('denials can be switched off', async () => {
+    const { gameCode, players } = await startActiveGame(harness.baseUrl, connect, ['Kim', 'Lou'], { allowDenials: false });
+    const killer = players.Kim;
+    const victim = players.Lou;
+
+    const challenge = waitForEvent(victim.client, 'kill-challenge');
+    killer.client.emit('claim-kill', { gameCode, sessionToken: killer.sessionToken });
+    const { claim_id, allow_denials } = await challenge;
+    assert.strictEqual(allow_denials, false);
+
+    const error = waitForEvent(victim.client, 'error');
+    victim.client.emit('resolve-kill', { sessionToken: victim.sessionToken, claim_id, answer: 'deny' });
+    assert.strictEqual((await error).message, 'Denials are not allowed in this game.');
+  });
+
+  test('late joiners are refused unless the game allows them', async () => {
+    const { gameCode } = await startActiveGame(harness.baseUrl, connect, ['Max', 'Ned'], { lateNames: ['Oz'] });
+
+    const late = connect();
+    const joined = waitForEvent(late, 'player-list-update');
+    late.emit('join-game', gameCode);
+    await joined;
+
+    const error = waitForEvent(late, 'error');
+    late.emit('claim-identity', { gameCode, playerName: 'Oz', pin: '1234' });
+    assert.strictEqual((await error).message, 'This game has already started.');
+  });
+
+  test('a late joiner is slotted into the running cycle', async () => {
+    const { gameCode, players } = await startActiveGame(harness.baseUrl, connect, ['Pat', 'Quin'], {
+      lateNames: ['Rex'], allowLateJoiners: true
+    });
+
+    const late = connect();
+    const joined = waitForEvent(late, 'player-list-update');
+    late.emit('join-game', gameCode);
+    await joined;
+
+    const hunterUpdates = Object.values(players).map(p =>
+      waitForEvent(p.client, 'new-target').then(assignment => ({ player: p, assignment })).catch(() => null)
+    );
+    const assignment = waitForEvent(late, 'your-assignment');
+    late.emit('claim-identity', { gameCode, playerName: 'Rex', pin: '1234' });
+    const { target, task } = await assignment;
+    assert.ok(['Pat', 'Quin'].includes(target.name));
+    assert.ok(task);
+
+    const hunters = (await Promise.all(hunterUpdates)).filter(Boolean);
+    assert.strictEqual(hunters.length, 1);
+    assert.strictEqual(hunters[0].assignment.target.name, 'Rex');
+  });
+});
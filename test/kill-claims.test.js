@@ -0,0 +1,87 @@
+// test/kill-claims.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { server, io } from '../server.js';
+import { useServer, waitForEvent, startActiveGame } from './setup.js';
+
+describe('Pending kill claims', () => {
+  const harness = useServer(server, io);
+  const { connect } = harness;
+
+  // The player whose target is `victimName`
+  function killerOf(players, victimName) {
+    return Object.values(players).find(p => p.target && p.target.name === victimName);
+  }
+
+  test('a claim on an offline target is delivered when they rejoin', async () => {
+    const { gameCode, players } = await startActiveGame(harness.baseUrl, connect, ['Alice', 'Bob', 'Carol']);
+    const victim = players.Bob;
+    const killer = killerOf(players, 'Bob');
+
+    victim.client.close();
+
+    const pending = waitForEvent(killer.client, 'kill-claim-pending');
+    killer.client.emit('claim-kill', { gameCode, sessionToken: killer.sessionToken });
+    const claim = await pending;
+    assert.strictEqual(claim.target_name, 'Bob');
+    assert.ok(claim.claim_id);
+
+    const rejoined = connect();
+    const challenge = waitForEvent(rejoined, 'kill-challenge');
+    rejoined.emit('join-game', gameCode, victim.sessionToken);
+    const delivered = await challenge;
+    assert.strictEqual(delivered.claim_id, claim.claim_id);
+    assert.strictEqual(delivered.task, killer.task);
+
+    const newTarget = waitForEvent(killer.client, 'new-target');
+    const eliminated = waitForEvent(rejoined, 'you-eliminated');
+    rejoined.emit('resolve-kill', { sessionToken: victim.sessionToken, claim_id: claim.claim_id, answer: 'confirm' });
+    await eliminated;
+    const next = await newTarget;
+    assert.notStrictEqual(next.target && next.target.name, 'Bob');
+  });
+
+  test('claiming again reuses the pending claim', async () => {
+    const { gameCode, players } = await startActiveGame(harness.baseUrl, connect, ['Dan', 'Eve', 'Finn']);
+    const killer = killerOf(players, 'Eve');
+    let challenges = 0;
+    players.Eve.client.on('kill-challenge', () => { challenges++; });
+
+    const first = waitForEvent(killer.client, 'kill-claim-pending');
+    killer.client.emit('claim-kill', { gameCode, sessionToken: killer.sessionToken });
+    const { claim_id } = await first;
+
+    const second = waitForEvent(killer.client, 'kill-claim-pending');
+    killer.client.emit('claim-kill', { gameCode, sessionToken: killer.sessionToken });
+    assert.strictEqual((await second).claim_id, claim_id);
+    // The target's challenge is not sent again
+    assert.strictEqual(challenges, 1);
+  });
+
+  test('a claim cannot be answered twice', async () => {
+    const { gameCode, players } = await startActiveGame(harness.baseUrl, connect, ['Gus', 'Hana']);
+    const victim = players.Hana;
+    const killer = players.Gus;
+
+    const challenge = waitForEvent(victim.client, 'kill-challenge');
+    killer.client.emit('claim-kill', { gameCode, sessionToken: killer.sessionToken });
+    const { claim_id } = await challenge;
+
+    const denied = waitForEvent(killer.client, 'kill-denied');
+    victim.client.emit('resolve-kill', { sessionToken: victim.sessionToken, claim_id, answer: 'deny' });
+    assert.strictEqual((await denied).claim_id, claim_id);
+
+    const error = waitForEvent(victim.client, 'error');
+    victim.client.emit('resolve-kill', { sessionToken: victim.sessionToken, claim_id, answer: 'confirm' });
+    assert.match((await error).message, /already been answered/);
+  });
+
+  test('resolve-kill ignores a client-supplied killer_id', async () => {
+    const { players } = await startActiveGame(harness.baseUrl, connect, ['Ivy', 'Jon']);
+    const victim = players.Jon;
+
+    const error = waitForEvent(victim.client, 'error');
+    victim.client.emit('resolve-kill', { sessionToken: victim.sessionToken, killer_id: players.Ivy.playerId, answer: 'confirm' });
+    assert.strictEqual((await error).message, 'Kill claim not found.');
+  });
+});
@@ -0,0 +1,98 @@
+// test/moderators.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { server, io } from '../server.js';
+import { useServer, waitForEvent, startActiveGame } from './setup.js';
+
+describe('Moderators', () => {
+  const harness = useServer(server, io);
+  const { connect } = harness;
+
+  async function inviteModerator(game, permissions) {
+    const admin = connect();
+    const created = waitForEvent(admin, 'admin-moderator-created');
+    admin.emit('admin-create-moderator', {
+      gameCode: game.gameCode, creatorToken: game.creatorToken, name: 'Referee', permissions
+    });
+    return { admin, ...(await created) };
+  }
+
+  test('a moderator can run the actions they were granted', async () => {
+    const game = await startActiveGame(harness.baseUrl, connect, ['Ann', 'Ben', 'Cy']);
+    const { moderator, moderatorToken } = await inviteModerator(game, ['manual-kill']);
+    assert.deepStrictEqual(moderator.permissions, ['manual-kill']);
+
+    const mod = connect();
+    const info = waitForEvent(mod, 'moderator-info');
+    mod.emit('moderator-auth', { gameCode: game.gameCode, moderatorToken });
+    assert.strictEqual((await info).name, 'Referee');
+
+    const victim = game.players.Ben;
+    const success = waitForEvent(mod, 'admin-manual-kill-success');
+    mod.emit('admin-manual-kill', { gameCode: game.gameCode, moderatorToken, playerId: victim.playerId });
+    await success;
+
+    const summary = await (await fetch(`${harness.baseUrl}/api/game-summary?gameCode=${game.gameCode}`)).json();
+    assert.strictEqual(summary.kill_history.length, 1);
+    const exported = await (await fetch(`${harness.baseUrl}/api/games/${game.gameCode}/audit-log`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ creatorToken: game.creatorToken })
+    })).json();
+    const action = exported.actions.find(a => a.action === 'manual-kill');
+    assert.strictEqual(action.actor_role, 'moderator');
+    assert.strictEqual(action.actor_id, moderator.id);
+    assert.strictEqual(action.actor_name, 'Referee');
+    assert.strictEqual(action.target_player_id, victim.playerId);
+  });
+
+  test('a moderator is refused anything else and never sees targets', async () => {
+    const game = await startActiveGame(harness.baseUrl, connect, ['Dee', 'Eli']);
+    const { moderatorToken } = await inviteModerator(game, ['reset-pin']);
+    const mod = connect();
+
+    const refused = waitForEvent(mod, 'error');
+    mod.emit('admin-end-game', { gameCode: game.gameCode, moderatorToken });
+    assert.strictEqual((await refused).message, 'Unauthorized.');
+
+    const creatorOnly = waitForEvent(mod, 'error');
+    mod.emit('admin-reshuffle', { gameCode: game.gameCode, creatorToken: moderatorToken });
+    assert.strictEqual((await creatorOnly).message, 'Unauthorized.');
+
+    const list = waitForEvent(mod, 'admin-players-list');
+    mod.emit('admin-get-players', { gameCode: game.gameCode, moderatorToken, showDetails: true });
+    const { players } = await list;
+    assert.ok(players.every(p => p.target_name === undefined && p.task === undefined));
+  });
+
+  test('a revoked moderator loses access and the token is not listed', async () => {
+    const game = await startActiveGame(harness.baseUrl, connect, ['Fay', 'Gus']);
+    const { admin, moderator, moderatorToken } = await inviteModerator(game, ['reset-pin', 'end-game']);
+
+    const listed = waitForEvent(admin, 'admin-moderators-list');
+    admin.emit('admin-get-moderators', { gameCode: game.gameCode, creatorToken: game.creatorToken });
+    const { moderators } = await listed;
+    assert.strictEqual(moderators.length, 1);
+    assert.ok(!JSON.stringify(moderators).includes(moderatorToken));
+
+    const revoked = waitForEvent(admin, 'admin-revoke-moderator-success');
+    admin.emit('admin-revoke-moderator', { gameCode: game.gameCode, creatorToken: game.creatorToken, moderatorId: moderator.id });
+    await revoked;
+
+    const mod = connect();
+    const refused = waitForEvent(mod, 'error');
+    mod.emit('admin-end-game', { gameCode: game.gameCode, moderatorToken });
+    assert.strictEqual((await refused).message, 'Unauthorized.');
+  });
+
+  test('a moderator token only works for its own game', async () => {
+    const game = await startActiveGame(harness.baseUrl, connect, ['Hal', 'Ida']);
+    const other = await startActiveGame(harness.baseUrl, connect, ['Jon', 'Kim']);
+    const { moderatorToken } = await inviteModerator(game, ['end-game']);
+
+    const mod = connect();
+    const refused = waitForEvent(mod, 'error');
+    mod.emit('admin-end-game', { gameCode: other.gameCode, moderatorToken });
+    assert.strictEqual((await refused).message, 'Unauthorized.');
+  });
+});
@@ -0,0 +1,65 @@
+// test/multi-device.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { server, io } from '../server.js';
+import { useServer, waitForEvent, startActiveGame } from './setup.js';
+
+describe('Multi-device sessions', () => {
+  const harness = useServer(server, io);
+  const connect = auth => harness.connect({ auth });
+
+  test('every device of a player gets their DMs, and closing one leaves the others', async () => {
+    const { gameCode, creatorToken, players } = await startActiveGame(harness.baseUrl, () => connect(), ['Ann', 'Ben', 'Cy']);
+    const ann = players.Ann;
+    const hunter = Object.values(players).find(p => p.target.id === ann.playerId);
+    const admin = connect({ gameCode, creatorToken });
+    await waitForEvent(admin, 'creator-confirmed');
+
+    const counted = waitForEvent(admin, 'admin-player-devices');
+    const laptop = connect({ gameCode, sessionToken: ann.sessionToken });
+    assert.deepStrictEqual(await counted, { playerId: ann.playerId, devices: 2 });
+
+    const listed = waitForEvent(admin, 'admin-players-list');
+    admin.emit('admin-get-players', { gameCode });
+    const devices = Object.fromEntries((await listed).players.map(p => [p.name, p.devices]));
+    assert.deepStrictEqual(devices, { Ann: 2, Ben: 1, Cy: 1 });
+
+    const challenges = [waitForEvent(ann.client, 'kill-challenge'), waitForEvent(laptop, 'kill-challenge')];
+    hunter.client.emit('claim-kill', { gameCode, sessionToken: hunter.sessionToken });
+    const [onPhone, onLaptop] = await Promise.all(challenges);
+    assert.strictEqual(onPhone.claim_id, onLaptop.claim_id);
+
+    const dropped = waitForEvent(admin, 'admin-player-devices');
+    laptop.close();
+    assert.deepStrictEqual(await dropped, { playerId: ann.playerId, devices: 1 });
+
+    const eliminated = waitForEvent(ann.client, 'you-eliminated');
+    ann.client.emit('resolve-kill', { sessionToken: ann.sessionToken, claim_id: onPhone.claim_id, answer: 'confirm' });
+    await eliminated;
+  });
+
+  test('reclaiming on another device shares the session until the player leaves', async () => {
+    const { gameCode, creatorToken, players } = await startActiveGame(harness.baseUrl, () => connect(), ['Dee', 'Eli', 'Fay']);
+    const dee = players.Dee;
+    let invalidated = 0;
+    dee.client.on('session-invalidated', () => { invalidated++; });
+
+    const tablet = connect({ gameCode });
+    const reclaimed = waitForEvent(tablet, 'identity-reclaimed');
+    tablet.emit('reclaim-identity', { gameCode, playerName: 'Dee', pin: '1234' });
+    assert.strictEqual((await reclaimed).sessionToken, dee.sessionToken);
+
+    // Both devices hear about Dee's new target
+    const target = Object.values(players).find(p => p.playerId === dee.target.id);
+    const retargeted = [waitForEvent(dee.client, 'new-target'), waitForEvent(tablet, 'new-target')];
+    const admin = connect({ gameCode, creatorToken });
+    admin.emit('admin-manual-kill', { gameCode, playerId: target.playerId });
+    const [onPhone, onTablet] = await Promise.all(retargeted);
+    assert.deepStrictEqual(onPhone, onTablet);
+    assert.strictEqual(invalidated, 0);
+
+    const ended = [waitForEvent(dee.client, 'session-invalidated'), waitForEvent(tablet, 'session-invalidated')];
+    admin.emit('admin-player-leave', { gameCode, playerId: dee.playerId });
+    await Promise.all(ended);
+  });
+});
@@ -0,0 +1,137 @@
+// test/pause-game.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { server, io, expireClaim } from '../server.js';
+import { useServer, waitForEvent, startActiveGame } from './setup.js';
+
+describe('Pausing a game', () => {
+  const harness = useServer(server, io);
+  const { connect } = harness;
+
+  // Run an admin action and wait until the room sees the resulting game state
+  async function adminAction(game, event, watcher) {
+    const admin = connect();
+    const state = waitForEvent(watcher, 'game-state');
+    const success = waitForEvent(admin, `${event}-success`);
+    admin.emit(event, { gameCode: game.gameCode, creatorToken: game.creatorToken });
+    await success;
+    return state;
+  }
+
+  test('holds kill claims until the creator resumes', async () => {
+    const game = await startActiveGame(harness.baseUrl, connect, ['Ann', 'Ben', 'Cy']);
+    const killer = game.players.Ann;
+    const victim = Object.values(game.players).find(p => p.playerId === killer.target.id);
+
+    assert.strictEqual(await adminAction(game, 'admin-pause-game', killer.client), 'paused');
+
+    const refused = waitForEvent(killer.client, 'error');
+    killer.client.emit('claim-kill', { gameCode: game.gameCode, sessionToken: killer.sessionToken });
+    assert.match((await refused).message, /paused/);
+
+    // Reconnecting players learn the game is paused and still get their assignment
+    const returning = connect();
+    const state = waitForEvent(returning, 'game-state');
+    const assignment = waitForEvent(returning, 'your-assignment');
+    returning.emit('join-game', game.gameCode, victim.sessionToken);
+    assert.strictEqual(await state, 'paused');
+    assert.ok((await assignment).target);
+
+    assert.strictEqual(await adminAction(game, 'admin-resume-game', killer.client), 'active');
+
+    // The victim's reloaded page is now the one that gets challenged
+    const challenge = waitForEvent(returning, 'kill-challenge');
+    killer.client.emit('claim-kill', { gameCode: game.gameCode, sessionToken: killer.sessionToken });
+    await challenge;
+
+    const summary = await (await fetch(`${harness.baseUrl}/api/game-summary?gameCode=${game.gameCode}`)).json();
+    const pauses = summary.events.filter(e => e.type === 'game_paused' || e.type === 'game_resumed');
+    assert.deepStrictEqual(pauses.map(e => e.type), ['game_paused', 'game_resumed']);
+  });
+
+  test('freezes claims that are already pending', async () => {
+    const game = await startActiveGame(harness.baseUrl, connect, ['Dee', 'Eli', 'Fox'], { claimTimeoutMinutes: 30 });
+    const killer = game.players.Dee;
+    const victim = Object.values(game.players).find(p => p.playerId === killer.target.id);
+
+    const challenge = waitForEvent(victim.client, 'kill-challenge');
+    killer.client.emit('claim-kill', { gameCode: game.gameCode, sessionToken: killer.sessionToken });
+    const claim = await challenge;
+
+    await adminAction(game, 'admin-pause-game', victim.client);
+
+    const refused = waitForEvent(victim.client, 'error');
+    victim.client.emit('resolve-kill', { sessionToken: victim.sessionToken, claim_id: claim.claim_id, answer: 'deny' });
+    assert.match((await refused).message, /paused/);
+
+    // A timeout firing during the pause leaves the claim open
+    expireClaim(claim.claim_id);
+
+    const redelivered = waitForEvent(victim.client, 'kill-challenge');
+    await adminAction(game, 'admin-resume-game', victim.client);
+    const resent = await redelivered;
+    assert.strictEqual(resent.claim_id, claim.claim_id);
+    assert.ok(resent.expires_at >= claim.expires_at);
+
+    const denied = waitForEvent(killer.client, 'kill-denied');
+    victim.client.emit('resolve-kill', { sessionToken: victim.sessionToken, claim_id: claim.claim_id, answer: 'deny' });
+    await denied;
+  });
+
+  test('refuses manual kills until the creator resumes', async () => {
+    const game = await startActiveGame(harness.baseUrl, connect, ['Ike', 'Jay', 'Kit']);
+    const victim = game.players.Jay;
+    await adminAction(game, 'admin-pause-game', victim.client);
+
+    const admin = connect();
+    const refused = waitForEvent(admin, 'error');
+    admin.emit('admin-manual-kill', { gameCode: game.gameCode, creatorToken: game.creatorToken, playerId: victim.playerId });
+    assert.match((await refused).message, /paused/);
+
+    await adminAction(game, 'admin-resume-game', victim.client);
+    const eliminated = waitForEvent(victim.client, 'you-eliminated');
+    admin.emit('admin-manual-kill', { gameCode: game.gameCode, creatorToken: game.creatorToken, playerId: victim.playerId });
+    await eliminated;
+  });
+
+  test('keeps disputes open for a ruling after the pause', async () => {
+    const game = await startActiveGame(harness.baseUrl, connect, ['Lea', 'Max', 'Ned']);
+    const killer = game.players.Lea;
+    const victim = Object.values(game.players).find(p => p.playerId === killer.target.id);
+
+    const challenge = waitForEvent(victim.client, 'kill-challenge');
+    killer.client.emit('claim-kill', { gameCode: game.gameCode, sessionToken: killer.sessionToken });
+    const { claim_id } = await challenge;
+    const denied = waitForEvent(killer.client, 'kill-denied');
+    victim.client.emit('resolve-kill', { sessionToken: victim.sessionToken, claim_id, answer: 'deny' });
+    await denied;
+    const escalated = waitForEvent(killer.client, 'kill-escalated');
+    killer.client.emit('escalate-kill', { sessionToken: killer.sessionToken, claim_id });
+    await escalated;
+
+    await adminAction(game, 'admin-pause-game', killer.client);
+    const admin = connect();
+    const ruling = { gameCode: game.gameCode, creatorToken: game.creatorToken, claim_id, ruling: 'confirm' };
+    const refused = waitForEvent(admin, 'error');
+    admin.emit('admin-rule-dispute', ruling);
+    assert.match((await refused).message, /paused/);
+
+    await adminAction(game, 'admin-resume-game', killer.client);
+    const eliminated = waitForEvent(victim.client, 'you-eliminated');
+    admin.emit('admin-rule-dispute', ruling);
+    await eliminated;
+  });
+
+  test('only pauses active games and only resumes paused ones', async () => {
+    const game = await startActiveGame(harness.baseUrl, connect, ['Gil', 'Hal']);
+    const admin = connect();
+
+    const notPaused = waitForEvent(admin, 'error');
+    admin.emit('admin-resume-game', { gameCode: game.gameCode, creatorToken: game.creatorToken });
+    assert.strictEqual((await notPaused).message, 'Game is not paused.');
+
+    const unauthorized = waitForEvent(admin, 'error');
+    admin.emit('admin-pause-game', { gameCode: game.gameCode, creatorToken: 'not-the-creator' });
+    assert.strictEqual((await unauthorized).message, 'Unauthorized.');
+  });
+});
@@ -0,0 +1,131 @@
+// test/pin-security.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import { useServer, createGame, waitForEvent, startActiveGame } from './setup.js';
+
+// Clients pick their addresses through X-Forwarded-For, which is only read behind a
+// trusted proxy; that is configured when the server module loads
+process.env.TRUST_PROXY = '1';
+const { app, server, io, hashPin, verifyPin } = await import('../server.js');
+
+describe('PIN hashing', () => {
+  test('PINs get their own salt and a slow hash', async () => {
+    const first = await hashPin('1234');
+    const second = await hashPin('1234');
+    assert.match(first, /^scrypt\$16384\$8\$1\$/);
+    assert.notStrictEqual(first, second);
+    assert.deepStrictEqual(await verifyPin('1234', first), { valid: true, rehash: false });
+    assert.deepStrictEqual(await verifyPin('4321', first), { valid: false, rehash: false });
+  });
+
+  test('unsalted sha256 hashes still match and ask to be rehashed', async () => {
+    const legacy = crypto.createHash('sha256').update('1234').digest('hex');
+    assert.deepStrictEqual(await verifyPin('1234', legacy), { valid: true, rehash: true });
+    assert.deepStrictEqual(await verifyPin('9999', legacy), { valid: false, rehash: false });
+    assert.deepStrictEqual(await verifyPin('1234', null), { valid: false, rehash: false });
+  });
+});
+
+describe('Reclaim lockout', () => {
+  const harness = useServer(server, io);
+
+  // Every client gets an address of its own (see 'trust proxy'), so runs do not share lockouts
+  function connect(address = `10.${[1, 2, 3].map(() => crypto.randomInt(256)).join('.')}`) {
+    return harness.connect({ extraHeaders: { 'X-Forwarded-For': address } });
+  }
+
+  // Resolves with identity-reclaimed or the error, whichever comes
+  function reclaim(client, gameCode, playerName, pin) {
+    return new Promise(resolve => {
+      const done = payload => {
+        client.off('identity-reclaimed', done);
+        client.off('error', done);
+        resolve(payload);
+      };
+      client.on('identity-reclaimed', done);
+      client.on('error', done);
+      client.emit('reclaim-identity', { gameCode, playerName, pin });
+    });
+  }
+
+  test('wrong PINs lock a player until the creator resets the PIN', async () => {
+    const { gameCode, creatorToken, players } = await startActiveGame(harness.baseUrl, connect, ['Ann', 'Ben']);
+    const admin = connect();
+    const confirmed = waitForEvent(admin, 'creator-confirmed');
+    admin.emit('creator-auth', { gameCode, creatorToken });
+    await confirmed;
+
+    // Guesses from two devices count towards the same player
+    const guessers = [connect(), connect()];
+    for (let i = 0; i < 4; i++) {
+      assert.strictEqual((await reclaim(guessers[i % 2], gameCode, 'Ben', `000${i}`)).message, 'Reclaim failed.');
+    }
+    const alert = waitForEvent(admin, 'admin-reclaim-locked');
+    await reclaim(guessers[0], gameCode, 'Ben', '0004');
+    assert.deepStrictEqual(await alert, {
+      scope: 'player', playerId: players.Ben.playerId, playerName: 'Ben', failures: 5, lockSeconds: 30
+    });
+
+    // Even the right PIN waits out the lock
+    const locked = await reclaim(connect(), gameCode, 'Ben', '1234');
+    assert.strictEqual(locked.code, 'too_many_requests');
+    assert.ok(locked.retryAfter > 0 && locked.retryAfter <= 30);
+
+    const listed = waitForEvent(admin, 'admin-players-list');
+    admin.emit('admin-get-players', { gameCode, creatorToken });
+    assert.ok((await listed).players.find(p => p.name === 'Ben').reclaim_lock_seconds > 0);
+
+    const reset = waitForEvent(admin, 'admin-pin-reset');
+    admin.emit('admin-reset-pin', { gameCode, creatorToken, playerId: players.Ben.playerId, newPin: '5678' });
+    await reset;
+    const back = await reclaim(connect(), gameCode, 'Ben', '5678');
+    assert.strictEqual(back.playerId, players.Ben.playerId);
+  });
+
+  test('guesses sent all at once are counted one after the other', async () => {
+    const { gameCode } = await startActiveGame(harness.baseUrl, connect, ['Eve', 'Fin']);
+    const guesser = connect();
+    const answers = [];
+    const answered = new Promise(resolve => guesser.on('error', error => {
+      answers.push(error);
+      if (answers.length === 25) resolve();
+    }));
+    for (let i = 0; i < 25; i++) {
+      guesser.emit('reclaim-identity', { gameCode, playerName: 'Fin', pin: `9${String(i).padStart(3, '0')}` });
+    }
+    await answered;
+
+    assert.strictEqual(answers.filter(a => a.message === 'Reclaim failed.').length, 5);
+    assert.strictEqual(answers.filter(a => a.code === 'too_many_requests').length, 20);
+  });
+
+  test('one address guessing many names is locked out as well', async () => {
+    const { gameCode } = await createGame(harness.baseUrl, { playerNames: 'Cy\nDee', tasks: 'Task1' });
+    const address = `10.0.${crypto.randomInt(256)}.${crypto.randomInt(256)}`;
+    const guesser = connect(address);
+
+    for (let i = 0; i < 20; i++) {
+      assert.strictEqual((await reclaim(guesser, gameCode, `Nobody${i}`, '1234')).message, 'Reclaim failed.');
+    }
+    const locked = await reclaim(guesser, gameCode, 'Cy', '1234');
+    assert.strictEqual(locked.code, 'too_many_requests');
+    assert.match(locked.message, /^Too many failed attempts\. Try again in \d+ seconds\.$/);
+
+    // A new connection from the same address is still locked; another address is not
+    assert.strictEqual((await reclaim(connect(address), gameCode, 'Cy', '1234')).code, 'too_many_requests');
+    assert.strictEqual((await reclaim(connect(), gameCode, 'Cy', '1234')).message, 'Reclaim failed.');
+  });
+
+  test('a forged X-Forwarded-For does not give a fresh address without a trusted proxy', async (t) => {
+    app.set('trust proxy', false);
+    t.after(() => app.set('trust proxy', 1));
+    const { gameCode } = await createGame(harness.baseUrl, { playerNames: 'Gil\nHal', tasks: 'Task1' });
+
+    // Every guess claims another address, but they all come from the same socket address
+    for (let i = 0; i < 20; i++) {
+      assert.strictEqual((await reclaim(connect(), gameCode, `Nobody${i}`, '1234')).message, 'Reclaim failed.');
+    }
+    assert.strictEqual((await reclaim(connect(), gameCode, 'Gil', '1234')).code, 'too_many_requests');
+  });
+});
@@ -0,0 +1,92 @@
+// test/presence.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { server, io, expirePresence } from '../server.js';
+import { useServer, createGame, waitForEvent } from './setup.js';
+
+describe('Player presence', () => {
+  const harness = useServer(server, io);
+  const connect = auth => harness.connect({ auth });
+
+  // Resolves with the first roster `predicate` accepts
+  function rosterWhere(client, predicate) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        client.off('player-list-update', check);
+        reject(new Error('No matching roster'));
+      }, 2000);
+      function check(players) {
+        if (!predicate(players)) return;
+        clearTimeout(timer);
+        client.off('player-list-update', check);
+        resolve(players);
+      }
+      client.on('player-list-update', check);
+    });
+  }
+
+  const named = (players, name) => players.find(p => p.name === name);
+
+  test('players go offline once the grace period after their last device passes', async () => {
+    const { gameCode, creatorToken } = await createGame(harness.baseUrl, { playerNames: 'Ann\nBen', tasks: 'Task1' });
+    const admin = connect({ gameCode, creatorToken });
+    await waitForEvent(admin, 'creator-confirmed');
+    const observer = connect();
+    const joined = waitForEvent(observer, 'player-list-update');
+    observer.emit('join-game', gameCode);
+    await joined;
+
+    const phone = connect();
+    const online = rosterWhere(observer, players => named(players, 'Ann').online);
+    const bound = waitForEvent(admin, 'admin-player-devices');
+    phone.emit('claim-identity', { gameCode, playerName: 'Ann', pin: '1234' });
+    const { sessionToken, playerId } = await waitForEvent(phone, 'identity-confirmed');
+    assert.strictEqual(named(await online, 'Ben').online, false);
+    await bound;
+
+    // A dropped connection does not count as leaving straight away
+    const dropped = waitForEvent(admin, 'admin-player-devices');
+    phone.close();
+    assert.strictEqual((await dropped).devices, 0);
+    const stillOnline = waitForEvent(observer, 'player-list-update');
+    observer.emit('join-game', gameCode);
+    assert.strictEqual(named(await stillOnline, 'Ann').online, true);
+
+    const offline = rosterWhere(observer, players => !named(players, 'Ann').online);
+    expirePresence(gameCode, playerId);
+    assert.match(named(await offline, 'Ann').last_seen_at, /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+
+    const back = rosterWhere(observer, players => named(players, 'Ann').online);
+    connect({ gameCode, sessionToken });
+    await back;
+  });
+
+  test('coming back within the grace period keeps a player online', async () => {
+    const { gameCode, creatorToken } = await createGame(harness.baseUrl, { playerNames: 'Cy\nDee', tasks: 'Task1' });
+    const admin = connect({ gameCode, creatorToken });
+    await waitForEvent(admin, 'creator-confirmed');
+
+    const phone = connect();
+    const confirmed = waitForEvent(phone, 'identity-confirmed');
+    const bound = waitForEvent(admin, 'admin-player-devices');
+    phone.emit('claim-identity', { gameCode, playerName: 'Cy', pin: '1234' });
+    const { sessionToken, playerId } = await confirmed;
+    await bound;
+
+    const dropped = waitForEvent(admin, 'admin-player-devices');
+    phone.close();
+    assert.strictEqual((await dropped).devices, 0);
+    const reconnected = waitForEvent(admin, 'admin-player-devices');
+    connect({ gameCode, sessionToken });
+    assert.strictEqual((await reconnected).devices, 1);
+
+    // The grace timer was cancelled; running out now changes nothing
+    expirePresence(gameCode, playerId);
+    const listed = waitForEvent(admin, 'admin-players-list');
+    admin.emit('admin-get-players', { gameCode });
+    const cy = named((await listed).players, 'Cy');
+    assert.strictEqual(cy.online, true);
+    assert.ok(cy.last_seen_at);
+    assert.strictEqual(named((await listed).players, 'Dee').online, false);
+  });
+});
@@ -0,0 +1,83 @@
+// test/rate-limit.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { useServer, waitForEvent, startActiveGame } from './setup.js';
+
+// Limits and proxy trust (clients pick their addresses through X-Forwarded-For) are
+// read when the server module loads
+process.env.TRUST_PROXY = '1';
+process.env.RATE_LIMITS = JSON.stringify({
+  'create-game': [{ key: 'ip', max: 2, windowSeconds: 60 }],
+  'claim-kill': [{ key: 'session', max: 3, windowSeconds: 60 }]
+});
+const { server, io } = await import('../server.js');
+
+describe('Rate limits', () => {
+  const harness = useServer(server, io);
+  const { connect } = harness;
+
+  function createFrom(address, body) {
+    return fetch(`${harness.baseUrl}/api/create-game`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': address },
+      body: JSON.stringify(body)
+    });
+  }
+
+  test('HTTP routes answer 429 with Retry-After once an address is over its limit', async () => {
+    const game = { playerNames: 'Ann\nBen', tasks: 'Task1' };
+    assert.strictEqual((await createFrom('10.9.0.1', game)).status, 200);
+    assert.strictEqual((await createFrom('10.9.0.1', game)).status, 200);
+
+    const limited = await createFrom('10.9.0.1', game);
+    assert.strictEqual(limited.status, 429);
+    const retryAfter = Number(limited.headers.get('retry-after'));
+    assert.ok(retryAfter > 0 && retryAfter <= 60);
+    const body = await limited.json();
+    assert.strictEqual(body.code, 'too_many_requests');
+    assert.strictEqual(body.retryAfter, retryAfter);
+    assert.match(body.error, /^Too many requests\. Try again in \d+ (seconds?|minute)\.$/);
+
+    // Other addresses have their own counters
+    assert.strictEqual((await createFrom('10.9.0.2', game)).status, 200);
+  });
+
+  test('oversized task files are refused', async () => {
+    const form = new FormData();
+    form.append('playerNames', 'Cy\nDee');
+    form.append('taskFile', new Blob(['x'.repeat(1024 * 1024 + 1)]), 'tasks.txt');
+    const res = await fetch(`${harness.baseUrl}/api/create-game`, {
+      method: 'POST', headers: { 'X-Forwarded-For': '10.9.0.3' }, body: form
+    });
+    assert.strictEqual(res.status, 413);
+    assert.strictEqual((await res.json()).code, 'payload_too_large');
+  });
+
+  test('claim-kill is limited per session over sockets and REST alike', async () => {
+    const { gameCode, players } = await startActiveGame(harness.baseUrl, connect, ['Eli', 'Fay']);
+    const { Eli: killer, Fay: victim } = players;
+    let challenges = 0;
+    victim.client.on('kill-challenge', () => { challenges++; });
+
+    for (let i = 0; i < 2; i++) {
+      const pending = waitForEvent(killer.client, 'kill-claim-pending');
+      killer.client.emit('claim-kill', { gameCode, sessionToken: killer.sessionToken });
+      await pending;
+    }
+    const res = await fetch(`${harness.baseUrl}/api/games/${gameCode}/claims`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sessionToken: killer.sessionToken })
+    });
+    assert.strictEqual(res.status, 200);
+
+    const refused = waitForEvent(killer.client, 'error');
+    killer.client.emit('claim-kill', { gameCode, sessionToken: killer.sessionToken });
+    const error = await refused;
+    assert.strictEqual(error.code, 'too_many_requests');
+    assert.strictEqual(error.event, 'claim-kill');
+
+    // Only the first claim reached the target
+    assert.strictEqual(challenges, 1);
+  });
+});
@@ -0,0 +1,88 @@
+// test/request-validation.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { server, io } from '../server.js';
+import { useServer, createGame, waitForEvent, startActiveGame } from './setup.js';
+
+describe('Request schemas', () => {
+  const harness = useServer(server, io);
+  const { connect } = harness;
+
+  async function get(path) {
+    const res = await fetch(`${harness.baseUrl}${path}`);
+    return { status: res.status, body: await res.json() };
+  }
+
+  // Resolves with the payload of the next 'error' event after emitting
+  function socketError(client, event, payload) {
+    const error = waitForEvent(client, 'error');
+    client.emit(event, payload);
+    return error;
+  }
+
+  test('the OpenAPI document is built from the route schemas', async () => {
+    const { status, body } = await get('/api/openapi.json');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.openapi, '3.1.0');
+
+    const kill = body.paths['/api/games/{gameCode}/admin/players/{playerId}/kill'].post;
+    assert.deepStrictEqual(kill.parameters.map(p => [p.name, p.in]), [['gameCode', 'path'], ['playerId', 'path']]);
+    assert.deepStrictEqual(Object.keys(kill.requestBody.content['application/json'].schema.properties),
+      ['creatorToken', 'moderatorToken']);
+
+    const summaryCode = body.paths['/api/game-summary'].get.parameters.find(p => p.name === 'gameCode');
+    assert.strictEqual(summaryCode.schema.pattern, kill.parameters[0].schema.pattern);
+    assert.ok(body.paths['/api/create-game'].post.requestBody.content['multipart/form-data']);
+    assert.ok(body['x-socket-events']['claim-identity']);
+  });
+
+  test('HTTP validation errors name the field and the rule', async () => {
+    const bad = await get('/api/game-summary?gameCode=@@bad');
+    assert.deepStrictEqual(bad, {
+      status: 400,
+      body: { error: 'Invalid game code.', code: 'invalid_request', field: 'gameCode', rule: 'pattern' }
+    });
+
+    // Game codes are 4-10 characters everywhere
+    const longCode = await get('/api/game-summary?gameCode=ABCDEFGHJK');
+    assert.deepStrictEqual(longCode.body, { error: 'Game not found', code: 'not_found' });
+
+    const { gameCode, creatorToken } = await startActiveGame(harness.baseUrl, connect, ['Ann', 'Ben']);
+    const page = await get(`/api/games/${gameCode}/admin/audit-log?creatorToken=${creatorToken}&page=0`);
+    assert.strictEqual(page.status, 400);
+    assert.strictEqual(page.body.rule, 'minimum');
+    assert.strictEqual((await get(`/api/games/${gameCode}/admin/audit-log?creatorToken=${creatorToken}&page=1`)).status, 200);
+
+    const res = await fetch(`${harness.baseUrl}/api/games/${gameCode}/admin/players/x/pin`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ creatorToken, newPin: '12' })
+    });
+    assert.deepStrictEqual(await res.json(), {
+      error: 'Invalid PIN. Must be 4 digits.', code: 'invalid_request', field: 'newPin', rule: 'pattern'
+    });
+  });
+
+  test('socket payloads are checked against the same schemas', async () => {
+    const { gameCode, creatorToken } = await createGame(harness.baseUrl, { playerNames: 'Cy\nDee', tasks: 'Task1' });
+    const client = connect();
+
+    assert.deepStrictEqual(await socketError(client, 'claim-identity', { gameCode, playerName: 'Cy' }), {
+      message: 'Invalid PIN. Must be 4 digits.', code: 'invalid_request', field: 'pin', rule: 'required'
+    });
+    // join-game takes positional arguments
+    assert.deepStrictEqual(await socketError(client, 'join-game', 'abc'), {
+      message: 'Invalid game code.', code: 'invalid_request', field: '[0]', rule: 'pattern'
+    });
+
+    const moderator = await socketError(client, 'admin-create-moderator', {
+      gameCode, creatorToken, name: 'Mo', permissions: ['reset-pin', 'fly']
+    });
+    assert.strictEqual(moderator.field, 'permissions[1]');
+    assert.strictEqual(moderator.rule, 'enum');
+
+    // Errors of the game rules carry a code as well
+    const refused = await socketError(client, 'admin-pause-game', { gameCode, creatorToken: 'nope' });
+    assert.deepStrictEqual(refused, { message: 'Unauthorized.', code: 'forbidden' });
+  });
+});
@@ -0,0 +1,133 @@
+// test/reshuffle.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { server, io } from '../server.js';
+import { useServer, waitForEvent, startActiveGame } from './setup.js';
+
+describe('Mid-game reshuffle', () => {
+  const harness = useServer(server, io);
+  const { connect } = harness;
+
+  async function reshuffle({ gameCode, creatorToken, players }, reshuffleTasks = false) {
+    const admin = connect();
+    const assignments = Object.fromEntries(Object.entries(players)
+      .map(([name, p]) => [name, waitForEvent(p.client, 'your-assignment')]));
+    const success = waitForEvent(admin, 'admin-reshuffle-success');
+    admin.emit('admin-reshuffle', { gameCode, creatorToken, reshuffleTasks });
+    await success;
+    for (const name of Object.keys(assignments)) assignments[name] = await assignments[name];
+    return assignments;
+  }
+
+  test('sends everyone a fresh assignment forming one cycle', async () => {
+    const names = ['Ada', 'Bo', 'Cam', 'Dot', 'Eve'];
+    const game = await startActiveGame(harness.baseUrl, connect, names, { tasks: ['T1', 'T2', 'T3'] });
+    const assignments = await reshuffle(game, true);
+
+    const idToName = Object.fromEntries(names.map(n => [game.players[n].playerId, n]));
+    const seen = new Set();
+    let current = names[0];
+    for (let i = 0; i < names.length; i++) {
+      seen.add(current);
+      assert.notStrictEqual(assignments[current].target.id, game.players[current].playerId);
+      assert.ok(['T1', 'T2', 'T3'].includes(assignments[current].task));
+      current = idToName[assignments[current].target.id];
+    }
+    assert.strictEqual(current, names[0]);
+    assert.strictEqual(seen.size, names.length);
+
+    const summary = await (await fetch(`${harness.baseUrl}/api/game-summary?gameCode=${game.gameCode}`)).json();
+    const reshuffles = summary.events.filter(e => e.type === 'reshuffle');
+    assert.strictEqual(reshuffles.length, 1);
+    assert.deepStrictEqual(reshuffles[0].data, { players: 5, tasks: true });
+  });
+
+  test('keeps tasks unless asked to reshuffle them', async () => {
+    const names = ['Fay', 'Gus', 'Hal'];
+    const game = await startActiveGame(harness.baseUrl, connect, names, { tasks: ['T1', 'T2', 'T3'] });
+    const assignments = await reshuffle(game);
+
+    for (const name of names) {
+      assert.strictEqual(assignments[name].task, game.players[name].task);
+    }
+  });
+
+  // A targets-only reshuffle gives up the task balance (neighbours may end up sharing
+  // a task); reshuffling the tasks too restores it along the new cycle
+  test('reshuffled tasks are spread evenly and differ between neighbours', async () => {
+    const names = ['Sam', 'Tia', 'Uma', 'Vic', 'Wes', 'Xan'];
+    const game = await startActiveGame(harness.baseUrl, connect, names, { tasks: ['T1', 'T2', 'T3'] });
+    await reshuffle(game);
+    const assignments = await reshuffle(game, true);
+
+    const taskOf = Object.fromEntries(names.map(n => [game.players[n].playerId, assignments[n].task]));
+    for (const name of names) {
+      assert.notStrictEqual(assignments[name].task, taskOf[assignments[name].target.id]);
+    }
+    const counts = Object.values(taskOf).reduce((acc, task) => ({ ...acc, [task]: (acc[task] || 0) + 1 }), {});
+    assert.deepStrictEqual(counts, { T1: 2, T2: 2, T3: 2 });
+  });
+
+  test('cancels pending kill claims', async () => {
+    const game = await startActiveGame(harness.baseUrl, connect, ['Ivy', 'Jon', 'Kim']);
+    const killer = game.players.Ivy;
+    const victim = Object.values(game.players).find(p => p.playerId === killer.target.id);
+
+    const challenge = waitForEvent(victim.client, 'kill-challenge');
+    killer.client.emit('claim-kill', { gameCode: game.gameCode, sessionToken: killer.sessionToken });
+    const { claim_id } = await challenge;
+
+    const cancelled = waitForEvent(killer.client, 'kill-claim-cancelled');
+    await reshuffle(game);
+    assert.strictEqual((await cancelled).claim_id, claim_id);
+
+    const error = waitForEvent(victim.client, 'error');
+    victim.client.emit('resolve-kill', { sessionToken: victim.sessionToken, claim_id, answer: 'confirm' });
+    assert.ok((await error).message);
+  });
+
+  test('is refused in the lobby and for anyone but the creator', async () => {
+    const admin = connect();
+    let lobbyError;
+    const game = await startActiveGame(harness.baseUrl, connect, ['Lou', 'Max'], {
+      beforeStart: async ({ gameCode, creatorToken }) => {
+        const error = waitForEvent(admin, 'error');
+        admin.emit('admin-reshuffle', { gameCode, creatorToken });
+        lobbyError = await error;
+      }
+    });
+    assert.strictEqual(lobbyError.message, 'Game not active.');
+
+    const unauthorized = waitForEvent(admin, 'error');
+    admin.emit('admin-reshuffle', { gameCode: game.gameCode, creatorToken: 'not-the-creator' });
+    assert.strictEqual((await unauthorized).message, 'Unauthorized.');
+  });
+
+  test('is refused while the game is paused', async () => {
+    const game = await startActiveGame(harness.baseUrl, connect, ['Ned', 'Oli']);
+    const admin = connect();
+    const paused = waitForEvent(admin, 'admin-pause-game-success');
+    admin.emit('admin-pause-game', { gameCode: game.gameCode, creatorToken: game.creatorToken });
+    await paused;
+
+    const error = waitForEvent(admin, 'error');
+    admin.emit('admin-reshuffle', { gameCode: game.gameCode, creatorToken: game.creatorToken });
+    assert.strictEqual((await error).message, 'Game not active.');
+  });
+
+  test('the public summary does not give away live targets', async () => {
+    const game = await startActiveGame(harness.baseUrl, connect, ['Pia', 'Quin', 'Rex']);
+    const killer = game.players.Pia;
+    const victim = Object.values(game.players).find(p => p.playerId === killer.target.id);
+    const challenge = waitForEvent(victim.client, 'kill-challenge');
+    killer.client.emit('claim-kill', { gameCode: game.gameCode, sessionToken: killer.sessionToken });
+    await challenge;
+    await reshuffle(game);
+
+    const summary = await (await fetch(`${harness.baseUrl}/api/game-summary?gameCode=${game.gameCode}`)).json();
+    const claimed = summary.events.find(e => e.type === 'claim_made');
+    assert.strictEqual(claimed.data.killer_id, killer.playerId);
+    assert.strictEqual(claimed.data.victim_id, undefined);
+    assert.ok(summary.events.filter(e => e.type === 'player_claimed').every(e => e.data.hunter_id === undefined));
+  });
+});
@@ -0,0 +1,103 @@
+// test/rest-api.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { server, io } from '../server.js';
+import { useServer, createGame, waitForEvent, startActiveGame } from './setup.js';
+
+describe('REST game actions', () => {
+  const harness = useServer(server, io);
+  const { connect } = harness;
+
+  async function call(method, path, body) {
+    const res = await fetch(`${harness.baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  test('the creator can start a game over REST', async () => {
+    const { gameCode, creatorToken } = await createGame(harness.baseUrl, { playerNames: 'Ann\nBen', tasks: 'Task1' });
+    const sockets = [];
+    for (const name of ['Ann', 'Ben']) {
+      const client = connect();
+      const joined = waitForEvent(client, 'player-list-update');
+      client.emit('join-game', gameCode);
+      await joined;
+      const confirmed = waitForEvent(client, 'identity-confirmed');
+      client.emit('claim-identity', { gameCode, playerName: name, pin: '1234' });
+      await confirmed;
+      sockets.push(client);
+    }
+
+    const refused = await call('POST', `/api/games/${gameCode}/start`, { creatorToken: 'nope' });
+    assert.strictEqual(refused.status, 403);
+    assert.strictEqual(refused.body.error, 'Only the creator can start the game.');
+
+    const assigned = sockets.map(client => waitForEvent(client, 'your-assignment'));
+    const started = await call('POST', `/api/games/${gameCode}/start`, { creatorToken });
+    assert.strictEqual(started.status, 200);
+    assert.strictEqual(started.body.status, 'active');
+    const assignments = await Promise.all(assigned);
+    assert.ok(assignments.every(a => a.target && a.task));
+  });
+
+  test('claims made and answered over REST reach the players\' sockets', async () => {
+    const { gameCode, players } = await startActiveGame(harness.baseUrl, connect, ['Cy', 'Dee', 'Eli']);
+    const killer = players.Cy;
+    const victim = Object.values(players).find(p => p.playerId === killer.target.id);
+
+    const challenge = waitForEvent(victim.client, 'kill-challenge');
+    const claimed = await call('POST', `/api/games/${gameCode}/claims`, { sessionToken: killer.sessionToken });
+    assert.strictEqual(claimed.status, 200);
+    const { claim_id } = await challenge;
+    assert.strictEqual(claimed.body.claim_id, claim_id);
+
+    const wrongPlayer = await call('POST', `/api/games/${gameCode}/claims/${claim_id}/resolve`, {
+      sessionToken: killer.sessionToken, answer: 'confirm'
+    });
+    assert.strictEqual(wrongPlayer.status, 404);
+
+    const newTarget = waitForEvent(killer.client, 'new-target');
+    const resolved = await call('POST', `/api/games/${gameCode}/claims/${claim_id}/resolve`, {
+      sessionToken: victim.sessionToken, answer: 'confirm'
+    });
+    assert.deepStrictEqual(resolved.body, { claim_id, status: 'confirmed' });
+    await newTarget;
+
+    const again = await call('POST', `/api/games/${gameCode}/claims/${claim_id}/resolve`, {
+      sessionToken: victim.sessionToken, answer: 'confirm'
+    });
+    assert.strictEqual(again.status, 409);
+  });
+
+  test('admin actions answer with the same rules and status codes', async () => {
+    const { gameCode, creatorToken, players } = await startActiveGame(harness.baseUrl, connect, ['Fay', 'Gus', 'Hal']);
+    const admin = connect();
+    const created = waitForEvent(admin, 'admin-moderator-created');
+    admin.emit('admin-create-moderator', { gameCode, creatorToken, name: 'Mo', permissions: ['reset-pin'] });
+    const { moderatorToken } = await created;
+
+    const killPath = playerId => `/api/games/${gameCode}/admin/players/${playerId}/kill`;
+    assert.strictEqual((await call('POST', killPath(players.Gus.playerId), { creatorToken: 'nope' })).status, 403);
+    assert.strictEqual((await call('POST', killPath(players.Gus.playerId), { moderatorToken })).status, 403);
+    assert.strictEqual((await call('POST', killPath('nobody'), { creatorToken })).status, 404);
+    assert.strictEqual((await call('POST', `/api/games/ZZZZZZ/admin/players/x/kill`, { creatorToken })).status, 404);
+
+    const eliminated = waitForEvent(players.Gus.client, 'player-eliminated');
+    const killed = await call('POST', killPath(players.Gus.playerId), { creatorToken });
+    assert.deepStrictEqual(killed, { status: 200, body: { playerId: players.Gus.playerId } });
+    await eliminated;
+
+    const twice = await call('POST', killPath(players.Gus.playerId), { creatorToken });
+    assert.deepStrictEqual(twice, { status: 409, body: { error: 'Player is not alive.', code: 'conflict' } });
+
+    const listed = await call('GET', `/api/games/${gameCode}/admin/players?creatorToken=${creatorToken}&showDetails=true`);
+    assert.strictEqual(listed.body.players.find(p => p.name === 'Gus').status, 'eliminated');
+    assert.ok(listed.body.players.find(p => p.name === 'Fay').task);
+
+    const audit = await call('GET', `/api/games/${gameCode}/admin/audit-log?creatorToken=${creatorToken}`);
+    assert.strictEqual(audit.body.entries[0].action, 'manual-kill');
+  });
+});
@@ -0,0 +1,131 @@
+// test/revert-kill.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { server, io } from '../server.js';
+import { useServer, waitForEvent, startActiveGame } from './setup.js';
+
+describe('Reverting an elimination', () => {
+  const harness = useServer(server, io);
+  const { connect } = harness;
+
+  // Have the creator eliminate the killer's target (the killer's assignment is updated in place);
+  // returns the admin socket and the kill row
+  async function manualKill(game, killer) {
+    const admin = connect();
+    const victim = Object.values(game.players).find(p => p.playerId === killer.target.id);
+    const eliminated = waitForEvent(victim.client, 'you-eliminated');
+    const killerUpdate = waitForEvent(killer.client, 'new-target');
+    admin.emit('admin-manual-kill', { gameCode: game.gameCode, creatorToken: game.creatorToken, playerId: victim.playerId });
+    await eliminated;
+    Object.assign(killer, await killerUpdate);
+
+    const list = waitForEvent(admin, 'admin-kills-list');
+    admin.emit('admin-get-kills', { gameCode: game.gameCode, creatorToken: game.creatorToken });
+    const { kills } = await list;
+    return { admin, victim, kill: kills.find(k => k.victim_id === victim.playerId) };
+  }
+
+  test('restores the victim and the killer\'s previous target and task', async () => {
+    const game = await startActiveGame(harness.baseUrl, connect, ['Ann', 'Ben', 'Cy'], { tasks: ['T1', 'T2', 'T3'] });
+    const killer = game.players.Ann;
+    const previous = { target: killer.target, task: killer.task };
+    const { admin, victim, kill } = await manualKill(game, killer);
+
+    const revived = waitForEvent(victim.client, 'your-assignment');
+    const killerUpdate = waitForEvent(killer.client, 'new-target');
+    const success = waitForEvent(admin, 'admin-revert-kill-success');
+    admin.emit('admin-revert-kill', { gameCode: game.gameCode, creatorToken: game.creatorToken, killId: kill.id });
+    await success;
+
+    assert.deepStrictEqual(await killerUpdate, previous);
+    assert.strictEqual((await revived).target.id, victim.target.id);
+
+    const summary = await (await fetch(`${harness.baseUrl}/api/game-summary?gameCode=${game.gameCode}`)).json();
+    assert.deepStrictEqual(summary.kill_history, []);
+    assert.ok(summary.kill_count.every(k => k.count === 0));
+    assert.strictEqual(summary.events.filter(e => e.type === 'kill_reverted').length, 1);
+
+    const again = waitForEvent(admin, 'error');
+    admin.emit('admin-revert-kill', { gameCode: game.gameCode, creatorToken: game.creatorToken, killId: kill.id });
+    assert.strictEqual((await again).message, 'Kill not found.');
+  });
+
+  test('reopens a game the kill had finished', async () => {
+    const game = await startActiveGame(harness.baseUrl, connect, ['Dee', 'Eli']);
+    const killer = game.players.Dee;
+    const finished = waitForEvent(killer.client, 'game-over');
+    const { admin, victim, kill } = await manualKill(game, killer);
+    await finished;
+
+    const reopened = waitForEvent(killer.client, 'game-state');
+    const revived = waitForEvent(victim.client, 'your-assignment');
+    admin.emit('admin-revert-kill', { gameCode: game.gameCode, creatorToken: game.creatorToken, killId: kill.id });
+    assert.strictEqual(await reopened, 'active');
+    assert.strictEqual((await revived).target.id, killer.playerId);
+
+    const res = await fetch(`${harness.baseUrl}/api/games/${game.gameCode}/settings`);
+    assert.strictEqual((await res.json()).status, 'active');
+  });
+
+  test('lets only the creator back into a finished game to manage it', async () => {
+    const game = await startActiveGame(harness.baseUrl, connect, ['Ike', 'Jay']);
+    const finished = waitForEvent(game.players.Ike.client, 'game-over');
+    await manualKill(game, game.players.Ike);
+    await finished;
+
+    const creator = connect({ auth: { gameCode: game.gameCode, creatorToken: game.creatorToken } });
+    let redirected = false;
+    creator.on('navigate-victory', () => { redirected = true; });
+    const state = waitForEvent(creator, 'game-state');
+    const roster = waitForEvent(creator, 'player-list-update');
+    creator.emit('join-game', game.gameCode);
+    assert.strictEqual(await state, 'finished');
+    await roster;
+    assert.strictEqual(redirected, false);
+
+    const visitor = connect();
+    const victory = waitForEvent(visitor, 'navigate-victory');
+    visitor.emit('join-game', game.gameCode);
+    assert.deepStrictEqual(await victory, { gameCode: game.gameCode });
+  });
+
+  test('is refused for anyone but the creator', async () => {
+    const game = await startActiveGame(harness.baseUrl, connect, ['Fox', 'Gil', 'Hal']);
+    const { admin, kill } = await manualKill(game, game.players.Fox);
+
+    const error = waitForEvent(admin, 'error');
+    admin.emit('admin-revert-kill', { gameCode: game.gameCode, creatorToken: 'not-the-creator', killId: kill.id });
+    assert.strictEqual((await error).message, 'Unauthorized.');
+  });
+
+  test('keeps the task a later kill handed the killer', async () => {
+    const game = await startActiveGame(harness.baseUrl, connect, ['Ivy', 'Jay', 'Kai', 'Lea'], { tasks: ['T1', 'T2', 'T3', 'T4'] });
+    const killer = game.players.Ivy;
+    const originalTask = killer.task;
+    const { admin, victim, kill } = await manualKill(game, killer);
+    await manualKill(game, killer);
+    const currentTask = killer.task;
+    assert.notStrictEqual(currentTask, originalTask);
+
+    const killerUpdate = waitForEvent(killer.client, 'new-target');
+    admin.emit('admin-revert-kill', { gameCode: game.gameCode, creatorToken: game.creatorToken, killId: kill.id });
+    const { target, task } = await killerUpdate;
+    assert.strictEqual(target.id, victim.playerId);
+    assert.strictEqual(task, currentTask);
+  });
+
+  test('leaves a game that did not end with this kill finished', async () => {
+    const game = await startActiveGame(harness.baseUrl, connect, ['Max', 'Ned', 'Oz']);
+    const { admin, kill } = await manualKill(game, game.players.Max);
+    const ended = waitForEvent(admin, 'admin-end-game-success');
+    admin.emit('admin-end-game', { gameCode: game.gameCode, creatorToken: game.creatorToken });
+    await ended;
+
+    const error = waitForEvent(admin, 'error');
+    admin.emit('admin-revert-kill', { gameCode: game.gameCode, creatorToken: game.creatorToken, killId: kill.id });
+    assert.strictEqual((await error).message, 'The game did not end with this kill, so it can no longer be reverted.');
+
+    const res = await fetch(`${harness.baseUrl}/api/games/${game.gameCode}/settings`);
+    assert.strictEqual((await res.json()).status, 'finished');
+  });
+});
@@ -0,0 +1,77 @@
+// test/roster.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { server, io, serializeRoster } from '../server.js';
+import { useServer, createGame, waitForEvent } from './setup.js';
+
+describe('Public roster projection', () => {
+  test('exposes only public fields and flags the viewer', () => {
+    const rows = [
+      { id: 'p1', name: 'Alice', status: 'alive', joined_at: '2024-01-01', session_token: 'secret', pin_code: 'hash', target_id: 'p2', task: 'Task' },
+      { id: 'p2', name: 'Bob', status: 'not-joined', joined_at: null, session_token: null }
+    ];
+
+    const roster = serializeRoster(rows, 'p2');
+
+    assert.deepStrictEqual(roster, [
+      { id: 'p1', name: 'Alice', status: 'alive', team: null, joined_at: '2024-01-01', online: false, last_seen_at: null, is_you: false },
+      { id: 'p2', name: 'Bob', status: 'not-joined', team: null, joined_at: null, online: false, last_seen_at: null, is_you: true }
+    ]);
+  });
+
+  test('flags nobody for an anonymous viewer', () => {
+    const roster = serializeRoster([{ id: 'p1', name: 'Alice', status: 'alive', joined_at: null }]);
+    assert.strictEqual(roster[0].is_you, false);
+  });
+});
+
+describe('player-list-update broadcasts', () => {
+  const harness = useServer(server, io);
+  const { connect } = harness;
+
+  test('never leaks session tokens and computes is_you per socket', async () => {
+    const { gameCode } = await createGame(harness.baseUrl, { playerNames: 'Alice\nBob', tasks: 'Task1\nTask2' });
+
+    const alice = connect();
+    const spectator = connect();
+
+    alice.emit('join-game', gameCode);
+    await waitForEvent(alice, 'player-list-update');
+    spectator.emit('join-game', gameCode);
+    await waitForEvent(spectator, 'player-list-update');
+
+    const spectatorUpdate = waitForEvent(spectator, 'player-list-update');
+    const aliceUpdate = waitForEvent(alice, 'player-list-update');
+    const aliceConfirmed = waitForEvent(alice, 'identity-confirmed');
+    alice.emit('claim-identity', { gameCode, playerName: 'Alice', pin: '1234' });
+    const { sessionToken } = await aliceConfirmed;
+    const aliceRoster = await aliceUpdate;
+    const spectatorRoster = await spectatorUpdate;
+
+    for (const roster of [aliceRoster, spectatorRoster]) {
+      assert.ok(roster.every(p => !('session_token' in p)));
+      assert.ok(!JSON.stringify(roster).includes(sessionToken));
+    }
+    assert.strictEqual(aliceRoster.find(p => p.name === 'Alice').is_you, true);
+    assert.ok(spectatorRoster.every(p => p.is_you === false));
+  });
+
+  test('join-game with a stored session re-binds a reloaded page', async () => {
+    const { gameCode } = await createGame(harness.baseUrl, { playerNames: 'Carol\nDave', tasks: 'Task1' });
+
+    const first = connect();
+    first.emit('join-game', gameCode);
+    await waitForEvent(first, 'player-list-update');
+    const confirmed = waitForEvent(first, 'identity-confirmed');
+    first.emit('claim-identity', { gameCode, playerName: 'Carol', pin: '1234' });
+    const { sessionToken } = await confirmed;
+    first.close();
+
+    const reloaded = connect();
+    reloaded.emit('join-game', gameCode, sessionToken);
+    const roster = await waitForEvent(reloaded, 'player-list-update');
+
+    assert.strictEqual(roster.find(p => p.name === 'Carol').is_you, true);
+    assert.strictEqual(roster.find(p => p.name === 'Dave').is_you, false);
+  });
+});
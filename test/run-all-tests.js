@@ -24,6 +24,31 @@ const testFiles = [
   'endgame-socket.test.js',
   'game-summary-sorting.test.js',
   'game-summary.api.test',
+  'roster.test.js',
+  'kill-claims.test.js',
+  'claim-timeout.test.js',
+  'disputes.test.js',
+  'game-settings.test.js',
+  'team-mode.test.js',
+  'forbidden-pairs.test.js',
+  'task-distribution.test.js',
+  'reshuffle.test.js',
+  'add-player.test.js',
+  'revert-kill.test.js',
+  'pause-game.test.js',
+  'schedule.test.js',
+  'moderators.test.js',
+  'creator-rights.test.js',
+  'audit-log.test.js',
+  'timeline.test.js',
+  'rest-api.test.js',
+  'request-validation.test.js',
+  'webhooks.test.js',
+  'pin-security.test.js',
+  'rate-limit.test.js',
+  'socket-auth.test.js',
+  'multi-device.test.js',
+  'presence.test.js',
 ];
 
 console.log('🧪 Running Killer Game Sprint 1 Test Suite\n');
@@ -80,7 +105,9 @@ function runSingleTest(testFile) {
     const testPath = path.join(__dirname, testFile);
     const child = spawn('node', ['--test', testPath], {
       stdio: 'pipe',
-      cwd: path.dirname(__dirname)
+      cwd: path.dirname(__dirname),
+      // Keep the suites off the developer's database and port
+      env: { ...process.env, DATABASE_PATH: ':memory:', PORT: '0' }
     });
 
     let stdout = '';
@@ -0,0 +1,145 @@
+// test/schedule.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { server, io, validateGameSchedule, runScheduledStart, runDeadline } from '../server.js';
+import { useServer, createGame, waitForEvent, startActiveGame } from './setup.js';
+
+const inHours = hours => new Date(Date.now() + hours * 3600 * 1000).toISOString();
+
+describe('Schedule validation', () => {
+  test('accepts future times and converts them to DB timestamps', () => {
+    const startsAt = inHours(1);
+    const { schedule, error } = validateGameSchedule({ startsAt, endsAt: inHours(5) });
+    assert.strictEqual(error, undefined);
+    assert.strictEqual(schedule.starts_at, startsAt.slice(0, 19).replace('T', ' '));
+  });
+
+  test('rejects past, invalid and out-of-order times', () => {
+    assert.ok(validateGameSchedule({ startsAt: inHours(-1) }).error);
+    assert.ok(validateGameSchedule({ endsAt: 'tomorrow-ish' }).error);
+    assert.ok(validateGameSchedule({ startsAt: inHours(3), endsAt: inHours(2) }).error);
+  });
+
+  test('an empty value clears a time, a missing one keeps it', () => {
+    const base = { starts_at: '2999-01-01 10:00:00', ends_at: '2999-01-02 10:00:00' };
+    const { schedule } = validateGameSchedule({ startsAt: '' }, base);
+    assert.deepStrictEqual(schedule, { starts_at: null, ends_at: '2999-01-02 10:00:00' });
+  });
+});
+
+describe('Scheduled starts and deadlines', () => {
+  const harness = useServer(server, io);
+  const { connect } = harness;
+
+  async function getSettings(gameCode) {
+    return (await fetch(`${harness.baseUrl}/api/games/${gameCode}/settings`)).json();
+  }
+
+  async function getSummary(gameCode) {
+    return (await fetch(`${harness.baseUrl}/api/game-summary?gameCode=${gameCode}`)).json();
+  }
+
+  function putSchedule(gameCode, body) {
+    return fetch(`${harness.baseUrl}/api/games/${gameCode}/schedule`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+  }
+
+  // Join the lobby and claim the given names on one socket each
+  async function claimNames(gameCode, names) {
+    const players = {};
+    for (const name of names) {
+      const client = connect();
+      const joined = waitForEvent(client, 'player-list-update');
+      client.emit('join-game', gameCode);
+      await joined;
+      const confirmed = waitForEvent(client, 'identity-confirmed');
+      client.emit('claim-identity', { gameCode, playerName: name, pin: '1234' });
+      players[name] = { client, ...(await confirmed) };
+    }
+    return players;
+  }
+
+  test('the schedule chosen at creation is returned with the settings', async () => {
+    const startsAt = inHours(2);
+    const { gameCode } = await createGame(harness.baseUrl, { playerNames: 'Ann\nBen', tasks: 'Task1', startsAt });
+    const { schedule } = await getSettings(gameCode);
+    assert.strictEqual(schedule.startsAt, startsAt.replace(/\.\d+Z$/, '.000Z'));
+    assert.strictEqual(schedule.endsAt, null);
+  });
+
+  test('the scheduled start deals the chain to players who claimed a name', async () => {
+    const { gameCode } = await createGame(harness.baseUrl, {
+      playerNames: 'Cy\nDee\nEli', tasks: 'Task1\nTask2', startsAt: inHours(1)
+    });
+    const players = await claimNames(gameCode, ['Cy', 'Dee']);
+
+    const assignments = Object.values(players).map(p => waitForEvent(p.client, 'your-assignment'));
+    runScheduledStart(gameCode);
+    const [cy, dee] = await Promise.all(assignments);
+    assert.strictEqual(cy.target.name, 'Dee');
+    assert.strictEqual(dee.target.name, 'Cy');
+
+    assert.strictEqual((await getSettings(gameCode)).status, 'active');
+    const types = (await getSummary(gameCode)).events.map(e => e.type);
+    assert.deepStrictEqual(types.filter(t => t === 'game_started' || t === 'scheduled_start'), ['game_started', 'scheduled_start']);
+  });
+
+  test('a scheduled start with too few players is dropped and announced', async () => {
+    const { gameCode } = await createGame(harness.baseUrl, {
+      playerNames: 'Fay\nGus\nHal', tasks: 'Task1', startsAt: inHours(1), minPlayers: 3
+    });
+    const { Fay } = await claimNames(gameCode, ['Fay']);
+
+    const failed = waitForEvent(Fay.client, 'scheduled-start-failed');
+    runScheduledStart(gameCode);
+    assert.strictEqual((await failed).message, 'Need at least 3 players to start.');
+
+    const { status, schedule } = await getSettings(gameCode);
+    assert.strictEqual(status, 'lobby');
+    assert.strictEqual(schedule.startsAt, null);
+  });
+
+  test('the deadline can hand the win to the surviving players with the most kills', async () => {
+    const game = await startActiveGame(harness.baseUrl, connect, ['Ida', 'Jon', 'Kim'], { deadlineTiebreak: 'most-kills' });
+    const killer = game.players.Ida;
+
+    const admin = connect();
+    const killed = waitForEvent(admin, 'admin-manual-kill-success');
+    admin.emit('admin-manual-kill', { gameCode: game.gameCode, creatorToken: game.creatorToken, playerId: killer.target.id });
+    await killed;
+
+    const over = waitForEvent(killer.client, 'game-over');
+    runDeadline(game.gameCode);
+    assert.deepStrictEqual(await over, { winner_id: killer.playerId, winner_name: 'Ida', winner_team: null });
+
+    const summary = await getSummary(game.gameCode);
+    assert.strictEqual(summary.winner_name, 'Ida');
+    assert.strictEqual((await getSettings(game.gameCode)).status, 'finished');
+  });
+
+  test('by default everyone still alive shares the win', async () => {
+    const game = await startActiveGame(harness.baseUrl, connect, ['Lou', 'Max', 'Ned']);
+
+    const over = waitForEvent(game.players.Lou.client, 'game-over');
+    runDeadline(game.gameCode);
+    const { winner_id, winner_name } = await over;
+    assert.strictEqual(winner_id, null);
+    assert.strictEqual(winner_name, 'Lou, Max, Ned');
+    assert.strictEqual((await getSummary(game.gameCode)).winner_name, 'Lou, Max, Ned');
+  });
+
+  test('the creator can move the deadline of a running game but not its start', async () => {
+    const game = await startActiveGame(harness.baseUrl, connect, ['Oz', 'Pat']);
+
+    assert.strictEqual((await putSchedule(game.gameCode, { creatorToken: 'nope', endsAt: inHours(1) })).status, 403);
+    assert.strictEqual((await putSchedule(game.gameCode, { creatorToken: game.creatorToken, startsAt: inHours(1) })).status, 409);
+
+    const updated = waitForEvent(game.players.Oz.client, 'game-schedule-updated');
+    const res = await putSchedule(game.gameCode, { creatorToken: game.creatorToken, endsAt: inHours(1) });
+    assert.strictEqual(res.status, 200);
+    assert.ok((await updated).endsAt);
+  });
+});
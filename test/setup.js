@@ -1,5 +1,6 @@
-import { beforeEach, afterEach } from 'node:test';
+import { beforeEach, afterEach, before, after } from 'node:test';
 import Database from 'better-sqlite3';
+import { io as ioClient } from 'socket.io-client';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -199,3 +200,96 @@ export function createMockIO() {
     hasEmittedToRoom: (room, event) => !!(roomEmissions[room] && roomEmissions[room][event])
   };
 }
+
+// Real server utilities (for tests that import server.js and talk to it over HTTP / Socket.IO)
+export function listeningUrl(server) {
+  return new Promise(resolve => {
+    const done = () => resolve(`http://localhost:${server.address().port}`);
+    if (server.listening) done(); else server.once('listening', done);
+  });
+}
+
+// Hook a suite up to the imported server: `harness.baseUrl` is set once it listens,
+// `harness.connect(options)` opens a Socket.IO client (options go to the client),
+// and after the suite every client and the Socket.IO server are closed.
+export function useServer(server, io) {
+  const harness = {
+    baseUrl: null,
+    connect(options = {}) {
+      const client = ioClient(harness.baseUrl, { transports: ['websocket'], forceNew: true, ...options });
+      clients.push(client);
+      return client;
+    }
+  };
+  const clients = [];
+
+  before(async () => { harness.baseUrl = await listeningUrl(server); });
+
+  after(() => {
+    clients.forEach(c => c.close());
+    io.close();
+  });
+
+  return harness;
+}
+
+export async function createGame(baseUrl, body) {
+  const res = await fetch(`${baseUrl}/api/create-game`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return res.json();
+}
+
+export function waitForEvent(socket, event, timeout = 2000) {
+  return new Promise((resolve, reject) => {
+    const onEvent = (data) => {
+      clearTimeout(timer);
+      resolve(data);
+    };
+    const timer = setTimeout(() => {
+      socket.off(event, onEvent);
+      reject(new Error(`Timed out waiting for "${event}"`));
+    }, timeout);
+    socket.once(event, onEvent);
+  });
+}
+
+// Create a game, claim every name on its own socket and start it.
+// `lateNames` are put on the roster but left unclaimed, `teams` maps names to
+// teams, `beforeStart({ gameCode, creatorToken, players })` runs in the lobby;
+// other `options` (game settings) are sent to /api/create-game as-is.
+// Each entry of `players` is { client, sessionToken, playerId, target, task }.
+export async function startActiveGame(baseUrl, connect, names, options = {}) {
+  const { tasks = ['Task1', 'Task2'], lateNames = [], teams = {}, beforeStart, ...settings } = options;
+  const rosterLine = name => (teams[name] ? `${name} | ${teams[name]}` : name);
+  const { gameCode, creatorToken } = await createGame(baseUrl, {
+    playerNames: [...names, ...lateNames].map(rosterLine).join('\n'),
+    tasks: tasks.join('\n'),
+    ...settings
+  });
+
+  const players = {};
+  for (const name of names) {
+    const client = connect();
+    const joined = waitForEvent(client, 'player-list-update');
+    client.emit('join-game', gameCode);
+    await joined;
+
+    const confirmed = waitForEvent(client, 'identity-confirmed');
+    client.emit('claim-identity', { gameCode, playerName: name, pin: '1234' });
+    const { sessionToken, playerId } = await confirmed;
+    players[name] = { client, sessionToken, playerId };
+  }
+
+  if (beforeStart) await beforeStart({ gameCode, creatorToken, players });
+
+  const assigned = Object.values(players).map(p =>
+    waitForEvent(p.client, 'your-assignment').then(assignment => Object.assign(p, assignment))
+  );
+  players[names[0]].client.emit('start-game', { gameCode, creatorToken });
+  await Promise.all(assigned);
+
+  return { gameCode, creatorToken, players };
+}
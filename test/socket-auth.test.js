@@ -0,0 +1,84 @@
+// test/socket-auth.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { server, io } from '../server.js';
+import { useServer, createGame, waitForEvent, startActiveGame } from './setup.js';
+
+describe('Socket handshake auth', () => {
+  const harness = useServer(server, io);
+  const connect = auth => harness.connect({ auth });
+
+  test('a socket acts for the player of its handshake, whatever the payload says', async () => {
+    const { gameCode, players } = await startActiveGame(harness.baseUrl, () => connect(), ['Ann', 'Ben', 'Cy']);
+    const ann = players.Ann;
+    const victim = Object.values(players).find(p => p.playerId === ann.target.id);
+    const bystander = Object.values(players).find(p => p !== ann && p !== victim);
+
+    // A reloaded page joins without repeating its session
+    const reloaded = connect({ gameCode, sessionToken: ann.sessionToken });
+    const assignment = waitForEvent(reloaded, 'your-assignment');
+    reloaded.emit('join-game', gameCode);
+    assert.strictEqual((await assignment).target.id, victim.playerId);
+
+    const challenge = waitForEvent(victim.client, 'kill-challenge');
+    const pending = waitForEvent(reloaded, 'kill-claim-pending');
+    reloaded.emit('claim-kill', { gameCode, sessionToken: bystander.sessionToken, session_token: bystander.sessionToken });
+    assert.strictEqual((await challenge).claim_id, (await pending).claim_id);
+  });
+
+  test('creator tokens are checked once, and unknown tokens are reported on connecting', async () => {
+    const { gameCode, creatorToken } = await createGame(harness.baseUrl, { playerNames: 'Dee\nEli', tasks: 'Task1' });
+
+    const admin = connect({ gameCode, creatorToken });
+    assert.deepStrictEqual(await waitForEvent(admin, 'creator-confirmed'), { gameCode, hasRecovery: false });
+    for (const payload of [{ gameCode }, { gameCode, creatorToken: 'nope' }]) {
+      const listed = waitForEvent(admin, 'admin-players-list');
+      admin.emit('admin-get-players', payload);
+      assert.strictEqual((await listed).players.length, 2);
+    }
+
+    // Older clients without a handshake identity may still put the token in the payload
+    const legacy = connect();
+    const listed = waitForEvent(legacy, 'admin-players-list');
+    legacy.emit('admin-get-players', { gameCode, creatorToken });
+    assert.strictEqual((await listed).players.length, 2);
+
+    const stale = connect({ gameCode, creatorToken: 'stale', sessionToken: 'stale' });
+    const [creatorDropped] = await Promise.all([
+      waitForEvent(stale, 'creator-invalidated'), waitForEvent(stale, 'session-invalidated')
+    ]);
+    assert.deepStrictEqual(creatorDropped, { gameCode });
+
+    // A page of another game cannot use this game's token
+    const other = await createGame(harness.baseUrl, { playerNames: 'Fay\nGus', tasks: 'Task1' });
+    const elsewhere = connect({ gameCode: other.gameCode, creatorToken });
+    await waitForEvent(elsewhere, 'creator-invalidated');
+    const refused = waitForEvent(elsewhere, 'error');
+    elsewhere.emit('admin-get-players', { gameCode: other.gameCode });
+    assert.strictEqual((await refused).code, 'invalid_request');
+
+    const malformed = connect({ gameCode: 'bad!' });
+    assert.strictEqual((await waitForEvent(malformed, 'connect_error')).message, 'Invalid game code.');
+  });
+
+  test('moderators presenting their token in the handshake are told what they may do', async () => {
+    const { gameCode, creatorToken } = await createGame(harness.baseUrl, { playerNames: 'Hal\nIda', tasks: 'Task1' });
+    const admin = connect({ gameCode, creatorToken });
+    const created = waitForEvent(admin, 'admin-moderator-created');
+    admin.emit('admin-create-moderator', { gameCode, name: 'Mo', permissions: ['reset-pin'] });
+    const { moderatorToken } = await created;
+
+    const moderator = connect({ gameCode, moderatorToken });
+    const info = await waitForEvent(moderator, 'moderator-info');
+    assert.strictEqual(info.name, 'Mo');
+    assert.deepStrictEqual(info.permissions, ['reset-pin']);
+
+    const listed = waitForEvent(moderator, 'admin-players-list');
+    moderator.emit('admin-get-players', { gameCode });
+    assert.strictEqual((await listed).players.length, 2);
+
+    const refused = waitForEvent(moderator, 'error');
+    moderator.emit('admin-pause-game', { gameCode });
+    assert.strictEqual((await refused).code, 'invalid_request');
+  });
+});
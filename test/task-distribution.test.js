@@ -0,0 +1,51 @@
+// test/task-distribution.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { server, io, assignCycleTasks } from '../server.js';
+import { useServer, startActiveGame } from './setup.js';
+
+function usage(tasks) {
+  const counts = {};
+  tasks.forEach(t => { counts[t] = (counts[t] || 0) + 1; });
+  return Object.values(counts);
+}
+
+describe('Balanced task assignment', () => {
+  test('spreads a small pool evenly and never repeats a task between neighbours', () => {
+    for (const [players, pool] of [[7, ['a', 'b', 'c']], [10, ['a', 'b', 'c', 'd']], [6, ['a', 'b']], [9, ['a', 'b', 'c']]]) {
+      for (let run = 0; run < 50; run++) {
+        const tasks = assignCycleTasks(players, pool);
+        const counts = usage(tasks);
+        assert.strictEqual(counts.length, pool.length, 'every task is used');
+        assert.ok(Math.max(...counts) - Math.min(...counts) <= 1, `unbalanced: ${tasks}`);
+        tasks.forEach((task, i) => {
+          assert.notStrictEqual(task, tasks[(i + 1) % tasks.length], `neighbours share a task: ${tasks}`);
+        });
+      }
+    }
+  });
+
+  test('hands out distinct tasks when the pool is big enough', () => {
+    const tasks = assignCycleTasks(4, ['a', 'b', 'c', 'd', 'e', 'f']);
+    assert.strictEqual(new Set(tasks).size, 4);
+  });
+
+  test('reuses the only task of a single-task pool', () => {
+    assert.deepStrictEqual(assignCycleTasks(3, ['a']), ['a', 'a', 'a']);
+  });
+});
+
+describe('Task assignment at game start', () => {
+  const harness = useServer(server, io);
+  const { connect } = harness;
+
+  test('a hunter never shares a task with their target', async () => {
+    const names = ['Ann', 'Ben', 'Cy', 'Dot', 'Eve', 'Fay'];
+    const { players } = await startActiveGame(harness.baseUrl, connect, names, { tasks: ['Wink', 'Wave', 'Clap'] });
+
+    for (const player of Object.values(players)) {
+      assert.notStrictEqual(player.task, players[player.target.name].task);
+    }
+    assert.deepStrictEqual(usage(Object.values(players).map(p => p.task)), [2, 2, 2]);
+  });
+});
@@ -0,0 +1,77 @@
+// test/team-mode.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { server, io, buildTargetCycle } from '../server.js';
+import { useServer, waitForEvent, startActiveGame } from './setup.js';
+
+describe('Team target cycle', () => {
+  function players(teamSizes) {
+    return Object.entries(teamSizes).flatMap(([team, size]) =>
+      Array.from({ length: size }, (_, i) => ({ id: `${team}-${i}`, team: team === 'solo' ? null : team }))
+    );
+  }
+
+  test('never puts teammates next to each other', () => {
+    for (const sizes of [{ A: 2, B: 2 }, { A: 3, B: 2, C: 1 }, { A: 3, B: 3, C: 3 }, { A: 4, solo: 4 }, { A: 2, B: 1, C: 1, D: 1 }]) {
+      for (let run = 0; run < 20; run++) {
+        const { cycle } = buildTargetCycle(players(sizes));
+        assert.strictEqual(cycle.length, Object.values(sizes).reduce((a, b) => a + b, 0));
+        cycle.forEach((player, i) => {
+          const target = cycle[(i + 1) % cycle.length];
+          assert.ok(!player.team || player.team !== target.team, `${player.id} targets teammate ${target.id}`);
+        });
+      }
+    }
+  });
+
+  test('works for games without teams', () => {
+    const { cycle } = buildTargetCycle(players({ solo: 5 }));
+    assert.strictEqual(new Set(cycle.map(p => p.id)).size, 5);
+  });
+
+  test('refuses a team holding more than half of the players', () => {
+    assert.match(buildTargetCycle(players({ A: 3, B: 2 })).error, /Teams are too uneven/);
+    assert.match(buildTargetCycle(players({ A: 2 })).error, /Teams are too uneven/);
+  });
+});
+
+describe('Team games', () => {
+  const harness = useServer(server, io);
+  const { connect } = harness;
+
+  test('create-game rejects a roster that only partly has teams', async () => {
+    const res = await fetch(`${harness.baseUrl}/api/create-game`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ playerNames: 'Ann | Red\nBen', tasks: 'Task1' })
+    });
+    assert.strictEqual(res.status, 400);
+  });
+
+  test('targets are always opponents and the last team standing wins', async () => {
+    const teams = { Ann: 'Red', Bea: 'Red', Cal: 'Blue', Dot: 'Blue' };
+    const { gameCode, creatorToken, players } = await startActiveGame(harness.baseUrl, connect, Object.keys(teams), { teams });
+
+    for (const [name, player] of Object.entries(players)) {
+      assert.notStrictEqual(teams[player.target.name], teams[name], `${name} targets a teammate`);
+    }
+
+    // The creator eliminates both Blue players; each time their hunter takes over
+    const admin = connect();
+    const gameOver = waitForEvent(admin, 'game-over');
+    admin.emit('join-game', gameCode);
+    await waitForEvent(admin, 'player-list-update');
+    for (const name of ['Cal', 'Dot']) {
+      const done = waitForEvent(admin, 'admin-manual-kill-success');
+      admin.emit('admin-manual-kill', { gameCode, creatorToken, playerId: players[name].playerId });
+      await done;
+    }
+
+    const { winner_team } = await gameOver;
+    assert.strictEqual(winner_team, 'Red');
+
+    const summary = await (await fetch(`${harness.baseUrl}/api/game-summary?gameCode=${gameCode}`)).json();
+    assert.strictEqual(summary.winning_team, 'Red');
+    assert.deepStrictEqual(summary.team_kill_count, [{ team: 'Red', count: 2 }, { team: 'Blue', count: 0 }]);
+  });
+});
@@ -0,0 +1,115 @@
+// test/timeline.test.js
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { server, io } from '../server.js';
+import { useServer, waitForEvent, startActiveGame } from './setup.js';
+
+describe('Game timeline', () => {
+  const harness = useServer(server, io);
+  const { connect } = harness;
+
+  async function getTimeline(gameCode, query = {}) {
+    const params = new URLSearchParams(query);
+    const res = await fetch(`${harness.baseUrl}/api/games/${gameCode}/timeline?${params}`);
+    return { status: res.status, body: await res.json() };
+  }
+
+  // The killer claims their target, who answers `answer`; resolves once the killer heard back
+  async function claim(gameCode, killer, victim, answer) {
+    const challenge = waitForEvent(victim.client, 'kill-challenge');
+    killer.client.emit('claim-kill', { gameCode, sessionToken: killer.sessionToken });
+    const { claim_id } = await challenge;
+    const outcome = waitForEvent(killer.client, answer === 'deny' ? 'kill-denied' : 'new-target');
+    victim.client.emit('resolve-kill', { sessionToken: victim.sessionToken, claim_id, answer });
+    await outcome;
+  }
+
+  test('records the life of a game in order', async () => {
+    const { gameCode, creatorToken, players } = await startActiveGame(harness.baseUrl, connect, ['Ann', 'Ben', 'Cy']);
+    const killer = players.Ann;
+    const victim = Object.values(players).find(p => p.playerId === killer.target.id);
+    await claim(gameCode, killer, victim, 'deny');
+    await claim(gameCode, killer, victim, 'confirm');
+
+    const { status, body } = await getTimeline(gameCode, { creatorToken });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.role, 'creator');
+    assert.deepStrictEqual(body.events.map(e => e.type), [
+      'game_created',
+      'player_claimed', 'player_claimed', 'player_claimed',
+      'game_started', 'admin_action',
+      'claim_made', 'claim_denied',
+      'claim_made', 'kill_confirmed'
+    ]);
+    const denied = body.events.find(e => e.type === 'claim_denied');
+    assert.deepStrictEqual(
+      { killer_id: denied.data.killer_id, victim_id: denied.data.victim_id, by: denied.data.by },
+      { killer_id: killer.playerId, victim_id: victim.playerId, by: 'victim' }
+    );
+  });
+
+  test('players do not see live targets until the game is over', async () => {
+    const { gameCode, creatorToken, players } = await startActiveGame(harness.baseUrl, connect, ['Dee', 'Eli', 'Fay']);
+    const killer = players.Dee;
+    const victim = Object.values(players).find(p => p.playerId === killer.target.id);
+    await claim(gameCode, killer, victim, 'deny');
+
+    const asPlayer = await getTimeline(gameCode, { sessionToken: players.Eli.sessionToken });
+    assert.strictEqual(asPlayer.body.role, 'player');
+    const hidden = asPlayer.body.events.find(e => e.type === 'claim_made');
+    assert.strictEqual(hidden.data.killer_id, killer.playerId);
+    assert.strictEqual(hidden.data.victim_id, undefined);
+
+    const anonymous = await getTimeline(gameCode);
+    assert.strictEqual(anonymous.body.role, 'public');
+    assert.strictEqual(anonymous.body.events.find(e => e.type === 'claim_made').data.victim_id, undefined);
+
+    const admin = connect();
+    const ended = waitForEvent(admin, 'admin-end-game-success');
+    admin.emit('admin-end-game', { gameCode, creatorToken });
+    await ended;
+
+    const afterGame = await getTimeline(gameCode, { sessionToken: players.Eli.sessionToken });
+    assert.strictEqual(afterGame.body.events.find(e => e.type === 'claim_made').data.victim_id, victim.playerId);
+    assert.strictEqual(afterGame.body.events.at(-1).type, 'game_finished');
+  });
+
+  test('ending a game that is not running is refused and logs nothing', async () => {
+    const { gameCode, creatorToken } = await startActiveGame(harness.baseUrl, connect, ['Abe', 'Bea']);
+    const admin = connect();
+    const ended = waitForEvent(admin, 'admin-end-game-success');
+    admin.emit('admin-end-game', { gameCode, creatorToken });
+    await ended;
+
+    const refused = waitForEvent(admin, 'error');
+    admin.emit('admin-end-game', { gameCode, creatorToken });
+    assert.strictEqual((await refused).message, 'Game not active.');
+
+    const { events } = (await getTimeline(gameCode, { creatorToken })).body;
+    assert.strictEqual(events.filter(e => e.type === 'game_finished').length, 1);
+  });
+
+  test('a player leaving records the reassignment for the creator only', async () => {
+    const { gameCode, creatorToken, players } = await startActiveGame(harness.baseUrl, connect, ['Gus', 'Hal', 'Ida']);
+    const leaver = players.Hal;
+    const admin = connect();
+    const left = waitForEvent(admin, 'admin-player-leave-success');
+    admin.emit('admin-player-leave', { gameCode, creatorToken, playerId: leaver.playerId });
+    await left;
+
+    const full = (await getTimeline(gameCode, { creatorToken })).body.events.find(e => e.type === 'player_left');
+    assert.strictEqual(full.data.player_id, leaver.playerId);
+    assert.strictEqual(full.data.new_target_id, leaver.target.id);
+    assert.ok(full.data.hunter_id);
+
+    const redacted = (await getTimeline(gameCode)).body.events.find(e => e.type === 'player_left');
+    assert.deepStrictEqual(redacted.data, { player_id: leaver.playerId });
+  });
+
+  test('a wrong token is refused', async () => {
+    const { gameCode } = await startActiveGame(harness.baseUrl, connect, ['Jon', 'Kim']);
+    assert.strictEqual((await getTimeline(gameCode, { creatorToken: 'nope' })).status, 403);
+    assert.strictEqual((await getTimeline(gameCode, { sessionToken: 'nope' })).status, 403);
+    assert.strictEqual((await getTimeline('ZZZZZZ')).status, 404);
+  });
+});
@@ -96,4 +96,49 @@ describe('Victory Page', () => {
     // Expect exact order as provided by server
     assert.deepStrictEqual(namesInOrder, ['Zoe', 'Alice', 'Bob', 'Charlie']);
   });
+
+  test('shows the winning team and per-team kill totals', async () => {
+    const payload = {
+      winner_name: 'Alice, Dan',
+      winning_team: 'Sales',
+      current_player_name: null,
+      kill_history: [],
+      kill_count: [],
+      team_kill_count: [
+        { team: 'Sales', count: 3 },
+        { team: 'Legal', count: 1 }
+      ]
+    };
+
+    loadVictoryDom(payload);
+    await new Promise(r => setTimeout(r, 50));
+
+    assert.strictEqual(document.getElementById('winnerName').textContent, 'Winning team: Sales (Alice, Dan)');
+    assert.strictEqual(document.getElementById('teamKills').style.display, 'block');
+    const teamRows = Array.from(document.querySelectorAll('#teamKillCountTable tr')).map(tr => tr.textContent);
+    assert.deepStrictEqual(teamRows, ['Sales3', 'Legal1']);
+  });
+
+  test('renders team names as text, not markup', async () => {
+    loadVictoryDom({
+      winner_name: 'Alice',
+      winning_team: '<b>Sales</b>',
+      current_player_name: null,
+      kill_history: [],
+      kill_count: [],
+      team_kill_count: [{ team: '<img src=x onerror=alert(1)>', count: 2 }]
+    });
+    await new Promise(r => setTimeout(r, 50));
+
+    const cell = document.querySelector('#teamKillCountTable td');
+    assert.strictEqual(cell.textContent, '<img src=x onerror=alert(1)>');
+    assert.strictEqual(cell.querySelector('img'), null);
+  });
+
+  test('hides team totals for solo games', async () => {
+    loadVictoryDom({ winner_name: 'Alice', current_player_name: null, kill_history: [], kill_count: [], team_kill_count: [] });
+    await new Promise(r => setTimeout(r, 50));
+
+    assert.strictEqual(document.getElementById('teamKills').style.display, 'none');
+  });
 });
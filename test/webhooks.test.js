@@ -0,0 +1,178 @@
+// test/webhooks.test.js
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import dns from 'dns';
+import { createServer } from 'http';
+import { useServer, waitForEvent, startActiveGame } from './setup.js';
+
+// The local stand-in below listens on a loopback address, which webhooks may only reach
+// when allowed; the allowlist is read when the server module loads
+process.env.WEBHOOK_ALLOWED_HOSTS = 'localhost';
+const { server, io, attemptWebhookDelivery } = await import('../server.js');
+
+describe('Webhooks', () => {
+  const harness = useServer(server, io);
+  const { connect } = harness;
+  let hookUrl;
+
+  // Local stand-in for the receiving service: answers with the queued statuses, then 200
+  const hook = createServer((req, res) => {
+    received += 1;
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      res.statusCode = statuses.shift() || 200;
+      res.end();
+      const waiter = waiters.shift();
+      if (waiter) waiter({ headers: req.headers, body, json: JSON.parse(body) });
+    });
+  });
+  let received = 0;
+  const statuses = [];
+  const waiters = [];
+  const nextDelivery = () => new Promise(resolve => waiters.push(resolve));
+
+  async function call(method, path, body) {
+    const res = await fetch(`${harness.baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  before(async () => {
+    await new Promise(resolve => hook.listen(0, resolve));
+    hookUrl = `http://localhost:${hook.address().port}/hook`;
+  });
+
+  after(() => {
+    hook.closeAllConnections();
+    hook.close();
+  });
+
+  test('game events are posted signed, with names instead of targets', async () => {
+    let webhookId;
+    const started = nextDelivery();
+    const { gameCode, creatorToken, players } = await startActiveGame(harness.baseUrl, connect, ['Ann', 'Ben', 'Cy'], {
+      beforeStart: async ({ gameCode, creatorToken }) => {
+        const bad = await call('POST', `/api/games/${gameCode}/admin/webhooks`, { creatorToken, url: 'ftp://x' });
+        assert.strictEqual(bad.body.field, 'url');
+        const added = await call('POST', `/api/games/${gameCode}/admin/webhooks`, { creatorToken, url: hookUrl, secret: 's3cret' });
+        assert.deepStrictEqual(Object.keys(added.body.webhooks[0]), ['id', 'url', 'has_secret', 'created_at']);
+        webhookId = added.body.webhooks[0].id;
+      }
+    });
+
+    const first = await started;
+    assert.strictEqual(first.headers['x-webhook-event'], 'game_started');
+    const signature = crypto.createHmac('sha256', 's3cret').update(first.body).digest('hex');
+    assert.strictEqual(first.headers['x-webhook-signature'], `sha256=${signature}`);
+    assert.strictEqual(first.json.game_code, gameCode);
+    assert.deepStrictEqual(first.json.data, { players: 3 });
+
+    const killed = nextDelivery();
+    await call('POST', `/api/games/${gameCode}/admin/players/${players.Ben.playerId}/kill`, { creatorToken });
+    const kill = (await killed).json;
+    assert.strictEqual(kill.event, 'kill_confirmed');
+    assert.deepStrictEqual(kill.data.victim, { id: players.Ben.playerId, name: 'Ben' });
+    assert.strictEqual(kill.data.resolution, 'admin-ruled');
+
+    // Cy leaving ends the game; both deliveries are sent at once, so they may arrive in either order
+    const lastTwo = Promise.all([nextDelivery(), nextDelivery()]);
+    await call('POST', `/api/games/${gameCode}/admin/players/${players.Cy.playerId}/leave`, { creatorToken });
+    const byEvent = Object.fromEntries((await lastTwo).map(({ json }) => [json.event, json.data]));
+    assert.deepStrictEqual(byEvent.player_left, { player: { id: players.Cy.playerId, name: 'Cy' } });
+    assert.deepStrictEqual(byEvent.game_finished.winners, [{ id: players.Ann.playerId, name: 'Ann' }]);
+
+    const log = await call('GET', `/api/games/${gameCode}/admin/webhooks/${webhookId}/deliveries?creatorToken=${creatorToken}`);
+    assert.deepStrictEqual(log.body.deliveries.map(d => d.event),
+      ['game_finished', 'player_left', 'kill_confirmed', 'game_started']);
+  });
+
+  test('failed deliveries are retried and logged per attempt', async () => {
+    const { gameCode, creatorToken } = await startActiveGame(harness.baseUrl, connect, ['Dee', 'Eli']);
+    const admin = connect();
+    const listed = waitForEvent(admin, 'admin-webhooks-list');
+    admin.emit('creator-auth', { gameCode, creatorToken });
+    admin.emit('admin-add-webhook', { gameCode, creatorToken, url: hookUrl });
+    const webhookId = (await listed).webhooks[0].id;
+
+    statuses.push(500);
+    const failed = waitForEvent(admin, 'admin-webhook-delivery');
+    const firstTry = nextDelivery();
+    admin.emit('admin-test-webhook', { gameCode, creatorToken, webhookId });
+    assert.strictEqual((await firstTry).headers['x-webhook-signature'], undefined);
+    const { delivery } = await failed;
+    assert.strictEqual(delivery.status, 'pending');
+    assert.strictEqual(delivery.attempts, 1);
+    assert.strictEqual(delivery.error, 'HTTP 500');
+    assert.ok(delivery.next_attempt_at);
+
+    // Run the retry now instead of waiting for its timer
+    const retried = waitForEvent(admin, 'admin-webhook-delivery');
+    const secondTry = nextDelivery();
+    await attemptWebhookDelivery(delivery.id);
+    assert.strictEqual((await secondTry).json.id, delivery.id);
+    assert.deepStrictEqual((await retried).delivery.status, 'delivered');
+
+    const log = await call('GET', `/api/games/${gameCode}/admin/webhooks/${webhookId}/deliveries?creatorToken=${creatorToken}`);
+    assert.strictEqual(log.body.deliveries[0].attempts, 2);
+    assert.strictEqual(log.body.deliveries[0].response_status, 200);
+
+    const other = await call('GET', `/api/games/${gameCode}/admin/webhooks/nope/deliveries?creatorToken=${creatorToken}`);
+    assert.strictEqual(other.status, 404);
+    const removed = await call('DELETE', `/api/games/${gameCode}/admin/webhooks/${webhookId}?creatorToken=${creatorToken}`);
+    assert.deepStrictEqual(removed.body, { webhooks: [] });
+  });
+
+  test('private, loopback and link-local addresses are refused', async () => {
+    const { gameCode, creatorToken } = await startActiveGame(harness.baseUrl, connect, ['Fay', 'Gus']);
+    const port = hook.address().port;
+    for (const url of [
+      `http://127.0.0.1:${port}/hook`, `http://[::1]:${port}/hook`, 'http://169.254.169.254/latest/meta-data',
+      'http://10.1.2.3/', 'https://192.168.0.10:8443/', 'http://[::ffff:172.16.0.1]/', 'http://0.0.0.0/'
+    ]) {
+      const refused = await call('POST', `/api/games/${gameCode}/admin/webhooks`, { creatorToken, url });
+      assert.strictEqual(refused.status, 400, url);
+      assert.strictEqual(refused.body.error, 'Webhook URL must point to a public address.');
+    }
+    const list = await call('GET', `/api/games/${gameCode}/admin/webhooks?creatorToken=${creatorToken}`);
+    assert.deepStrictEqual(list.body.webhooks, []);
+  });
+
+  test('a host that resolves to a private address after being added is not connected to', async (t) => {
+    const { gameCode, creatorToken } = await startActiveGame(harness.baseUrl, connect, ['Hal', 'Ida']);
+    // Public when the webhook is added and checked before delivery, then the local
+    // stand-in when the connection is made; every lookup, whichever API, takes the next answer
+    const answers = ['93.184.216.34', '93.184.216.34', '127.0.0.1'];
+    const next = () => ({ address: answers.shift(), family: 4 });
+    const { lookup } = dns;
+    const lookupAsync = dns.promises.lookup;
+    t.mock.method(dns.promises, 'lookup', async (hostname, options) => (
+      hostname === 'rebind.example' ? [next()] : lookupAsync(hostname, options)
+    ));
+    t.mock.method(dns, 'lookup', (hostname, options, callback) => {
+      if (hostname !== 'rebind.example') return lookup(hostname, options, callback);
+      const answer = next();
+      if (options.all) callback(null, [answer]);
+      else callback(null, answer.address, answer.family);
+    });
+
+    const admin = connect();
+    const listed = waitForEvent(admin, 'admin-webhooks-list');
+    admin.emit('creator-auth', { gameCode, creatorToken });
+    admin.emit('admin-add-webhook', { gameCode, creatorToken, url: `http://rebind.example:${hook.address().port}/hook` });
+    const webhookId = (await listed).webhooks[0].id;
+
+    const before = received;
+    const attempted = waitForEvent(admin, 'admin-webhook-delivery');
+    admin.emit('admin-test-webhook', { gameCode, creatorToken, webhookId });
+    const { delivery } = await attempted;
+    assert.strictEqual(delivery.error, 'Webhook URL must point to a public address.');
+    assert.strictEqual(delivery.response_status, null);
+    assert.strictEqual(answers.length, 0);
+    assert.strictEqual(received, before);
+  });
+});